@@ -0,0 +1,76 @@
+const { protocol, nativeImage } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const {
+  getArtworkMimeType,
+  getArtworkPath,
+  getThumbnailPath
+} = require('./artwork-store');
+
+const ARTWORK_SCHEME = 'artwork';
+const THUMBNAIL_SIZE = 128; // Twice the table cell size so thumbnails stay sharp on HiDPI screens
+
+// Must run before the app is ready
+function registerArtworkScheme() {
+  protocol.registerSchemesAsPrivileged([
+    { scheme: ARTWORK_SCHEME, privileges: { standard: true, secure: true, supportFetchAPI: true } }
+  ]);
+}
+
+// Build (or reuse) the JPEG thumbnail for a stored cover
+function loadThumbnail(artworkId, artworkPath) {
+  const thumbnailPath = getThumbnailPath(artworkId);
+  if (fs.existsSync(thumbnailPath)) {
+    return fs.readFileSync(thumbnailPath);
+  }
+
+  const image = nativeImage.createFromPath(artworkPath);
+  if (image.isEmpty()) {
+    // Not a format nativeImage can decode - let the renderer scale the original
+    return null;
+  }
+
+  const { width, height } = image.getSize();
+  const resized = Math.max(width, height) > THUMBNAIL_SIZE
+    ? image.resize(width >= height ? { width: THUMBNAIL_SIZE, quality: 'good' } : { height: THUMBNAIL_SIZE, quality: 'good' })
+    : image;
+  const thumbnail = resized.toJPEG(85);
+
+  fs.mkdirSync(path.dirname(thumbnailPath), { recursive: true });
+  fs.writeFileSync(thumbnailPath, thumbnail);
+  return thumbnail;
+}
+
+// Serves artwork://thumb/<artworkId> and artwork://full/<artworkId>
+function handleArtworkProtocol() {
+  protocol.handle(ARTWORK_SCHEME, (request) => {
+    const url = new URL(request.url);
+    const artworkId = decodeURIComponent(url.pathname.replace(/^\//, ''));
+    const artworkPath = getArtworkPath(artworkId);
+
+    if (!artworkPath || (url.hostname !== 'thumb' && url.hostname !== 'full')) {
+      return new Response('Artwork not found', { status: 404 });
+    }
+
+    try {
+      const headers = { 'Cache-Control': 'max-age=31536000, immutable' };
+      if (url.hostname === 'thumb') {
+        const thumbnail = loadThumbnail(artworkId, artworkPath);
+        if (thumbnail) {
+          return new Response(thumbnail, { headers: { ...headers, 'Content-Type': 'image/jpeg' } });
+        }
+      }
+      return new Response(fs.readFileSync(artworkPath), {
+        headers: { ...headers, 'Content-Type': getArtworkMimeType(artworkId) }
+      });
+    } catch (error) {
+      console.error(`Error serving artwork ${artworkId}:`, error.message);
+      return new Response('Error loading artwork', { status: 500 });
+    }
+  });
+}
+
+module.exports = {
+  registerArtworkScheme,
+  handleArtworkProtocol
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ARTWORK_DIRNAME = 'artwork';
+const THUMBNAIL_DIRNAME = 'thumbs';
+
+// Image types we store, keyed by file extension
+const ARTWORK_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp'
+};
+
+// Artwork IDs are the SHA-1 of the image bytes plus the file extension, e.g. "3fa2...e1.jpg"
+const ARTWORK_ID_PATTERN = /^[a-f0-9]{40}\.(jpg|png|gif|webp|bmp)$/;
+
+let artworkState = {
+  artworkDir: null
+};
+
+// Set the base directory artwork is stored under (the app's userData directory)
+function initArtworkStore(baseDir) {
+  artworkState.artworkDir = path.join(baseDir, ARTWORK_DIRNAME);
+}
+
+function getArtworkDir() {
+  return artworkState.artworkDir;
+}
+
+// Tag mime types are unreliable ("jpeg", "image/jpg", missing), so check the magic bytes first
+function detectArtworkExtension(imageBuffer, mime) {
+  if (imageBuffer.length >= 4) {
+    if (imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8) return '.jpg';
+    if (imageBuffer.readUInt32BE(0) === 0x89504E47) return '.png';
+    if (imageBuffer.toString('latin1', 0, 4) === 'GIF8') return '.gif';
+    if (imageBuffer.length >= 12 && imageBuffer.toString('latin1', 0, 4) === 'RIFF' &&
+        imageBuffer.toString('latin1', 8, 12) === 'WEBP') return '.webp';
+    if (imageBuffer.toString('latin1', 0, 2) === 'BM') return '.bmp';
+  }
+
+  const normalized = String(mime || '').toLowerCase();
+  if (normalized.includes('png')) return '.png';
+  if (normalized.includes('gif')) return '.gif';
+  if (normalized.includes('webp')) return '.webp';
+  if (normalized.includes('bmp')) return '.bmp';
+  return '.jpg';
+}
+
+// Store a cover image once per unique content and return its artwork ID.
+// Tracks sharing a cover get the same ID, so the image is only written the first time.
+function storeArtwork(image) {
+  if (!image || !image.imageBuffer || image.imageBuffer.length === 0 || !artworkState.artworkDir) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha1').update(image.imageBuffer).digest('hex');
+  const artworkId = hash + detectArtworkExtension(image.imageBuffer, image.mime);
+  const artworkPath = path.join(artworkState.artworkDir, artworkId);
+
+  if (!fs.existsSync(artworkPath)) {
+    fs.mkdirSync(artworkState.artworkDir, { recursive: true });
+    // Several workers may store the same cover at once - write to a unique temp file and rename
+    const tempPath = `${artworkPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(tempPath, image.imageBuffer);
+    fs.renameSync(tempPath, artworkPath);
+  }
+
+  return artworkId;
+}
+
+function isValidArtworkId(artworkId) {
+  return typeof artworkId === 'string' && ARTWORK_ID_PATTERN.test(artworkId);
+}
+
+function getArtworkMimeType(artworkId) {
+  return ARTWORK_TYPES[path.extname(artworkId)] || 'application/octet-stream';
+}
+
+// Path of the full-size image, or null for an unknown ID
+function getArtworkPath(artworkId) {
+  if (!isValidArtworkId(artworkId) || !artworkState.artworkDir) return null;
+  const artworkPath = path.join(artworkState.artworkDir, artworkId);
+  return fs.existsSync(artworkPath) ? artworkPath : null;
+}
+
+// Thumbnails are always JPEG, named after the artwork hash
+function getThumbnailPath(artworkId) {
+  if (!isValidArtworkId(artworkId) || !artworkState.artworkDir) return null;
+  const hash = artworkId.split('.')[0];
+  return path.join(artworkState.artworkDir, THUMBNAIL_DIRNAME, `${hash}.jpg`);
+}
+
+// Delete stored covers (and their thumbnails) that no cached file references any more
+function pruneArtworkStore(usedArtworkIds) {
+  const artworkDir = artworkState.artworkDir;
+  if (!artworkDir || !fs.existsSync(artworkDir)) return 0;
+
+  let removed = 0;
+  for (const name of fs.readdirSync(artworkDir)) {
+    if (!isValidArtworkId(name) || usedArtworkIds.has(name)) continue;
+    try {
+      fs.unlinkSync(path.join(artworkDir, name));
+      const thumbnailPath = getThumbnailPath(name);
+      if (fs.existsSync(thumbnailPath)) fs.unlinkSync(thumbnailPath);
+      removed++;
+    } catch (error) {
+      console.error(`Error removing unused artwork ${name}:`, error.message);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`[ARTWORK] Removed ${removed} unused cover(s)`);
+  }
+  return removed;
+}
+
+module.exports = {
+  initArtworkStore,
+  getArtworkDir,
+  storeArtwork,
+  isValidArtworkId,
+  getArtworkMimeType,
+  getArtworkPath,
+  getThumbnailPath,
+  pruneArtworkStore
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+
+// Page extractors: declarative definitions of where a source page keeps the genres and lyrics.
+// The built-in Suno extractor ships with the app; JSON files in the extractors directory under
+// the app's userData directory add extractors for other sources or replace a built-in one with
+// a newer version (same id, higher version), so selectors can be fixed without a release.
+//
+// {
+//   "formatVersion": 1,
+//   "id": "suno",
+//   "version": 2,
+//   "name": "Suno",
+//   "urlPatterns": ["^https?://([\\w-]+\\.)*suno\\.com/"],
+//   "fields": {
+//     "genres": { "strategies": [{ "anchor": "button[title=\"Copy styles to clipboard\"]", "path": ["parent", "firstChild", "firstChild"], "selectAll": "a" }] },
+//     "lyrics": { "strategies": [{ "anchor": "button[title=\"Copy lyrics to clipboard\"]", "path": ["parent"], "select": "p" }] }
+//   }
+// }
+//
+// A field's strategies are tried in order until one yields a value. A strategy starts at the
+// element matching `anchor` (or the document), follows `path`, then reads the text (or
+// `attribute`) of the first element matching `select`, of every element matching `selectAll`,
+// or of the element it reached. `split` is a regular expression that splits the values of a
+// list field.
+
+const EXTRACTOR_FORMAT_VERSION = 1;
+const EXTRACTORS_DIRNAME = 'extractors';
+
+// The fields an extractor can fill and the kind of value each one holds
+const EXTRACTOR_FIELDS = {
+  genres: 'list',
+  lyrics: 'text'
+};
+const PATH_STEPS = ['parent', 'firstChild', 'lastChild', 'nextSibling', 'previousSibling'];
+const STRATEGY_KEYS = ['anchor', 'path', 'select', 'selectAll', 'attribute', 'split'];
+
+const SUNO_EXTRACTOR = {
+  formatVersion: EXTRACTOR_FORMAT_VERSION,
+  id: 'suno',
+  version: 1,
+  name: 'Suno',
+  urlPatterns: ['^https?://([\\w-]+\\.)*suno\\.com/'],
+  fields: {
+    genres: {
+      strategies: [
+        // The style tags next to the "Copy styles to clipboard" button
+        { anchor: 'button[title="Copy styles to clipboard"]', path: ['parent', 'firstChild', 'firstChild'], selectAll: 'a' },
+        // Any style link in the same block, in case the tags move inside it
+        { anchor: 'button[title="Copy styles to clipboard"]', path: ['parent'], selectAll: 'a[href^="/style/"]' }
+      ]
+    },
+    lyrics: {
+      strategies: [
+        { anchor: 'button[title="Copy lyrics to clipboard"]', path: ['parent'], select: 'p' }
+      ]
+    }
+  }
+};
+
+const BUILTIN_EXTRACTORS = [SUNO_EXTRACTOR];
+
+let extractorState = {
+  extractorsDir: null,
+  extractors: null, // Definitions in the order they are tried
+  loadErrors: [] // { file, errors } for files that were left out
+};
+
+// Set the directory the user's extractor files live in (the app's userData directory)
+function initExtractors(userDataDir) {
+  extractorState.extractorsDir = path.join(userDataDir, EXTRACTORS_DIRNAME);
+  extractorState.extractors = null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidSelector(selector) {
+  return typeof selector === 'string' && selector.trim().length > 0;
+}
+
+function isValidRegex(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Problems with an extractor definition as messages ("fields.genres.strategies[1].path: ...");
+// an empty list means it can be used
+function validateExtractor(definition) {
+  const errors = [];
+  const addError = (field, message) => errors.push(field ? `${field}: ${message}` : message);
+
+  if (!isPlainObject(definition)) {
+    return ['An extractor must be a JSON object'];
+  }
+  if (definition.formatVersion !== EXTRACTOR_FORMAT_VERSION) {
+    addError('formatVersion', `Must be ${EXTRACTOR_FORMAT_VERSION} (found ${JSON.stringify(definition.formatVersion)})`);
+  }
+  if (typeof definition.id !== 'string' || !/^[\w-]+$/.test(definition.id)) {
+    addError('id', 'Must be a name made of letters, digits, "-" and "_"');
+  }
+  if (!Number.isInteger(definition.version) || definition.version < 1) {
+    addError('version', 'Must be a whole number of at least 1');
+  }
+
+  if (!Array.isArray(definition.urlPatterns) || definition.urlPatterns.length === 0) {
+    addError('urlPatterns', 'Must list at least one regular expression');
+  } else {
+    definition.urlPatterns.forEach((pattern, index) => {
+      if (typeof pattern !== 'string' || !isValidRegex(pattern)) {
+        addError(`urlPatterns[${index}]`, 'Not a valid regular expression');
+      }
+    });
+  }
+
+  if (!isPlainObject(definition.fields) || Object.keys(definition.fields).length === 0) {
+    addError('fields', `Must define at least one of ${Object.keys(EXTRACTOR_FIELDS).join(', ')}`);
+    return errors;
+  }
+
+  Object.keys(definition.fields).forEach(fieldName => {
+    const field = definition.fields[fieldName];
+    const fieldPath = `fields.${fieldName}`;
+    if (!EXTRACTOR_FIELDS[fieldName]) {
+      addError(fieldPath, `Unknown field (known fields: ${Object.keys(EXTRACTOR_FIELDS).join(', ')})`);
+      return;
+    }
+    if (!isPlainObject(field) || !Array.isArray(field.strategies) || field.strategies.length === 0) {
+      addError(`${fieldPath}.strategies`, 'Must list at least one strategy');
+      return;
+    }
+
+    field.strategies.forEach((strategy, index) => {
+      const strategyPath = `${fieldPath}.strategies[${index}]`;
+      if (!isPlainObject(strategy)) {
+        addError(strategyPath, 'A strategy must be an object');
+        return;
+      }
+      Object.keys(strategy).filter(key => !STRATEGY_KEYS.includes(key)).forEach(key => {
+        addError(`${strategyPath}.${key}`, `Unknown option (known options: ${STRATEGY_KEYS.join(', ')})`);
+      });
+      ['anchor', 'select', 'selectAll'].forEach(key => {
+        if (strategy[key] !== undefined && !isValidSelector(strategy[key])) {
+          addError(`${strategyPath}.${key}`, 'Must be a CSS selector');
+        }
+      });
+      if (strategy.select !== undefined && strategy.selectAll !== undefined) {
+        addError(strategyPath, 'Use either select or selectAll');
+      }
+      if (strategy.anchor === undefined && strategy.select === undefined && strategy.selectAll === undefined) {
+        addError(strategyPath, 'Needs an anchor, select or selectAll');
+      }
+      if (strategy.path !== undefined) {
+        if (!Array.isArray(strategy.path)) {
+          addError(`${strategyPath}.path`, `Must be a list of steps (${PATH_STEPS.join(', ')})`);
+        } else {
+          strategy.path.forEach((step, stepIndex) => {
+            if (!PATH_STEPS.includes(step)) {
+              addError(`${strategyPath}.path[${stepIndex}]`, `Unknown step "${step}" (known steps: ${PATH_STEPS.join(', ')})`);
+            }
+          });
+        }
+      }
+      if (strategy.attribute !== undefined && (typeof strategy.attribute !== 'string' || !strategy.attribute)) {
+        addError(`${strategyPath}.attribute`, 'Must be an attribute name');
+      }
+      if (strategy.split !== undefined) {
+        if (EXTRACTOR_FIELDS[fieldName] !== 'list') {
+          addError(`${strategyPath}.split`, 'Only list fields can be split');
+        } else if (typeof strategy.split !== 'string' || !isValidRegex(strategy.split)) {
+          addError(`${strategyPath}.split`, 'Not a valid regular expression');
+        }
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Read the user's extractor files. Invalid files are left out and listed in loadErrors.
+function loadUserExtractors() {
+  const extractors = [];
+  const dir = extractorState.extractorsDir;
+  if (!dir || !fs.existsSync(dir)) return extractors;
+
+  fs.readdirSync(dir)
+    .filter(name => name.toLowerCase().endsWith('.json'))
+    .sort()
+    .forEach(name => {
+      const file = path.join(dir, name);
+      try {
+        const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const errors = validateExtractor(definition);
+        if (errors.length > 0) {
+          extractorState.loadErrors.push({ file, errors });
+        } else {
+          extractors.push({ ...definition, source: file });
+        }
+      } catch (error) {
+        extractorState.loadErrors.push({ file, errors: [error.message] });
+      }
+    });
+
+  return extractors;
+}
+
+// (Re)read the extractor files. For every id the highest version is kept (a user file wins a
+// tie with the built-in); user extractors are tried before the built-in ones.
+function reloadExtractors() {
+  extractorState.loadErrors = [];
+  const userExtractors = loadUserExtractors();
+  const builtins = BUILTIN_EXTRACTORS.map(definition => ({ ...definition, source: 'built-in' }));
+
+  const byId = new Map();
+  [...userExtractors, ...builtins].forEach(definition => {
+    const current = byId.get(definition.id);
+    if (!current || definition.version > current.version) {
+      byId.set(definition.id, definition);
+    }
+  });
+
+  extractorState.extractors = Array.from(byId.values());
+  return { extractors: extractorState.extractors, loadErrors: extractorState.loadErrors };
+}
+
+function getExtractors() {
+  if (!extractorState.extractors) reloadExtractors();
+  return extractorState.extractors;
+}
+
+// The first extractor with a URL pattern matching url, or null
+function findExtractor(url, extractors = getExtractors()) {
+  if (!url) return null;
+  return extractors.find(definition => definition.urlPatterns.some(pattern => new RegExp(pattern, 'i').test(url))) || null;
+}
+
+// Runs in the page (page.evaluate), so it may only use what it is given. fields is an
+// extractor's fields with the kind of value of each ({ strategies, type }); returns
+// { [field]: { found, value, strategy } } where strategy is the index of the one that matched.
+function extractPageFields(fields) {
+  const steps = {
+    parent: 'parentElement',
+    firstChild: 'firstElementChild',
+    lastChild: 'lastElementChild',
+    nextSibling: 'nextElementSibling',
+    previousSibling: 'previousElementSibling'
+  };
+  const read = (element, attribute) => ((attribute ? element.getAttribute(attribute) : element.textContent) || '').trim();
+
+  const runStrategy = (strategy, type) => {
+    let context = document;
+    if (strategy.anchor) {
+      context = document.querySelector(strategy.anchor);
+      if (!context) return null;
+    }
+    for (const step of strategy.path || []) {
+      context = context[steps[step]];
+      if (!context) return null;
+    }
+
+    let elements = [];
+    if (strategy.selectAll) {
+      elements = Array.from(context.querySelectorAll(strategy.selectAll));
+    } else if (strategy.select) {
+      const element = context.querySelector(strategy.select);
+      if (element) elements = [element];
+    } else if (context !== document) {
+      elements = [context];
+    }
+
+    let values = elements.map(element => read(element, strategy.attribute)).filter(value => value.length > 0);
+    if (type === 'list') {
+      if (strategy.split) {
+        const separator = new RegExp(strategy.split);
+        values = values.flatMap(value => value.split(separator).map(part => part.trim()).filter(part => part.length > 0));
+      }
+      return values.length > 0 ? values : null;
+    }
+    return values.length > 0 ? values.join('\n') : null;
+  };
+
+  const result = {};
+  Object.keys(fields).forEach(name => {
+    result[name] = { found: false };
+    const { strategies, type } = fields[name];
+    for (let index = 0; index < strategies.length; index++) {
+      const value = runStrategy(strategies[index], type);
+      if (value) {
+        result[name] = { found: true, value, strategy: index };
+        break;
+      }
+    }
+  });
+  return result;
+}
+
+// Read a loaded page with an extractor. Resolves with the song data the scraper writes:
+// { genres: { found, genres, genreCount }, lyrics: { found, lyrics }, extractor: { id, version } }
+async function extractSongData(page, extractor) {
+  const fields = {};
+  Object.keys(extractor.fields).forEach(name => {
+    fields[name] = { strategies: extractor.fields[name].strategies, type: EXTRACTOR_FIELDS[name] };
+  });
+
+  const extracted = await page.evaluate(extractPageFields, fields);
+  const genres = extracted.genres || { found: false };
+  const lyrics = extracted.lyrics || { found: false };
+
+  return {
+    genres: genres.found
+      ? { found: true, genres: genres.value, genreCount: genres.value.length }
+      : { found: false, error: 'Could not find genre info structure' },
+    lyrics: lyrics.found
+      ? { found: true, lyrics: lyrics.value }
+      : { found: false, error: 'Could not find lyrics structure' },
+    extractor: { id: extractor.id, version: extractor.version }
+  };
+}
+
+module.exports = {
+  EXTRACTOR_FORMAT_VERSION,
+  EXTRACTOR_FIELDS,
+  BUILTIN_EXTRACTORS,
+  initExtractors,
+  validateExtractor,
+  reloadExtractors,
+  getExtractors,
+  findExtractor,
+  extractSongData,
+  isPlainObject
+};
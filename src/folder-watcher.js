@@ -0,0 +1,140 @@
+const fs = require('fs');
+const { scanLibrary, normalizeScanOptions } = require('./library-scanner');
+const { loadFileEntries } = require('./metadata-scan');
+const { removeCachedMetadata, saveMetadataCache } = require('./metadata-cache');
+
+const DEBOUNCE_MS = 500; // Wait for a quiet period before re-checking the folder
+const MAX_WAIT_MS = 3000; // ...but never longer than this while files keep changing
+
+// Snapshot of the watched files: filePath -> { size, mtimeMs }
+function takeSnapshot(files) {
+  const snapshot = new Map();
+  files.forEach(file => {
+    try {
+      const stats = fs.statSync(file.filePath);
+      snapshot.set(file.filePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+    } catch (error) {
+      // Vanished between the scan and the stat - it will show up as removed, if it was known
+    }
+  });
+  return snapshot;
+}
+
+// Watch a scanned folder and report what changed since the last check.
+// File system events are only used as a trigger: after they settle the folder is re-listed
+// and compared against the previous snapshot, so renames show up as a removal plus an addition
+// and tag edits as a size or modification time change.
+// onChanges({ added, changed, removed }) receives full file objects for added/changed files
+// and file paths for removed ones.
+function createFolderWatcher(rootPath, scanOptions, onChanges) {
+  const options = normalizeScanOptions(scanOptions);
+  let snapshot = takeSnapshot(scanLibrary(rootPath, options));
+  let watcher = null;
+  let debounceTimer = null;
+  let firstEventAt = 0;
+  let checking = false;
+  let pendingCheck = false;
+  let closed = false;
+
+  async function checkForChanges() {
+    if (closed) return;
+    if (checking) {
+      // Events arrived while we were busy - check again once this run is done
+      pendingCheck = true;
+      return;
+    }
+    checking = true;
+
+    try {
+      const files = scanLibrary(rootPath, options);
+      const current = takeSnapshot(files);
+
+      const addedFiles = [];
+      const changedFiles = [];
+      files.forEach(file => {
+        const now = current.get(file.filePath);
+        const before = snapshot.get(file.filePath);
+        if (!now) return;
+        if (!before) {
+          addedFiles.push(file);
+        } else if (before.size !== now.size || before.mtimeMs !== now.mtimeMs) {
+          changedFiles.push(file);
+        }
+      });
+
+      const removed = [];
+      for (const filePath of snapshot.keys()) {
+        if (!current.has(filePath)) {
+          removed.push(filePath);
+          removeCachedMetadata(filePath);
+        }
+      }
+
+      snapshot = current;
+
+      if (addedFiles.length > 0 || changedFiles.length > 0 || removed.length > 0) {
+        const [added, changed] = await Promise.all([
+          loadFileEntries(addedFiles),
+          loadFileEntries(changedFiles)
+        ]);
+        saveMetadataCache();
+
+        if (!closed) {
+          console.log(`[WATCH] ${added.length} added, ${changed.length} changed, ${removed.length} removed`);
+          onChanges({ added, changed, removed });
+        }
+      }
+    } catch (error) {
+      // The folder itself may have been removed or become unreadable
+      console.error(`Error checking ${rootPath} for changes:`, error.message);
+    } finally {
+      checking = false;
+      if (pendingCheck && !closed) {
+        pendingCheck = false;
+        scheduleCheck();
+      }
+    }
+  }
+
+  function scheduleCheck() {
+    const now = Date.now();
+    if (!debounceTimer) {
+      firstEventAt = now;
+    }
+    clearTimeout(debounceTimer);
+    const delay = Math.max(0, Math.min(DEBOUNCE_MS, firstEventAt + MAX_WAIT_MS - now));
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      checkForChanges();
+    }, delay);
+  }
+
+  try {
+    watcher = fs.watch(rootPath, { recursive: options.recursive }, () => scheduleCheck());
+  } catch (error) {
+    // Recursive watching isn't available everywhere - fall back to the top-level folder
+    console.error('Recursive folder watching unavailable, watching the top folder only:', error.message);
+    watcher = fs.watch(rootPath, () => scheduleCheck());
+  }
+  watcher.on('error', (error) => {
+    console.error(`Folder watcher error for ${rootPath}:`, error.message);
+  });
+
+  function close() {
+    closed = true;
+    clearTimeout(debounceTimer);
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+  }
+
+  return {
+    rootPath,
+    close
+  };
+}
+
+module.exports = {
+  createFolderWatcher
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+const COPY_CHUNK_SIZE = 1024 * 1024; // 1 MB
+
+// Read a byte range from an open file
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+}
+
+// Copy a byte range from one open file to another in fixed-size chunks
+function copyRange(srcFd, dstFd, start, length) {
+  const buffer = Buffer.alloc(Math.min(COPY_CHUNK_SIZE, Math.max(length, 1)));
+  let copied = 0;
+
+  while (copied < length) {
+    const toRead = Math.min(buffer.length, length - copied);
+    const bytesRead = fs.readSync(srcFd, buffer, 0, toRead, start + copied);
+    if (bytesRead === 0) break;
+    fs.writeSync(dstFd, buffer, 0, bytesRead);
+    copied += bytesRead;
+  }
+
+  return copied;
+}
+
+// Rewrite a file through a temporary sibling file. The original is only replaced
+// once writeContents(srcFd, dstFd) has finished without throwing.
+function rewriteFile(filePath, writeContents) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  const srcFd = fs.openSync(filePath, 'r');
+  let dstFd = null;
+
+  try {
+    dstFd = fs.openSync(tempPath, 'w');
+    writeContents(srcFd, dstFd);
+    fs.closeSync(dstFd);
+    dstFd = null;
+    fs.closeSync(srcFd);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (dstFd !== null) fs.closeSync(dstFd);
+    try { fs.closeSync(srcFd); } catch (closeError) { /* already closed */ }
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    throw error;
+  }
+}
+
+module.exports = {
+  readBytes,
+  copyRange,
+  rewriteFile
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { readBytes, copyRange, rewriteFile } = require('./file-utils');
+const {
+  DEFAULT_VENDOR,
+  parseVorbisComment,
+  buildVorbisComment,
+  parsePictureBlock,
+  buildPictureBlock,
+  commentsToTags,
+  applyTagsToComments
+} = require('./vorbis-comment');
+
+// FLAC metadata block types
+const BLOCK_STREAMINFO = 0;
+const BLOCK_PADDING = 1;
+const BLOCK_VORBIS_COMMENT = 4;
+const BLOCK_PICTURE = 6;
+
+const MAX_BLOCK_SIZE = 0xFFFFFF;
+const DEFAULT_PADDING = 4096;
+
+// Some taggers put an ID3v2 tag in front of the FLAC stream - skip over it
+function findStreamStart(fd) {
+  const header = readBytes(fd, 0, 10);
+  if (header.length === 10 && header.toString('ascii', 0, 3) === 'ID3') {
+    const size = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+    const hasFooter = (header[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+  }
+  return 0;
+}
+
+// Read every metadata block. Returns { streamStart, blocks: [{ type, data }], audioOffset }
+function readMetadataBlocks(fd) {
+  const streamStart = findStreamStart(fd);
+  const marker = readBytes(fd, streamStart, 4);
+  if (marker.toString('ascii') !== 'fLaC') {
+    throw new Error('Not a valid FLAC file');
+  }
+
+  const blocks = [];
+  let position = streamStart + 4;
+  let isLast = false;
+
+  while (!isLast) {
+    const header = readBytes(fd, position, 4);
+    if (header.length < 4) {
+      throw new Error('Unexpected end of FLAC metadata');
+    }
+
+    isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7F;
+    const length = header.readUIntBE(1, 3);
+
+    blocks.push({ type, data: readBytes(fd, position + 4, length) });
+    position += 4 + length;
+  }
+
+  return { streamStart, blocks, audioOffset: position };
+}
+
+function blockHeader(type, length, isLast) {
+  if (length > MAX_BLOCK_SIZE) {
+    throw new Error('FLAC metadata block too large (artwork over 16 MB?)');
+  }
+  const header = Buffer.alloc(4);
+  header[0] = (isLast ? 0x80 : 0) | type;
+  header.writeUIntBE(length, 1, 3);
+  return header;
+}
+
+function read(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { blocks } = readMetadataBlocks(fd);
+
+    const commentBlock = blocks.find(block => block.type === BLOCK_VORBIS_COMMENT);
+    const comments = commentBlock ? parseVorbisComment(commentBlock.data).comments : [];
+    const pictures = blocks
+      .filter(block => block.type === BLOCK_PICTURE)
+      .map(block => parsePictureBlock(block.data));
+
+    return commentsToTags(comments, pictures);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function write(filePath, tags) {
+  rewriteFile(filePath, (srcFd, dstFd) => {
+    const { streamStart, blocks, audioOffset } = readMetadataBlocks(srcFd);
+
+    const commentBlock = blocks.find(block => block.type === BLOCK_VORBIS_COMMENT);
+    const existing = commentBlock
+      ? parseVorbisComment(commentBlock.data)
+      : { vendor: DEFAULT_VENDOR, comments: [] };
+
+    const newBlocks = blocks.filter(block => {
+      if (block.type === BLOCK_PADDING || block.type === BLOCK_VORBIS_COMMENT) return false;
+      // A new image replaces the existing artwork
+      if (block.type === BLOCK_PICTURE && tags.image !== undefined) return false;
+      return true;
+    });
+
+    // STREAMINFO must stay the first block
+    if (newBlocks.length === 0 || newBlocks[0].type !== BLOCK_STREAMINFO) {
+      throw new Error('FLAC file is missing its STREAMINFO block');
+    }
+
+    newBlocks.splice(1, 0, {
+      type: BLOCK_VORBIS_COMMENT,
+      data: buildVorbisComment({
+        vendor: existing.vendor,
+        comments: applyTagsToComments(existing.comments, tags)
+      })
+    });
+
+    if (tags.image && tags.image.imageBuffer) {
+      newBlocks.push({ type: BLOCK_PICTURE, data: buildPictureBlock(tags.image) });
+    }
+
+    newBlocks.push({ type: BLOCK_PADDING, data: Buffer.alloc(DEFAULT_PADDING) });
+
+    // Keep any leading ID3v2 tag as-is
+    copyRange(srcFd, dstFd, 0, streamStart);
+    fs.writeSync(dstFd, Buffer.from('fLaC', 'ascii'));
+    newBlocks.forEach((block, index) => {
+      fs.writeSync(dstFd, blockHeader(block.type, block.data.length, index === newBlocks.length - 1));
+      fs.writeSync(dstFd, block.data);
+    });
+
+    const fileSize = fs.fstatSync(srcFd).size;
+    copyRange(srcFd, dstFd, audioOffset, fileSize - audioOffset);
+  });
+
+  return true;
+}
+
+module.exports = {
+  name: 'flac',
+  extensions: ['.flac'],
+  read,
+  write
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const NodeID3 = require('node-id3');
+const { readBytes, copyRange, rewriteFile } = require('./file-utils');
+
+// Plain text fields of the shared tag model and the NodeID3 tag they map to
+const TEXT_FIELDS = {
+  title: 'title',
+  artist: 'artist',
+  album: 'album',
+  genre: 'genre',
+  trackNumber: 'trackNumber',
+  discNumber: 'partOfSet',
+  year: 'year',
+  bpm: 'bpm',
+  composer: 'composer',
+  audioSourceUrl: 'audioSourceUrl'
+};
+
+// Version label of the ID3 tag in a buffer, e.g. "ID3v2.3", "ID3v1" or "" when there is none.
+// header is the start of the tag data, footer its last 128 bytes (where an ID3v1 tag lives).
+function detectId3Version(header, footer) {
+  if (header && header.length >= 4 && header.toString('latin1', 0, 3) === 'ID3') {
+    return `ID3v2.${header[3]}`;
+  }
+  if (footer && footer.length === 128 && footer.toString('latin1', 0, 3) === 'TAG') {
+    return 'ID3v1';
+  }
+  return '';
+}
+
+// ID3v2.3 frames with a different id in ID3v2.4; null for frames ID3v2.4 dropped
+const ID3V24_FRAME_IDS = {
+  TYER: 'TDRC',
+  TORY: 'TDOR',
+  IPLS: 'TIPL',
+  TDAT: null,
+  TIME: null,
+  TRDA: null,
+  TSIZ: null,
+  RVAD: null,
+  EQUA: null
+};
+
+function syncsafeToInt(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+function intToSyncsafe(value) {
+  return Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+}
+
+// The values of a genre written as ID3v2.4 multi-values ("Rock\0Pop"); a single value otherwise
+function splitMultiValueGenre(genre) {
+  return String(genre || '').split('\0').map(value => value.trim()).filter(value => value);
+}
+
+// Decode one text frame value, keeping the null separators between ID3v2.4 multi-values
+function decodeTextFrame(data) {
+  const encoding = data[0];
+  const body = data.subarray(1);
+
+  if (encoding === 1 || encoding === 2) {
+    // UTF-16: split on 16-bit nulls, every value may carry its own byte order mark
+    const values = [];
+    let start = 0;
+    for (let i = 0; i + 1 < body.length; i += 2) {
+      if (body[i] === 0 && body[i + 1] === 0) {
+        values.push(body.subarray(start, i));
+        start = i + 2;
+      }
+    }
+    values.push(body.subarray(start, body.length - ((body.length - start) % 2)));
+
+    return values.map(value => {
+      let bigEndian = encoding === 2;
+      if (value.length >= 2 && value[0] === 0xFE && value[1] === 0xFF) {
+        bigEndian = true;
+        value = value.subarray(2);
+      } else if (value.length >= 2 && value[0] === 0xFF && value[1] === 0xFE) {
+        value = value.subarray(2);
+      }
+      return bigEndian ? Buffer.from(value).swap16().toString('utf16le') : value.toString('utf16le');
+    }).join('\0');
+  }
+
+  return body.toString(encoding === 3 ? 'utf8' : 'latin1');
+}
+
+// NodeID3 strips the null separators from text frames, which merges ID3v2.4 multi-value
+// genres ("Rock\0Pop" reads as "RockPop"). Read the raw genre frame from the tag bytes instead.
+// Returns null when the frame can't be read this way (and NodeID3's value should be used).
+function readRawGenre(tagData) {
+  if (!tagData || tagData.length < 10 || tagData.toString('latin1', 0, 3) !== 'ID3') return null;
+
+  const version = tagData[3];
+  const flags = tagData[5];
+  // Unsynchronised tags need decoding first - rare enough to leave to NodeID3
+  if (flags & 0x80) return null;
+
+  const tagEnd = Math.min(tagData.length, 10 + syncsafeToInt(tagData, 6));
+  let position = 10;
+  if (flags & 0x40 && version >= 3) {
+    position += version === 4 ? syncsafeToInt(tagData, 10) : 4 + tagData.readUInt32BE(10);
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const genreId = version === 2 ? 'TCO' : 'TCON';
+
+  while (position + headerLength <= tagEnd) {
+    const id = tagData.toString('latin1', position, position + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Reached the padding
+
+    const size = version === 2
+      ? tagData.readUIntBE(position + 3, 3)
+      : version === 4 ? syncsafeToInt(tagData, position + 4) : tagData.readUInt32BE(position + 4);
+    const dataStart = position + headerLength;
+
+    if (id === genreId) {
+      // Compressed, encrypted or per-frame unsynchronised frames are left to NodeID3
+      if (version >= 3 && tagData[position + 9] !== 0) return null;
+      return decodeTextFrame(tagData.subarray(dataStart, Math.min(dataStart + size, tagEnd))).replace(/\0+$/, '');
+    }
+    position = dataStart + size;
+  }
+
+  return null;
+}
+
+// Turn the ID3v2.3 tag NodeID3 writes into an ID3v2.4 tag whose TCON frame holds genres as
+// null-separated multi-values, which ID3v2.3 can't. Returns null for tags with frame flags
+// (compression, encryption, grouping) or an extended header, which are left as they are.
+function toId3v24Tag(tagData, genres) {
+  if (tagData.length < 10 || tagData.toString('latin1', 0, 3) !== 'ID3' || tagData[3] !== 3 || tagData[5] !== 0) return null;
+
+  const tagEnd = Math.min(tagData.length, 10 + syncsafeToInt(tagData, 6));
+  const frames = [];
+  const addFrame = (id, data) => {
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    intToSyncsafe(data.length).copy(header, 4);
+    frames.push(header, data);
+  };
+
+  let position = 10;
+  while (position + 10 <= tagEnd) {
+    const id = tagData.toString('latin1', position, position + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break; // Reached the padding
+    const size = tagData.readUInt32BE(position + 4);
+    if (tagData[position + 8] !== 0 || tagData[position + 9] !== 0) return null;
+
+    const data = tagData.subarray(position + 10, Math.min(position + 10 + size, tagEnd));
+    const newId = id in ID3V24_FRAME_IDS ? ID3V24_FRAME_IDS[id] : id;
+    if (newId && id !== 'TCON') addFrame(newId, data);
+    position += 10 + size;
+  }
+
+  // UTF-8 (encoding 3) is new in ID3v2.4 and needs no byte order marks between the values
+  addFrame('TCON', Buffer.concat([Buffer.from([3]), Buffer.from(genres.join('\0'), 'utf8')]));
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.alloc(10);
+  header.write('ID3', 0, 'latin1');
+  header[3] = 4;
+  intToSyncsafe(body.length).copy(header, 6);
+  return Buffer.concat([header, body]);
+}
+
+// Build the tag for writing tags (shared tag model) over existingTag, a raw ID3v2 tag or an
+// empty buffer. NodeID3 writes ID3v2.3; when the genre ends up with several values - written
+// as "Rock\0Pop", or kept from an ID3v2.4 tag - the tag becomes ID3v2.4 to hold them, so
+// multi-values aren't merged or written into a tag version that has none.
+function buildId3Tag(tags, existingTag) {
+  const genres = splitMultiValueGenre(tags.genre !== undefined ? tags.genre : readRawGenre(existingTag));
+  const id3Tags = toId3(tags);
+  if (genres.length > 1) id3Tags.genre = genres.join('; '); // What's left if the tag can't be converted
+
+  const newTag = NodeID3.update(id3Tags, existingTag);
+  if (!Buffer.isBuffer(newTag)) {
+    throw newTag instanceof Error ? newTag : new Error('Failed to build ID3 tag');
+  }
+  return (genres.length > 1 && toId3v24Tag(newTag, genres)) || newTag;
+}
+
+// Convert NodeID3 tags to the shared tag model.
+// tagData (the raw ID3v2 tag) is only needed to read multi-value genres.
+function fromId3(tags = {}, id3Version = '', tagData = null) {
+  // ID3v2.4 replaced TYER with the TDRC recording time ("2024-05-01" etc.)
+  const date = tags.year || tags.recordingTime || '';
+  const yearMatch = String(date).match(/\d{4}/);
+
+  return {
+    title: tags.title || '',
+    artist: tags.artist || '',
+    album: tags.album || '',
+    genre: readRawGenre(tagData) || tags.genre || '',
+    lyrics: tags.unsynchronisedLyrics?.text || tags.lyrics || '',
+    trackNumber: tags.trackNumber || '',
+    discNumber: tags.partOfSet || '',
+    year: yearMatch ? yearMatch[0] : '',
+    bpm: tags.bpm || '',
+    comment: tags.comment?.text || '',
+    composer: tags.composer || '',
+    audioSourceUrl: tags.audioSourceUrl || '',
+    id3Version,
+    image: tags.image && tags.image.imageBuffer
+      ? { mime: tags.image.mime || 'image/jpeg', imageBuffer: tags.image.imageBuffer }
+      : null
+  };
+}
+
+// Convert a (partial) shared tag model to NodeID3 tags for NodeID3.update
+function toId3(tags = {}) {
+  const id3Tags = {};
+
+  Object.keys(TEXT_FIELDS).forEach(field => {
+    if (tags[field] !== undefined) {
+      id3Tags[TEXT_FIELDS[field]] = tags[field] === null ? '' : String(tags[field]);
+    }
+  });
+
+  // NodeID3 writes ID3v2.3, which has no multi-values: null-separated genres are joined here
+  // and written as multi-values by buildId3Tag
+  if (id3Tags.genre) {
+    id3Tags.genre = splitMultiValueGenre(id3Tags.genre).join('; ');
+  }
+
+  if (tags.comment !== undefined) {
+    id3Tags.comment = {
+      language: 'eng',
+      text: tags.comment || ''
+    };
+  }
+
+  if (tags.lyrics !== undefined) {
+    id3Tags.unsynchronisedLyrics = {
+      language: 'eng',
+      text: tags.lyrics || ''
+    };
+  }
+
+  if (tags.image) {
+    id3Tags.image = {
+      mime: tags.image.mime || 'image/jpeg',
+      type: {
+        id: 3,
+        name: 'front cover'
+      },
+      description: 'Album Cover',
+      imageBuffer: tags.image.imageBuffer
+    };
+  }
+
+  return id3Tags;
+}
+
+function readId3Version(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const footer = size >= 128 ? readBytes(fd, size - 128, 128) : null;
+    return detectId3Version(readBytes(fd, 0, 10), footer);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Raw ID3v2 tag at the start of the file, or null when there is none
+function readId3Tag(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = readBytes(fd, 0, 10);
+    if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') return null;
+    return readBytes(fd, 0, 10 + syncsafeToInt(header, 6));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function read(filePath) {
+  return fromId3(NodeID3.read(filePath), readId3Version(filePath), readId3Tag(filePath));
+}
+
+function write(filePath, tags) {
+  const existingTag = readId3Tag(filePath);
+  const genre = tags.genre !== undefined ? tags.genre : readRawGenre(existingTag);
+
+  if (splitMultiValueGenre(genre).length <= 1) {
+    const result = NodeID3.update(toId3(tags), filePath);
+    if (result !== true) {
+      throw result instanceof Error ? result : new Error('Failed to write ID3 tags');
+    }
+    return true;
+  }
+
+  // Multi-value genres: the tag is built in memory and put in front of the audio data
+  const newTag = buildId3Tag(tags, existingTag || Buffer.alloc(0));
+  rewriteFile(filePath, (srcFd, dstFd) => {
+    const audioStart = existingTag ? existingTag.length + (existingTag[5] & 0x10 ? 10 : 0) : 0; // v2.4 footer
+    fs.writeSync(dstFd, newTag);
+    copyRange(srcFd, dstFd, audioStart, fs.fstatSync(srcFd).size - audioStart);
+  });
+  return true;
+}
+
+// MP3 files and raw ADTS AAC streams both carry their tags in an ID3v2 header
+module.exports = {
+  name: 'id3',
+  extensions: ['.mp3', '.aac'],
+  detectId3Version,
+  fromId3,
+  toId3,
+  buildId3Tag,
+  read,
+  write
+};
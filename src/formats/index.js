@@ -0,0 +1,71 @@
+const path = require('path');
+const id3 = require('./id3');
+const flac = require('./flac');
+const ogg = require('./ogg');
+const mp4 = require('./mp4');
+const wav = require('./wav');
+
+// Every container handler exposes the same shared tag model:
+// { title, artist, album, genre, lyrics, trackNumber, discNumber, year, bpm, comment,
+//   composer, audioSourceUrl, id3Version, image: { mime, imageBuffer } | null }
+// id3Version is read-only ("ID3v2.3", "ID3v1", or "" for files without an ID3 tag).
+// read(filePath) returns all fields, write(filePath, tags) only touches the fields present in tags;
+// a field set to null (or '') is removed from the file.
+const HANDLERS = [id3, flac, ogg, mp4, wav];
+
+const handlersByExtension = new Map();
+HANDLERS.forEach(handler => {
+  handler.extensions.forEach(extension => handlersByExtension.set(extension, handler));
+});
+
+const SUPPORTED_EXTENSIONS = Array.from(handlersByExtension.keys());
+
+function getFormatHandler(filePath) {
+  return handlersByExtension.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+function isSupportedFile(filePath) {
+  return getFormatHandler(filePath) !== null;
+}
+
+// Short format label shown in the UI, e.g. "mp3", "flac", "m4a"
+function getFormatName(filePath) {
+  return path.extname(filePath).toLowerCase().replace('.', '');
+}
+
+function readTags(filePath) {
+  const handler = getFormatHandler(filePath);
+  if (!handler) {
+    throw new Error(`Unsupported file format: ${path.extname(filePath)}`);
+  }
+  return handler.read(filePath);
+}
+
+function writeTags(filePath, tags) {
+  const handler = getFormatHandler(filePath);
+  if (!handler) {
+    throw new Error(`Unsupported file format: ${path.extname(filePath)}`);
+  }
+  return handler.write(filePath, tags);
+}
+
+// The values of fields in tags (as read) to write back to restore them later. Fields the file
+// doesn't have become null, so restoring removes them instead of leaving empty ones behind.
+function pickRestoreTags(tags, fields) {
+  const restore = {};
+  fields.forEach(field => {
+    const value = tags[field];
+    restore[field] = value === undefined || value === null || value === '' ? null : value;
+  });
+  return restore;
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  getFormatHandler,
+  getFormatName,
+  isSupportedFile,
+  readTags,
+  writeTags,
+  pickRestoreTags
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const { readBytes, copyRange, rewriteFile } = require('./file-utils');
+
+// Atoms whose payload is a list of child atoms
+const CONTAINER_ATOMS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'meta', 'ilst', 'edts', 'dinf']);
+
+// iTunes metadata item atoms for each field of the shared tag model
+const ITEM_ATOMS = {
+  title: '©nam',
+  artist: '©ART',
+  album: '©alb',
+  genre: '©gen',
+  lyrics: '©lyr',
+  trackNumber: 'trkn',
+  discNumber: 'disk',
+  year: '©day',
+  bpm: 'tmpo',
+  comment: '©cmt',
+  composer: '©wrt',
+  image: 'covr'
+};
+
+// Fields stored as a number pair (number/total) in an implicit data atom
+const NUMBER_PAIR_FIELDS = ['trackNumber', 'discNumber'];
+
+// Well-known data atom types
+const DATA_TYPE_IMPLICIT = 0;
+const DATA_TYPE_UTF8 = 1;
+const DATA_TYPE_INTEGER = 21;
+const DATA_TYPE_JPEG = 13;
+const DATA_TYPE_PNG = 14;
+
+// Find the top-level atoms without loading the (possibly huge) media data
+function readTopLevelAtoms(fd) {
+  const fileSize = fs.fstatSync(fd).size;
+  const atoms = [];
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    const header = readBytes(fd, position, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < 8) {
+      throw new Error(`Invalid MP4 atom "${type}" at offset ${position}`);
+    }
+
+    atoms.push({ type, start: position, size });
+    position += size;
+  }
+
+  return atoms;
+}
+
+// Parse an atom tree held in memory. Containers get children, everything else keeps raw data.
+function parseAtoms(buffer, start, end, parentType) {
+  const atoms = [];
+  let position = start;
+
+  while (position + 8 <= end) {
+    let size = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize || position + size > end) break;
+
+    const atom = { type };
+    const payloadStart = position + headerSize;
+    const payloadEnd = position + size;
+
+    // Items inside ilst are containers of data atoms
+    if (CONTAINER_ATOMS.has(type) || parentType === 'ilst') {
+      // meta is a full box: 4 bytes of version/flags before its children
+      const prefixSize = type === 'meta' ? 4 : 0;
+      atom.prefix = buffer.subarray(payloadStart, payloadStart + prefixSize);
+      atom.children = parseAtoms(buffer, payloadStart + prefixSize, payloadEnd, type);
+    } else {
+      atom.data = buffer.subarray(payloadStart, payloadEnd);
+    }
+
+    atoms.push(atom);
+    position += size;
+  }
+
+  return atoms;
+}
+
+function serializeAtom(atom) {
+  const payload = atom.children
+    ? Buffer.concat([atom.prefix || Buffer.alloc(0)].concat(atom.children.map(serializeAtom)))
+    : atom.data;
+
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length);
+  header.write(atom.type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+function findChild(atom, type) {
+  return atom && atom.children ? atom.children.find(child => child.type === type) : undefined;
+}
+
+// Walk (and optionally create) the moov > udta > meta > ilst chain
+function getItemList(moov, create) {
+  let udta = findChild(moov, 'udta');
+  if (!udta) {
+    if (!create) return null;
+    udta = { type: 'udta', children: [] };
+    moov.children.push(udta);
+  }
+
+  let meta = findChild(udta, 'meta');
+  if (!meta) {
+    if (!create) return null;
+    // The metadata handler (hdlr) iTunes expects in front of ilst
+    const hdlr = Buffer.alloc(25);
+    hdlr.write('mdirappl', 8, 'latin1');
+    meta = { type: 'meta', prefix: Buffer.alloc(4), children: [{ type: 'hdlr', data: hdlr }] };
+    udta.children.push(meta);
+  }
+
+  let ilst = findChild(meta, 'ilst');
+  if (!ilst) {
+    if (!create) return null;
+    ilst = { type: 'ilst', children: [] };
+    meta.children.push(ilst);
+  }
+
+  return ilst;
+}
+
+// Returns { type, payload } for the first data atom of an item
+function readItemData(item) {
+  const dataAtom = findChild(item, 'data');
+  if (!dataAtom || dataAtom.data.length < 8) return null;
+  return {
+    type: dataAtom.data.readUInt32BE(0) & 0xFFFFFF,
+    payload: dataAtom.data.subarray(8)
+  };
+}
+
+function buildItem(type, dataType, payload) {
+  const data = Buffer.alloc(8 + payload.length);
+  data.writeUInt32BE(dataType & 0xFFFFFF, 0);
+  // Bytes 4-7 are the locale, left as 0
+  payload.copy(data, 8);
+  return { type, children: [{ type: 'data', data }] };
+}
+
+function itemsToTags(ilst) {
+  const tags = {};
+  const items = ilst ? ilst.children : [];
+  const itemData = (field) => {
+    const item = items.find(child => child.type === ITEM_ATOMS[field]);
+    return item ? readItemData(item) : null;
+  };
+
+  ['title', 'artist', 'album', 'genre', 'lyrics', 'year', 'comment', 'composer'].forEach(field => {
+    const data = itemData(field);
+    tags[field] = data ? data.payload.toString('utf8') : '';
+  });
+
+  // A genre item with several data atoms holds multi-values, joined with null separators
+  // as in ID3v2.4
+  const genreItem = items.find(child => child.type === ITEM_ATOMS.genre);
+  if (genreItem && genreItem.children) {
+    tags.genre = genreItem.children
+      .filter(child => child.type === 'data' && child.data.length >= 8)
+      .map(child => child.data.subarray(8).toString('utf8'))
+      .join('\0');
+  }
+
+  NUMBER_PAIR_FIELDS.forEach(field => {
+    const pair = itemData(field);
+    if (pair && pair.payload.length >= 6) {
+      const number = pair.payload.readUInt16BE(2);
+      const total = pair.payload.readUInt16BE(4);
+      tags[field] = number ? (total ? `${number}/${total}` : String(number)) : '';
+    } else {
+      tags[field] = '';
+    }
+  });
+
+  const tempo = itemData('bpm');
+  tags.bpm = tempo && tempo.payload.length >= 2 && tempo.payload.readUInt16BE(0)
+    ? String(tempo.payload.readUInt16BE(0))
+    : '';
+
+  // ©day usually holds a full date, the model only keeps the year
+  const yearMatch = tags.year.match(/\d{4}/);
+  tags.year = yearMatch ? yearMatch[0] : '';
+
+  // MP4 has no standard item for ID3's WOAS source URL
+  tags.audioSourceUrl = '';
+  tags.id3Version = '';
+
+  const cover = itemData('image');
+  tags.image = cover
+    ? { mime: cover.type === DATA_TYPE_PNG ? 'image/png' : 'image/jpeg', imageBuffer: cover.payload }
+    : null;
+
+  return tags;
+}
+
+function applyTagsToItems(ilst, tags) {
+  Object.keys(ITEM_ATOMS).forEach(field => {
+    if (tags[field] === undefined) return;
+
+    const atomType = ITEM_ATOMS[field];
+    ilst.children = ilst.children.filter(child => child.type !== atomType);
+
+    const value = tags[field];
+    if (value === null || value === '') return;
+
+    if (field === 'image') {
+      if (!value.imageBuffer) return;
+      const dataType = value.mime === 'image/png' ? DATA_TYPE_PNG : DATA_TYPE_JPEG;
+      ilst.children.push(buildItem(atomType, dataType, value.imageBuffer));
+    } else if (NUMBER_PAIR_FIELDS.includes(field)) {
+      const [number, total] = String(value).split('/').map(n => parseInt(n) || 0);
+      // trkn payloads are 8 bytes, disk payloads 6
+      const payload = Buffer.alloc(field === 'trackNumber' ? 8 : 6);
+      payload.writeUInt16BE(number & 0xFFFF, 2);
+      payload.writeUInt16BE((total || 0) & 0xFFFF, 4);
+      ilst.children.push(buildItem(atomType, DATA_TYPE_IMPLICIT, payload));
+    } else if (field === 'bpm') {
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE((parseInt(value) || 0) & 0xFFFF, 0);
+      ilst.children.push(buildItem(atomType, DATA_TYPE_INTEGER, payload));
+    } else if (field === 'genre') {
+      // Null-separated multi-values get one data atom each in the genre item
+      const dataAtoms = String(value).split('\0').map(v => v.trim()).filter(v => v)
+        .map(genre => buildItem(atomType, DATA_TYPE_UTF8, Buffer.from(genre, 'utf8')).children[0]);
+      if (dataAtoms.length > 0) ilst.children.push({ type: atomType, children: dataAtoms });
+    } else {
+      ilst.children.push(buildItem(atomType, DATA_TYPE_UTF8, Buffer.from(String(value), 'utf8')));
+    }
+  });
+
+  // The old genre index atom would shadow the new text genre in some players
+  if (tags.genre !== undefined) {
+    ilst.children = ilst.children.filter(child => child.type !== 'gnre');
+  }
+}
+
+// Shift chunk offsets (stco/co64) that point past the moov atom by delta bytes
+function shiftChunkOffsets(moov, moovStart, delta) {
+  const visit = (atom) => {
+    if (atom.children) {
+      atom.children.forEach(visit);
+      return;
+    }
+    if (atom.type === 'stco') {
+      const count = atom.data.readUInt32BE(4);
+      for (let i = 0; i < count; i++) {
+        const offset = atom.data.readUInt32BE(8 + i * 4);
+        if (offset > moovStart) atom.data.writeUInt32BE(offset + delta, 8 + i * 4);
+      }
+    } else if (atom.type === 'co64') {
+      const count = atom.data.readUInt32BE(4);
+      for (let i = 0; i < count; i++) {
+        const offset = atom.data.readBigUInt64BE(8 + i * 8);
+        if (offset > BigInt(moovStart)) atom.data.writeBigUInt64BE(offset + BigInt(delta), 8 + i * 8);
+      }
+    }
+  };
+  visit(moov);
+}
+
+function readMoov(fd) {
+  const moovAtom = readTopLevelAtoms(fd).find(atom => atom.type === 'moov');
+  if (!moovAtom) {
+    throw new Error('MP4 file has no moov atom');
+  }
+  const buffer = readBytes(fd, moovAtom.start, moovAtom.size);
+  const [moov] = parseAtoms(buffer, 0, buffer.length, null);
+  return { moovAtom, moov };
+}
+
+function read(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { moov } = readMoov(fd);
+    return itemsToTags(getItemList(moov, false));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function write(filePath, tags) {
+  rewriteFile(filePath, (srcFd, dstFd) => {
+    const { moovAtom, moov } = readMoov(srcFd);
+    applyTagsToItems(getItemList(moov, true), tags);
+
+    // The offset table sizes don't change, so the new moov size is known before shifting
+    const delta = serializeAtom(moov).length - moovAtom.size;
+    if (delta !== 0) {
+      shiftChunkOffsets(moov, moovAtom.start, delta);
+    }
+
+    const fileSize = fs.fstatSync(srcFd).size;
+    const moovEnd = moovAtom.start + moovAtom.size;
+
+    copyRange(srcFd, dstFd, 0, moovAtom.start);
+    fs.writeSync(dstFd, serializeAtom(moov));
+    copyRange(srcFd, dstFd, moovEnd, fileSize - moovEnd);
+  });
+
+  return true;
+}
+
+module.exports = {
+  name: 'mp4',
+  extensions: ['.m4a', '.m4b', '.mp4'],
+  read,
+  write
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const { readBytes, copyRange, rewriteFile } = require('./file-utils');
+const {
+  DEFAULT_VENDOR,
+  parseVorbisComment,
+  buildVorbisComment,
+  buildPictureBlock,
+  commentsToTags,
+  applyTagsToComments
+} = require('./vorbis-comment');
+
+const PAGE_HEADER_SIZE = 27;
+const MAX_SEGMENTS = 255;
+const FLAG_CONTINUED = 0x01;
+const FLAG_FIRST_PAGE = 0x02;
+
+// Codec specific header layouts: how many header packets there are and how the
+// comment packet is framed around the Vorbis comment structure
+const CODECS = {
+  vorbis: {
+    headerPackets: 3,
+    matches: (packet) => packet.length > 7 && packet[0] === 0x01 && packet.toString('ascii', 1, 7) === 'vorbis',
+    commentPrefix: Buffer.from([0x03, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73]), // "\x03vorbis"
+    commentSuffix: Buffer.from([0x01]) // framing bit
+  },
+  opus: {
+    headerPackets: 2,
+    matches: (packet) => packet.length > 8 && packet.toString('ascii', 0, 8) === 'OpusHead',
+    commentPrefix: Buffer.from('OpusTags', 'ascii'),
+    commentSuffix: Buffer.alloc(0)
+  }
+};
+
+// Ogg uses a non-reflected CRC-32 with polynomial 0x04c11db7
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) {
+      r = (r & 0x80000000) ? ((r << 1) ^ 0x04C11DB7) : (r << 1);
+    }
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xFF]) >>> 0;
+  }
+  return crc;
+}
+
+// Read the page starting at position, or null at end of file
+function readPage(fd, position) {
+  const header = readBytes(fd, position, PAGE_HEADER_SIZE);
+  if (header.length < PAGE_HEADER_SIZE) return null;
+  if (header.toString('ascii', 0, 4) !== 'OggS') {
+    throw new Error(`Invalid Ogg page at offset ${position}`);
+  }
+
+  const segmentCount = header[26];
+  const segments = readBytes(fd, position + PAGE_HEADER_SIZE, segmentCount);
+  const bodyLength = segments.reduce((sum, size) => sum + size, 0);
+  const headerLength = PAGE_HEADER_SIZE + segmentCount;
+
+  return {
+    position,
+    flags: header[5],
+    serial: header.readUInt32LE(14),
+    sequence: header.readUInt32LE(18),
+    segments,
+    header: Buffer.concat([header, segments]),
+    body: readBytes(fd, position + headerLength, bodyLength),
+    size: headerLength + bodyLength
+  };
+}
+
+// Re-stamp a page with a new sequence number and CRC
+function renumberPage(page, sequence) {
+  const buffer = Buffer.concat([page.header, page.body]);
+  buffer.writeUInt32LE(sequence, 18);
+  buffer.writeUInt32LE(0, 22);
+  buffer.writeUInt32LE(oggCrc(buffer), 22);
+  return buffer;
+}
+
+// Split a packet over as many pages as needed (granule position 0, header pages only)
+function buildPacketPages(packet, serial, firstSequence) {
+  const lacing = [];
+  let remaining = packet.length;
+  while (remaining >= 255) {
+    lacing.push(255);
+    remaining -= 255;
+  }
+  lacing.push(remaining);
+
+  const pages = [];
+  let offset = 0;
+  for (let start = 0; start < lacing.length; start += MAX_SEGMENTS) {
+    const pageLacing = lacing.slice(start, start + MAX_SEGMENTS);
+    const bodyLength = pageLacing.reduce((sum, size) => sum + size, 0);
+
+    const header = Buffer.alloc(PAGE_HEADER_SIZE);
+    header.write('OggS', 0, 'ascii');
+    header[5] = start > 0 ? FLAG_CONTINUED : 0;
+    // Granule position (bytes 6-13) stays 0 for header packets
+    header.writeUInt32LE(serial, 14);
+    header[26] = pageLacing.length;
+
+    const page = {
+      header: Buffer.concat([header, Buffer.from(pageLacing)]),
+      body: packet.subarray(offset, offset + bodyLength)
+    };
+    pages.push(renumberPage(page, firstSequence + pages.length));
+    offset += bodyLength;
+  }
+
+  return pages;
+}
+
+// Collect the header packets of the first logical stream
+function readHeaderPackets(fd) {
+  const packets = [];
+  let current = [];
+  let codec = null;
+  let serial = null;
+  let position = 0;
+  let pagesRead = 0;
+
+  for (;;) {
+    const page = readPage(fd, position);
+    if (!page) throw new Error('Unexpected end of Ogg stream while reading headers');
+    position += page.size;
+
+    if (serial === null) {
+      if (!(page.flags & FLAG_FIRST_PAGE)) throw new Error('Ogg stream does not start with a first page');
+      serial = page.serial;
+    }
+    if (page.serial !== serial) continue;
+    pagesRead++;
+
+    let offset = 0;
+    for (const size of page.segments) {
+      current.push(page.body.subarray(offset, offset + size));
+      offset += size;
+      if (size < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+
+        if (packets.length === 1) {
+          codec = Object.keys(CODECS).find(name => CODECS[name].matches(packets[0]));
+          if (!codec) throw new Error('Unsupported Ogg codec (only Vorbis and Opus are supported)');
+        }
+      }
+    }
+
+    if (codec && packets.length >= CODECS[codec].headerPackets && current.length === 0) {
+      return { codec, serial, packets, headerEnd: position, headerPages: pagesRead };
+    }
+  }
+}
+
+function parseCommentPacket(codec, packet) {
+  const { commentPrefix } = CODECS[codec];
+  if (!packet.subarray(0, commentPrefix.length).equals(commentPrefix)) {
+    throw new Error('Ogg comment header not found');
+  }
+  return parseVorbisComment(packet, commentPrefix.length);
+}
+
+function read(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { codec, packets } = readHeaderPackets(fd);
+    const { comments } = parseCommentPacket(codec, packets[1]);
+    return commentsToTags(comments);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function write(filePath, tags) {
+  rewriteFile(filePath, (srcFd, dstFd) => {
+    const { codec, serial, packets, headerEnd, headerPages } = readHeaderPackets(srcFd);
+    const { commentPrefix, commentSuffix } = CODECS[codec];
+
+    let existing;
+    try {
+      existing = parseCommentPacket(codec, packets[1]);
+    } catch (error) {
+      existing = { vendor: DEFAULT_VENDOR, comments: [] };
+    }
+
+    let comments = applyTagsToComments(existing.comments, tags);
+    if (tags.image !== undefined) {
+      comments = comments.filter(comment => comment.key !== 'METADATA_BLOCK_PICTURE' && comment.key !== 'COVERART');
+      if (tags.image && tags.image.imageBuffer) {
+        comments.push({ key: 'METADATA_BLOCK_PICTURE', value: buildPictureBlock(tags.image).toString('base64') });
+      }
+    }
+
+    const commentPacket = Buffer.concat([
+      commentPrefix,
+      buildVorbisComment({ vendor: existing.vendor, comments }),
+      commentSuffix
+    ]);
+
+    // The identification packet always sits alone on the first page - keep it untouched
+    const firstPage = readPage(srcFd, 0);
+    fs.writeSync(dstFd, Buffer.concat([firstPage.header, firstPage.body]));
+
+    // Rebuild the remaining header packets, each starting on a fresh page
+    let sequence = 1;
+    const headerPackets = [commentPacket].concat(packets.slice(2));
+    headerPackets.forEach(packet => {
+      buildPacketPages(packet, serial, sequence).forEach(page => {
+        fs.writeSync(dstFd, page);
+        sequence++;
+      });
+    });
+
+    // Audio pages keep their content but their sequence numbers shift with the header size
+    const sequenceShift = sequence - headerPages;
+    const fileSize = fs.fstatSync(srcFd).size;
+
+    if (sequenceShift === 0) {
+      copyRange(srcFd, dstFd, headerEnd, fileSize - headerEnd);
+      return;
+    }
+
+    let position = headerEnd;
+    for (;;) {
+      const page = readPage(srcFd, position);
+      if (!page) break;
+      if (page.serial === serial) {
+        fs.writeSync(dstFd, renumberPage(page, page.sequence + sequenceShift));
+      } else {
+        fs.writeSync(dstFd, Buffer.concat([page.header, page.body]));
+      }
+      position += page.size;
+    }
+  });
+
+  return true;
+}
+
+module.exports = {
+  name: 'ogg',
+  extensions: ['.ogg', '.oga', '.opus'],
+  read,
+  write
+};
@@ -0,0 +1,200 @@
+// Vorbis comment helpers shared by the FLAC and Ogg handlers
+
+const DEFAULT_VENDOR = 'SelectGenreApp';
+
+// Shared tag model field -> Vorbis comment keys (first key is used when writing)
+const FIELD_KEYS = {
+  title: ['TITLE'],
+  artist: ['ARTIST'],
+  album: ['ALBUM'],
+  genre: ['GENRE'],
+  lyrics: ['LYRICS', 'UNSYNCEDLYRICS'],
+  trackNumber: ['TRACKNUMBER'],
+  discNumber: ['DISCNUMBER'],
+  year: ['DATE', 'YEAR'],
+  bpm: ['BPM'],
+  comment: ['COMMENT', 'DESCRIPTION'],
+  composer: ['COMPOSER'],
+  // No standard key for ID3's WOAS frame - this is the name Mp3tag uses
+  audioSourceUrl: ['WWWAUDIOSOURCE']
+};
+
+// Fields that may appear several times. Artists are joined with "; " when read; genres are
+// joined with null separators like ID3v2.4 multi-values, so they are written back the same way.
+const MULTI_VALUE_FIELDS = ['artist', 'genre'];
+
+// Parse a Vorbis comment structure (without any codec specific packet prefix)
+function parseVorbisComment(buffer, offset = 0) {
+  let position = offset;
+
+  const vendorLength = buffer.readUInt32LE(position);
+  position += 4;
+  const vendor = buffer.toString('utf8', position, position + vendorLength);
+  position += vendorLength;
+
+  const count = buffer.readUInt32LE(position);
+  position += 4;
+
+  const comments = [];
+  for (let i = 0; i < count && position + 4 <= buffer.length; i++) {
+    const length = buffer.readUInt32LE(position);
+    position += 4;
+    const entry = buffer.toString('utf8', position, position + length);
+    position += length;
+
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      comments.push({ key: entry.slice(0, separator).toUpperCase(), value: entry.slice(separator + 1) });
+    }
+  }
+
+  return { vendor, comments, length: position - offset };
+}
+
+function buildVorbisComment({ vendor = DEFAULT_VENDOR, comments = [] }) {
+  const parts = [];
+  const vendorBuffer = Buffer.from(vendor, 'utf8');
+
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(vendorBuffer.length);
+  parts.push(header, vendorBuffer);
+
+  const countBuffer = Buffer.alloc(4);
+  countBuffer.writeUInt32LE(comments.length);
+  parts.push(countBuffer);
+
+  comments.forEach(({ key, value }) => {
+    const entry = Buffer.from(`${key}=${value}`, 'utf8');
+    const lengthBuffer = Buffer.alloc(4);
+    lengthBuffer.writeUInt32LE(entry.length);
+    parts.push(lengthBuffer, entry);
+  });
+
+  return Buffer.concat(parts);
+}
+
+// Parse a FLAC PICTURE block (also used base64-encoded as METADATA_BLOCK_PICTURE in Ogg)
+function parsePictureBlock(buffer) {
+  let position = 0;
+  const pictureType = buffer.readUInt32BE(position);
+  position += 4;
+  const mimeLength = buffer.readUInt32BE(position);
+  position += 4;
+  const mime = buffer.toString('ascii', position, position + mimeLength);
+  position += mimeLength;
+  const descriptionLength = buffer.readUInt32BE(position);
+  position += 4;
+  const description = buffer.toString('utf8', position, position + descriptionLength);
+  position += descriptionLength;
+  position += 16; // width, height, colour depth, indexed colours
+  const dataLength = buffer.readUInt32BE(position);
+  position += 4;
+
+  return {
+    pictureType,
+    mime,
+    description,
+    imageBuffer: buffer.subarray(position, position + dataLength)
+  };
+}
+
+function buildPictureBlock({ mime = 'image/jpeg', imageBuffer, description = 'Album Cover', pictureType = 3 }) {
+  const mimeBuffer = Buffer.from(mime, 'ascii');
+  const descriptionBuffer = Buffer.from(description, 'utf8');
+  const block = Buffer.alloc(32 + mimeBuffer.length + descriptionBuffer.length);
+
+  let position = 0;
+  block.writeUInt32BE(pictureType, position);
+  position += 4;
+  block.writeUInt32BE(mimeBuffer.length, position);
+  position += 4;
+  mimeBuffer.copy(block, position);
+  position += mimeBuffer.length;
+  block.writeUInt32BE(descriptionBuffer.length, position);
+  position += 4;
+  descriptionBuffer.copy(block, position);
+  position += descriptionBuffer.length;
+  position += 16; // Dimensions unknown - left as zero, which the spec allows
+  block.writeUInt32BE(imageBuffer.length, position);
+
+  return Buffer.concat([block, imageBuffer]);
+}
+
+// Pick the front cover (or the first picture) from a list of parsed pictures
+function pickCover(pictures) {
+  const cover = pictures.find(picture => picture.pictureType === 3) || pictures[0];
+  return cover ? { mime: cover.mime || 'image/jpeg', imageBuffer: cover.imageBuffer } : null;
+}
+
+// Convert Vorbis comments to the shared tag model
+function commentsToTags(comments, pictures = []) {
+  const tags = {};
+
+  Object.keys(FIELD_KEYS).forEach(field => {
+    const values = comments
+      .filter(comment => FIELD_KEYS[field].includes(comment.key))
+      .map(comment => comment.value);
+
+    if (MULTI_VALUE_FIELDS.includes(field)) {
+      tags[field] = values.join(field === 'genre' ? '\0' : '; ');
+    } else {
+      tags[field] = values[0] || '';
+    }
+  });
+
+  // DATE usually holds a full date ("2024-05-01"), the model only keeps the year
+  const yearMatch = tags.year.match(/\d{4}/);
+  tags.year = yearMatch ? yearMatch[0] : '';
+  tags.id3Version = '';
+
+  // Ogg files carry their artwork as base64 encoded picture blocks inside the comments
+  const embeddedPictures = comments
+    .filter(comment => comment.key === 'METADATA_BLOCK_PICTURE')
+    .map(comment => {
+      try {
+        return parsePictureBlock(Buffer.from(comment.value, 'base64'));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(picture => picture);
+
+  tags.image = pickCover(pictures.concat(embeddedPictures));
+  return tags;
+}
+
+// Return a new comment list with the given (partial) shared tag model applied
+function applyTagsToComments(comments, tags) {
+  let updated = comments.slice();
+
+  Object.keys(FIELD_KEYS).forEach(field => {
+    if (tags[field] === undefined) return;
+
+    const keys = FIELD_KEYS[field];
+    updated = updated.filter(comment => !keys.includes(comment.key));
+
+    const value = tags[field] === null ? '' : String(tags[field]);
+    if (value.trim() === '') return;
+
+    // Null-separated values become one comment per value, as do "a; b" artists; a "rock; pop"
+    // genre stays one comment (the joined genre style)
+    const values = MULTI_VALUE_FIELDS.includes(field)
+      ? value.split(field === 'genre' ? '\0' : /[;\0]/).map(v => v.trim()).filter(v => v)
+      : [value];
+
+    values.forEach(v => updated.push({ key: keys[0], value: v }));
+  });
+
+  return updated;
+}
+
+module.exports = {
+  DEFAULT_VENDOR,
+  parseVorbisComment,
+  buildVorbisComment,
+  parsePictureBlock,
+  buildPictureBlock,
+  pickCover,
+  commentsToTags,
+  applyTagsToComments
+};
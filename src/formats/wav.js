@@ -0,0 +1,180 @@
+const fs = require('fs');
+const NodeID3 = require('node-id3');
+const { readBytes, copyRange, rewriteFile } = require('./file-utils');
+const { detectId3Version, fromId3, toId3, buildId3Tag } = require('./id3');
+
+// RIFF INFO chunk ids for each text field of the shared tag model
+const INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  IGNR: 'genre',
+  ITRK: 'trackNumber',
+  ICRD: 'year',
+  ICMT: 'comment'
+};
+
+function isId3Chunk(id) {
+  return id === 'id3 ' || id === 'ID3 ';
+}
+
+// List the chunks of a RIFF/WAVE file: [{ id, start, size }] (start points at the chunk header)
+function readChunks(fd) {
+  const header = readBytes(fd, 0, 12);
+  if (header.length < 12 || header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a valid WAV file');
+  }
+
+  const fileSize = fs.fstatSync(fd).size;
+  const chunks = [];
+  let position = 12;
+
+  while (position + 8 <= fileSize) {
+    const chunkHeader = readBytes(fd, position, 8);
+    const id = chunkHeader.toString('ascii', 0, 4);
+    const size = chunkHeader.readUInt32LE(4);
+    chunks.push({ id, start: position, size });
+    // Chunks are padded to an even number of bytes
+    position += 8 + size + (size % 2);
+  }
+
+  return chunks;
+}
+
+function readInfoTags(fd, chunk) {
+  const data = readBytes(fd, chunk.start + 8, chunk.size);
+  const tags = {};
+  if (data.toString('ascii', 0, 4) !== 'INFO') return tags;
+
+  let position = 4;
+  while (position + 8 <= data.length) {
+    const id = data.toString('ascii', position, position + 4);
+    const size = data.readUInt32LE(position + 4);
+    const value = data.toString('utf8', position + 8, position + 8 + size).replace(/\0+$/, '');
+    if (INFO_FIELDS[id]) {
+      tags[INFO_FIELDS[id]] = value;
+    }
+    position += 8 + size + (size % 2);
+  }
+
+  return tags;
+}
+
+// The INFO list of a LIST chunk with the fields being written replaced: a field the write
+// clears is dropped, one it changes gets the new value (read() falls back to INFO, so a stale
+// value would come back). id3Tags is toId3() of the write; fields it doesn't touch are kept.
+// Returns the new chunk data, or null when no INFO field is left.
+function rebuildInfoList(data, tags, id3Tags) {
+  const subChunks = [];
+  let position = 4;
+  while (position + 8 <= data.length) {
+    const id = data.toString('ascii', position, position + 4);
+    const size = data.readUInt32LE(position + 4);
+    const field = INFO_FIELDS[id];
+    if (field && tags[field] !== undefined) {
+      const value = field === 'comment' ? id3Tags.comment.text : id3Tags[field];
+      if (value) {
+        const text = Buffer.from(`${value}\0`, 'utf8');
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 'ascii');
+        header.writeUInt32LE(text.length, 4);
+        subChunks.push(header, text, Buffer.alloc(text.length % 2));
+      }
+    } else {
+      subChunks.push(data.subarray(position, Math.min(data.length, position + 8 + size + (size % 2))));
+    }
+    position += 8 + size + (size % 2);
+  }
+
+  return subChunks.length > 0 ? Buffer.concat([data.subarray(0, 4), ...subChunks]) : null;
+}
+
+function read(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const chunks = readChunks(fd);
+
+    const infoChunk = chunks.find(chunk => chunk.id === 'LIST');
+    const infoTags = infoChunk ? readInfoTags(fd, infoChunk) : {};
+
+    const id3Chunk = chunks.find(chunk => isId3Chunk(chunk.id));
+    const id3Data = id3Chunk ? readBytes(fd, id3Chunk.start + 8, id3Chunk.size) : null;
+    const id3Tags = id3Data ? fromId3(NodeID3.read(id3Data), detectId3Version(id3Data), id3Data) : fromId3({});
+
+    // ID3 values win over the more limited INFO chunk
+    const tags = { ...id3Tags };
+    Object.keys(infoTags).forEach(field => {
+      if (!tags[field]) tags[field] = infoTags[field];
+    });
+    // ICRD holds a full date
+    const yearMatch = String(tags.year || '').match(/\d{4}/);
+    tags.year = yearMatch ? yearMatch[0] : '';
+    return tags;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function write(filePath, tags) {
+  rewriteFile(filePath, (srcFd, dstFd) => {
+    const chunks = readChunks(srcFd);
+    const id3Chunk = chunks.find(chunk => isId3Chunk(chunk.id));
+    const existingTag = id3Chunk ? readBytes(srcFd, id3Chunk.start + 8, id3Chunk.size) : Buffer.alloc(0);
+
+    const id3Tags = toId3(tags);
+    const newTag = buildId3Tag(tags, existingTag);
+
+    // INFO lists are rebuilt in memory, every other chunk is copied as it is
+    const keptChunks = [];
+    chunks.filter(chunk => !isId3Chunk(chunk.id)).forEach(chunk => {
+      const listData = chunk.id === 'LIST' ? readBytes(srcFd, chunk.start + 8, chunk.size) : null;
+      if (!listData || listData.toString('ascii', 0, 4) !== 'INFO') {
+        keptChunks.push(chunk);
+        return;
+      }
+      const data = rebuildInfoList(listData, tags, id3Tags);
+      if (data) keptChunks.push({ id: 'LIST', size: data.length, data });
+    });
+    const chunkBytes = keptChunks.reduce((sum, chunk) => sum + 8 + chunk.size + (chunk.size % 2), 0);
+    const id3Bytes = 8 + newTag.length + (newTag.length % 2);
+
+    const riffHeader = Buffer.alloc(12);
+    riffHeader.write('RIFF', 0, 'ascii');
+    riffHeader.writeUInt32LE(4 + chunkBytes + id3Bytes, 4);
+    riffHeader.write('WAVE', 8, 'ascii');
+    fs.writeSync(dstFd, riffHeader);
+
+    keptChunks.forEach(chunk => {
+      if (!chunk.data) {
+        copyRange(srcFd, dstFd, chunk.start, 8 + chunk.size + (chunk.size % 2));
+        return;
+      }
+      const listHeader = Buffer.alloc(8);
+      listHeader.write('LIST', 0, 'ascii');
+      listHeader.writeUInt32LE(chunk.size, 4);
+      fs.writeSync(dstFd, listHeader);
+      fs.writeSync(dstFd, chunk.data);
+      if (chunk.size % 2) {
+        fs.writeSync(dstFd, Buffer.alloc(1));
+      }
+    });
+
+    const id3Header = Buffer.alloc(8);
+    id3Header.write('id3 ', 0, 'ascii');
+    id3Header.writeUInt32LE(newTag.length, 4);
+    fs.writeSync(dstFd, id3Header);
+    fs.writeSync(dstFd, newTag);
+    if (newTag.length % 2) {
+      fs.writeSync(dstFd, Buffer.alloc(1));
+    }
+  });
+
+  return true;
+}
+
+module.exports = {
+  name: 'wav',
+  extensions: ['.wav'],
+  read,
+  write
+};
@@ -0,0 +1,184 @@
+// Genre cleanup policy engine. The Clean Genres preview and apply both go through
+// planGenreChanges so what gets written is always exactly what was previewed.
+
+const { parseGenres } = require('./genres');
+
+// Mood and descriptor words that say little about the style of a song
+const DEFAULT_DESCRIPTOR_WORDS = [
+  'dark', 'atmospheric', 'moody', 'chill', 'mellow', 'dreamy', 'emotional', 'epic', 'energetic',
+  'upbeat', 'sad', 'happy', 'melancholic', 'melancholy', 'uplifting', 'aggressive', 'calm',
+  'catchy', 'haunting', 'intense', 'nostalgic', 'romantic', 'soft', 'heavy', 'groovy'
+];
+
+const DEFAULT_POLICY = {
+  minGenres: 1, // A file never ends up with fewer genres than this (unless it had fewer to begin with)
+  refillTo: 2, // When the minimum kicks in, removed genres are restored up to this many
+  maxGenres: 0, // 0 = no limit
+  fallbackGenre: '', // Used when a file would be left with no genre at all
+  priorityGenres: [], // Kept first when trimming to maxGenres and restored first by the minimum rule
+  dropDescriptors: false,
+  descriptorWords: DEFAULT_DESCRIPTOR_WORDS,
+  sort: 'none', // 'none' | 'alphabetical' | 'length'
+  dedupe: true
+};
+
+const SORT_MODES = ['none', 'alphabetical', 'length'];
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(item => item);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(item => item);
+  return [];
+}
+
+function toCount(value, fallback) {
+  const number = parseInt(value);
+  return number >= 0 ? number : fallback;
+}
+
+// Fill in defaults and coerce values coming from the renderer or a saved profile
+function normalizePolicy(policy = {}) {
+  return {
+    minGenres: toCount(policy.minGenres, DEFAULT_POLICY.minGenres),
+    refillTo: toCount(policy.refillTo, DEFAULT_POLICY.refillTo),
+    maxGenres: toCount(policy.maxGenres, DEFAULT_POLICY.maxGenres),
+    fallbackGenre: String(policy.fallbackGenre || '').trim(),
+    priorityGenres: toList(policy.priorityGenres),
+    dropDescriptors: !!policy.dropDescriptors,
+    descriptorWords: policy.descriptorWords !== undefined ? toList(policy.descriptorWords) : DEFAULT_DESCRIPTOR_WORDS.slice(),
+    sort: SORT_MODES.includes(policy.sort) ? policy.sort : DEFAULT_POLICY.sort,
+    dedupe: policy.dedupe !== false
+  };
+}
+
+// Build a planner for one cleanup request:
+// { remove: [...], mappings: [{ from: [...], to }], caseInsensitive, policy }
+function createGenrePlanner(cleanup = {}) {
+  const caseInsensitive = cleanup.caseInsensitive !== false;
+  const policy = normalizePolicy(cleanup.policy);
+  const key = (genre) => caseInsensitive ? genre.toLowerCase() : genre;
+
+  const mappingLookup = new Map();
+  (cleanup.mappings || []).forEach(mapping => {
+    const target = String(mapping.to || '').trim();
+    if (!target) return;
+    toList(mapping.from).forEach(genre => mappingLookup.set(key(genre), target));
+  });
+
+  const removeKeys = new Set(toList(cleanup.remove).map(key));
+  const descriptorKeys = new Set(policy.dropDescriptors ? policy.descriptorWords.map(key) : []);
+  const priorityKeys = policy.priorityGenres.map(key);
+
+  const mapGenre = (genre) => mappingLookup.get(key(genre)) || genre;
+  const priorityOf = (genre) => {
+    const index = priorityKeys.indexOf(key(genre));
+    return index === -1 ? priorityKeys.length : index;
+  };
+  const addUnique = (list, genre) => {
+    if (!policy.dedupe || !list.some(existing => key(existing) === key(genre))) {
+      list.push(genre);
+    }
+  };
+
+  // genre is the tag value as read (any separator style) or an already parsed list
+  return function planGenres(genre) {
+    // Duplicates are left in so the dedupe policy decides whether they get merged
+    const originalGenres = parseGenres(genre, { dedupe: false });
+    const actions = [];
+
+    // 1. Mappings - every genre becomes its canonical name
+    const mappedGenres = [];
+    originalGenres.forEach(original => addUnique(mappedGenres, mapGenre(original)));
+    if (originalGenres.some(original => mapGenre(original) !== original) || mappedGenres.length !== originalGenres.length) {
+      actions.push('Merging/renaming genres');
+    }
+
+    // 2. Removals - selected genres (by original or mapped name) and descriptor words
+    let newGenres = [];
+    const removedGenres = [];
+    let droppedDescriptors = false;
+    originalGenres.forEach(original => {
+      const mapped = mapGenre(original);
+      if (removeKeys.has(key(original)) || removeKeys.has(key(mapped))) {
+        addUnique(removedGenres, mapped);
+      } else if (descriptorKeys.has(key(mapped))) {
+        addUnique(removedGenres, mapped);
+        droppedDescriptors = true;
+      } else {
+        addUnique(newGenres, mapped);
+      }
+    });
+
+    // 3. Minimum - restore removed genres (priority genres first, then the shortest)
+    if (newGenres.length < policy.minGenres && removedGenres.length > 0) {
+      const target = Math.max(policy.minGenres, policy.refillTo);
+      const candidates = removedGenres.slice().sort((a, b) => priorityOf(a) - priorityOf(b) || a.length - b.length);
+      const kept = newGenres.length;
+      for (const candidate of candidates) {
+        if (newGenres.length >= target) break;
+        addUnique(newGenres, candidate);
+      }
+      const restored = newGenres.length - kept;
+      actions.push(kept === 0 && restored === removedGenres.length
+        ? 'Keeping all (min genres rule)'
+        : `Keeping ${restored} shortest (min genres rule)`);
+    } else if (removedGenres.length > 0) {
+      actions.push(droppedDescriptors ? 'Removing selected genres and descriptors' : 'Removing selected genres');
+    }
+
+    // 4. Maximum - keep priority genres first, otherwise the original order
+    if (policy.maxGenres > 0 && newGenres.length > policy.maxGenres) {
+      const ranked = newGenres
+        .map((g, index) => ({ g, index }))
+        .sort((a, b) => priorityOf(a.g) - priorityOf(b.g) || a.index - b.index)
+        .slice(0, policy.maxGenres);
+      newGenres = ranked.sort((a, b) => a.index - b.index).map(item => item.g);
+      actions.push(`Trimming to ${policy.maxGenres} genres (max genres rule)`);
+    }
+
+    // 5. Fallback for files left without any genre
+    if (newGenres.length === 0 && policy.fallbackGenre) {
+      newGenres = [policy.fallbackGenre];
+      actions.push('Using fallback genre');
+    }
+
+    // 6. Sorting
+    if (policy.sort === 'alphabetical') {
+      newGenres.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    } else if (policy.sort === 'length') {
+      newGenres.sort((a, b) => a.length - b.length);
+    }
+
+    const newGenre = newGenres.join('; ');
+    const hasChanges = newGenre !== originalGenres.join('; ');
+    if (hasChanges && actions.length === 0) {
+      actions.push('Sorting genres');
+    }
+
+    return {
+      originalGenres,
+      newGenres,
+      newGenre,
+      hasChanges,
+      actionText: actions.length > 0 ? actions.join(', ') : 'No change'
+    };
+  };
+}
+
+// Plan the genre changes for a list of files ({ filePath, filename, genre, genres })
+function planGenreChanges(files, cleanup = {}) {
+  const planGenres = createGenrePlanner(cleanup);
+  return files.map(file => ({
+    filePath: file.filePath,
+    filename: file.filename,
+    originalGenre: file.genre,
+    ...planGenres(file.genres || file.genre)
+  }));
+}
+
+module.exports = {
+  DEFAULT_DESCRIPTOR_WORDS,
+  DEFAULT_POLICY,
+  normalizePolicy,
+  createGenrePlanner,
+  planGenreChanges
+};
@@ -0,0 +1,144 @@
+// Shared genre parsing and serialization. Every place that reads or writes a genre
+// string (metadata reading, genre cleanup, the scraper, naming templates) goes through here.
+
+// ID3v1 genre list, including the Winamp extensions (indices 80-191)
+const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+  'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+  'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+  'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+  'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival', 'Celtic', 'Bluegrass',
+  'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus', 'Easy Listening', 'Acoustic',
+  'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music', 'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove',
+  'Satire', 'Slow Jam', 'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle',
+  'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass', 'Club-House', 'Hardcore',
+  'Terror', 'Indie', 'BritPop', 'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover',
+  'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa', 'Thrash Metal', 'Anime', 'JPop', 'Synthpop', 'Abstract', 'Art Rock',
+  'Baroque', 'Bhangra', 'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic', 'Electro',
+  'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM', 'Illbient', 'Industro-Goth', 'Jam Band', 'Krautrock',
+  'Leftfield', 'Lounge', 'Math Rock', 'New Romantic', 'Nu-Breakz', 'Post-Punk', 'Post-Rock', 'Psytrance', 'Shoegaze', 'Space Rock',
+  'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook', 'Audio Theatre', 'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep',
+  'Garage Rock', 'Psybient'
+];
+
+// ID3v2.3 content type keywords besides the numeric references
+const ID3_GENRE_KEYWORDS = {
+  RX: 'Remix',
+  CR: 'Cover'
+};
+
+// Output styles for writing: 'v2.3' joins values into one "rock; pop" string,
+// 'v2.4' writes them as null-separated multi-values
+const GENRE_STYLES = ['v2.3', 'v2.4'];
+const DEFAULT_GENRE_STYLE = 'v2.3';
+
+// Placeholder genre values the metadata reader uses for files without real genres
+const PLACEHOLDER_GENRES = ['Unknown', 'Error reading file'];
+
+// Tag values that count as missing (compared case-insensitively): empty, or a placeholder the
+// metadata reader and the template variables fill in. Template defaults and the missing/present
+// rule conditions both go by this list.
+const MISSING_TAG_VALUES = ['', 'unknown', 'unknown artist', 'unknown title', 'unknown album', 'error', 'error reading file'];
+
+function resolveGenreReference(reference) {
+  if (ID3_GENRE_KEYWORDS[reference]) return ID3_GENRE_KEYWORDS[reference];
+  return ID3V1_GENRES[parseInt(reference)] || null;
+}
+
+// Expand ID3v1 style references in one value: "(17)" -> "Rock", "(17)(2)" -> "Rock", "Country",
+// "(17)Rock music" -> "Rock music" (the refinement text wins), "17" -> "Rock", "((foo)" -> "(foo)"
+function expandGenreReferences(value) {
+  if (/^\d{1,3}$/.test(value)) {
+    const genre = resolveGenreReference(value);
+    return genre ? [genre] : [value];
+  }
+
+  const genres = [];
+  let rest = value;
+  let match;
+  while ((match = rest.match(/^\((\d{1,3}|RX|CR)\)/))) {
+    const genre = resolveGenreReference(match[1]);
+    if (genre) genres.push(genre);
+    rest = rest.slice(match[0].length);
+  }
+
+  if (rest.startsWith('((')) {
+    rest = rest.slice(1);
+  }
+  rest = rest.trim();
+
+  // Refinement text replaces the reference it refines
+  if (rest) {
+    return genres.length > 0 ? genres.slice(0, -1).concat(rest) : [rest];
+  }
+  return genres;
+}
+
+// Parse a genre tag (string or array of values) into a clean list of genres.
+// Understands ";", "," and "|" separators (mixed and with trailing separators),
+// ID3v2.4 null-separated multi-values and ID3v1 numeric references. Duplicates are
+// dropped case-insensitively (keeping the first spelling) unless dedupe is false.
+function parseGenres(value, { dedupe = true } = {}) {
+  if (value === null || value === undefined) return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  const genres = [];
+  const seen = new Set();
+
+  values.forEach(item => {
+    const text = String(item);
+    if (PLACEHOLDER_GENRES.includes(text)) return;
+
+    text.split(/[\0;,|]/).forEach(part => {
+      expandGenreReferences(part.trim()).forEach(genre => {
+        const key = genre.toLowerCase();
+        if (genre && !(dedupe && seen.has(key))) {
+          seen.add(key);
+          genres.push(genre);
+        }
+      });
+    });
+  });
+
+  return genres;
+}
+
+function isMissingValue(value) {
+  if (value === undefined || value === null) return true;
+  return MISSING_TAG_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+function normalizeGenreStyle(style) {
+  return GENRE_STYLES.includes(style) ? style : DEFAULT_GENRE_STYLE;
+}
+
+// Serialize a list of genres for writing to a tag. The format handlers write 'v2.4' output
+// ("rock\0pop") as real multi-values: an ID3v2.4 tag, one GENRE comment per value in FLAC/Ogg,
+// one data atom per value in MP4. dedupe: false keeps duplicates (the cleanup policy's
+// "Remove duplicate genres" setting)
+function serializeGenres(genres, { style = DEFAULT_GENRE_STYLE, dedupe = true } = {}) {
+  const list = parseGenres(genres, { dedupe });
+  return normalizeGenreStyle(style) === 'v2.4' ? list.join('\0') : list.join('; ');
+}
+
+// Human readable form used in the UI and in file names, e.g. "rock, pop"
+function formatGenres(genres, separator = '; ') {
+  return parseGenres(genres).join(separator);
+}
+
+module.exports = {
+  ID3V1_GENRES,
+  GENRE_STYLES,
+  DEFAULT_GENRE_STYLE,
+  PLACEHOLDER_GENRES,
+  MISSING_TAG_VALUES,
+  isMissingValue,
+  parseGenres,
+  serializeGenres,
+  formatGenres,
+  normalizeGenreStyle
+};
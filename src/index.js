@@ -1,8 +1,49 @@
 const { app, BrowserWindow, dialog, ipcMain } = require('electron');
 const path = require('node:path');
 const fs = require('fs');
-const NodeID3 = require('node-id3');
 const puppeteer = require('puppeteer');
+const { scanLibrary } = require('./library-scanner');
+const { readTags, writeTags, pickRestoreTags } = require('./formats');
+const { initMetadataCache, renameCachedMetadata, getCachedArtworkIds, saveMetadataCache } = require('./metadata-cache');
+const { scanMetadata, refreshCachedFile, shutdownMetadataWorkers } = require('./metadata-scan');
+const { initArtworkStore, pruneArtworkStore } = require('./artwork-store');
+const { createFolderWatcher } = require('./folder-watcher');
+const { planGenreChanges } = require('./genre-policy');
+const { serializeGenres } = require('./genres');
+const {
+  initUndoJournal,
+  beginJournalEntry,
+  recordFileChange,
+  commitJournalEntry,
+  listJournalEntries,
+  undoJournalEntry,
+  redoJournalEntry,
+  clearUndoJournal
+} = require('./undo-journal');
+const {
+  createNamingPlan,
+  getNamingPlan,
+  discardNamingPlan,
+  findStaleFiles,
+  getRenameItems,
+  summarizeNamingPlan,
+  previewTemplate
+} = require('./naming-engine');
+const { resolveRenameConflicts, runRenameTransaction, removeEmptyFolders } = require('./rename-transaction');
+const { parseRuleSet, serializeRuleSet, mergeRuleSets, formatRuleSetIssue } = require('./rule-set');
+const { normalizeScraperSettings, getSunoUrl, runScrapingSession, summarizeScrapeErrors } = require('./scraper');
+const { initExtractors, reloadExtractors } = require('./extractors');
+const {
+  SCRAPE_MODES,
+  initScrapeSessions,
+  getScrapeSessionSummary,
+  startScrapeSession,
+  selectFilesToScrape,
+  recordScrapeOutcome,
+  finishScrapeSession,
+  clearScrapeSession
+} = require('./scrape-session');
+const { registerArtworkScheme, handleArtworkProtocol } = require('./artwork-protocol');
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (require('electron-squirrel-startup')) {
@@ -28,10 +69,19 @@ const createWindow = () => {
   mainWindow.webContents.openDevTools();
 };
 
+// The artwork:// scheme serves cover thumbnails and full images by artwork ID
+registerArtworkScheme();
+
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
 app.whenReady().then(() => {
+  initMetadataCache(app.getPath('userData'));
+  initArtworkStore(app.getPath('userData'));
+  initUndoJournal(app.getPath('userData'));
+  initScrapeSessions(app.getPath('userData'));
+  initExtractors(app.getPath('userData'));
+  handleArtworkProtocol();
   createWindow();
 
   // On OS X it's common to re-create a window in the app when the
@@ -52,6 +102,13 @@ app.on('window-all-closed', () => {
   }
 });
 
+app.on('before-quit', () => {
+  stopFolderWatch();
+  saveMetadataCache();
+  shutdownMetadataWorkers();
+  pruneArtworkStore(getCachedArtworkIds());
+});
+
 // IPC handler for folder selection
 ipcMain.handle('select-folder', async () => {
   const result = await dialog.showOpenDialog({
@@ -64,340 +121,278 @@ ipcMain.handle('select-folder', async () => {
   return null;
 });
 
-// IPC handler for reading MP3 metadata
-ipcMain.handle('read-mp3-metadata', async (event, folderPath) => {
+// Scan state for streamed metadata loading
+let scanState = {
+  scanId: 0,
+  cancelled: false
+};
+
+// IPC handler for reading audio file metadata (MP3, FLAC, M4A/AAC, OGG and WAV).
+// Returns every file at once - used for refreshes after changes.
+ipcMain.handle('read-mp3-metadata', async (event, folderPath, scanOptions = {}) => {
   try {
-    const files = fs.readdirSync(folderPath);
-    const mp3Files = files.filter(file => path.extname(file).toLowerCase() === '.mp3');
+    const { files } = await scanMetadata(folderPath, scanOptions);
+    return files;
+  } catch (error) {
+    console.error('Error reading folder:', error);
+    throw error;
+  }
+});
 
-    const results = [];
+// IPC handler for streaming a folder scan: files arrive in batches on 'metadata-scan-batch'
+// with counts on 'metadata-scan-progress', so the table can fill in while parsing continues
+ipcMain.handle('start-metadata-scan', async (event, folderPath, scanOptions = {}) => {
+  // A new scan replaces any scan still running, and the previous folder is no longer watched
+  const scanId = ++scanState.scanId;
+  scanState.cancelled = false;
+  stopFolderWatch();
+  const sender = event.sender;
+
+  const send = (channel, payload) => {
+    if (!sender.isDestroyed()) {
+      sender.send(channel, { scanId, ...payload });
+    }
+  };
 
-    for (const mp3File of mp3Files) {
-      const filePath = path.join(folderPath, mp3File);
-      try {
-        const tags = NodeID3.read(filePath);
-
-        // Handle album artwork
-        let albumArt = null;
-        if (tags.image && tags.image.imageBuffer) {
-          const imageBuffer = tags.image.imageBuffer;
-          const mimeType = tags.image.mime || 'image/jpeg';
-          albumArt = `data:${mimeType};base64,${imageBuffer.toString('base64')}`;
-        }
+  try {
+    const { total, cacheHits, cancelled } = await scanMetadata(folderPath, scanOptions, {
+      onBatch: (files) => send('metadata-scan-batch', { files }),
+      onProgress: (progress) => send('metadata-scan-progress', progress),
+      isCancelled: () => scanState.cancelled || scanState.scanId !== scanId
+    });
 
-        results.push({
-          filename: mp3File,
-          filePath: filePath, // Include full path for writing back
-          genre: tags.genre || 'Unknown',
-          title: tags.title || 'Unknown',
-          artist: tags.artist || 'Unknown',
-          album: tags.album || 'Unknown',
-          lyrics: tags.unsynchronisedLyrics?.text || tags.lyrics || '', // Read lyrics from ID3 tags
-          albumArt: albumArt
-        });
-      } catch (error) {
-        console.error(`Error reading ${mp3File}:`, error);
-        results.push({
-          filename: mp3File,
-          filePath: filePath,
-          genre: 'Error reading file',
-          title: 'Error',
-          artist: 'Error',
-          album: 'Error',
-          lyrics: '',
-          albumArt: null
-        });
-      }
+    // Keep the table in sync with changes made outside the app (or by the scraper)
+    if (!cancelled && scanState.scanId === scanId) {
+      startFolderWatch(folderPath, scanOptions, (changes) => send('folder-changes', changes));
     }
 
-    return results;
+    return { scanId, total, cacheHits, cancelled };
   } catch (error) {
-    console.error('Error reading folder:', error);
+    console.error('Error scanning folder:', error);
     throw error;
   }
 });
 
-// IPC handler for writing updated genres back to MP3 files
-ipcMain.handle('update-mp3-genres', async (event, updates) => {
+ipcMain.handle('cancel-metadata-scan', async () => {
+  scanState.cancelled = true;
+  return { success: true };
+});
+
+// Watcher for the folder currently shown in the renderer
+let watchState = {
+  watcher: null
+};
+
+function startFolderWatch(folderPath, scanOptions, onChanges) {
+  stopFolderWatch();
   try {
-    const results = [];
+    watchState.watcher = createFolderWatcher(folderPath, scanOptions, onChanges);
+  } catch (error) {
+    // Not fatal - the table just won't refresh on its own
+    console.error('Error watching folder:', error);
+  }
+}
 
-    for (const update of updates) {
-      try {
-        // Read current tags
-        const tags = NodeID3.read(update.filePath);
-
-        // Update the genre
-        tags.genre = update.newGenre;
-
-        // Write back to file
-        const success = NodeID3.write(tags, update.filePath);
-
-        results.push({
-          filename: update.filename,
-          success: success,
-          newGenre: update.newGenre
-        });
-      } catch (error) {
-        console.error(`Error updating ${update.filename}:`, error);
-        results.push({
-          filename: update.filename,
-          success: false,
-          error: error.message
-        });
-      }
+function stopFolderWatch() {
+  if (watchState.watcher) {
+    watchState.watcher.close();
+    watchState.watcher = null;
+  }
+}
+
+// IPC handler for writing updated genres back to the audio files
+// Write new genre strings ({ filePath, filename, newGenre }) and refresh their cache entries.
+// genreStyle picks how multiple genres are stored: 'v2.3' ("rock; pop") or 'v2.4' (multi-value),
+// dedupe: false keeps duplicate genres
+// The batch is recorded in the undo journal. Progress goes to the naming progress modal and
+// cancel-naming stops between files: files not reached are reported with cancelled: true.
+async function writeGenreUpdates(updates, { genreStyle, dedupe = true } = {}) {
+  const results = [];
+  const journalEntry = beginJournalEntry('genres', `Genre update (${updates.length} files)`);
+
+  sendNamingProgress('applying', `Updating genres of ${updates.length} files...`, 0, updates.length);
+
+  for (let index = 0; index < updates.length; index++) {
+    const update = updates[index];
+    if (namingState.cancelRequested) {
+      updates.slice(index).forEach(skipped => {
+        results.push({ filename: skipped.filename, success: false, cancelled: true, error: 'Cancelled' });
+      });
+      break;
+    }
+
+    try {
+      // Only the genre is written, every other tag is left untouched
+      const beforeTags = pickRestoreTags(readTags(update.filePath), ['genre']);
+      const newGenre = serializeGenres(update.newGenre, { style: genreStyle, dedupe });
+      const success = writeTags(update.filePath, { genre: newGenre });
+      refreshCachedFile(update.filePath);
+      recordFileChange(journalEntry, {
+        beforePath: update.filePath,
+        beforeTags,
+        afterTags: { genre: newGenre }
+      });
+
+      results.push({
+        filename: update.filename,
+        success: success,
+        newGenre: update.newGenre
+      });
+    } catch (error) {
+      console.error(`Error updating ${update.filename}:`, error);
+      results.push({
+        filename: update.filename,
+        success: false,
+        error: error.message
+      });
     }
 
-    return results;
+    sendNamingProgress('applying', `Updating genres: ${index + 1}/${updates.length}`, index + 1, updates.length, update.filename);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  saveMetadataCache();
+  commitJournalEntry(journalEntry);
+
+  const updated = results.filter(result => result.success).length;
+  if (namingState.cancelRequested) {
+    sendNamingProgress('cancelled', `Cancelled - ${updated} of ${updates.length} files were updated`, updated, updates.length, 'The updated files can be reverted from the History tab');
+  } else {
+    sendNamingProgress('complete', `Genre update complete! Updated ${updated} files`, updates.length, updates.length);
+  }
+  namingState.isRunning = false;
+  return results;
+}
+
+ipcMain.handle('update-mp3-genres', async (event, updates, options = {}) => {
+  if (!beginNamingOperation(event, 'Updating Genres')) return namingBusyResult();
+  try {
+    return await writeGenreUpdates(updates, options);
   } catch (error) {
+    namingState.isRunning = false;
     console.error('Error updating MP3 files:', error);
     throw error;
   }
 });
 
+// Genre cleanup: files are { filePath, filename, genre, genres }, cleanup is
+// { remove, mappings, caseInsensitive, policy } (see genre-policy.js)
+ipcMain.handle('preview-genre-changes', async (event, files, cleanup) => {
+  try {
+    const plans = planGenreChanges(files, cleanup);
+    return {
+      plans,
+      changedCount: plans.filter(plan => plan.hasChanges).length
+    };
+  } catch (error) {
+    console.error('Error previewing genre changes:', error);
+    throw error;
+  }
+});
+
+// Apply re-plans with the same engine as the preview and only writes files that change
+ipcMain.handle('apply-genre-changes', async (event, files, cleanup, options = {}) => {
+  if (!beginNamingOperation(event, 'Updating Genres')) return namingBusyResult();
+  try {
+    const updates = planGenreChanges(files, cleanup)
+      .filter(plan => plan.hasChanges)
+      .map(plan => ({ filePath: plan.filePath, filename: plan.filename, newGenre: plan.newGenre }));
+    // Written with the policy's dedupe setting, so the files get exactly what was previewed
+    const dedupe = (cleanup.policy || {}).dedupe !== false;
+    return await writeGenreUpdates(updates, { ...options, dedupe });
+  } catch (error) {
+    namingState.isRunning = false;
+    console.error('Error applying genre changes:', error);
+    throw error;
+  }
+});
+
 // Progress tracking for naming operations
+// (also used by the genre updates, which share the progress modal)
 let namingState = {
   currentWindow: null,
-  isRunning: false
+  isRunning: false,
+  cancelRequested: false,
+  startedAt: 0,
+  title: ''
 };
 
+// Start an operation that reports to the progress modal of the window that asked for it.
+// Returns false without starting while another one runs, as they share namingState.
+function beginNamingOperation(event, title) {
+  if (namingState.isRunning) return false;
+  namingState.currentWindow = BrowserWindow.fromWebContents(event.sender);
+  namingState.isRunning = true;
+  namingState.cancelRequested = false;
+  namingState.startedAt = Date.now();
+  namingState.title = title;
+  return true;
+}
+
+// What a handler returns when beginNamingOperation refused to start
+function namingBusyResult() {
+  return { success: false, busy: true, error: `${namingState.title} is still running. Wait for it to finish or cancel it first.` };
+}
+
+// Progress events carry the elapsed time and, once a step is done, an estimate of the time left
 function sendNamingProgress(phase, message, currentStep = 0, totalSteps = 0, details = '') {
-  if (namingState.currentWindow) {
+  if (namingState.currentWindow && !namingState.currentWindow.isDestroyed()) {
+    const elapsedMs = Date.now() - namingState.startedAt;
+    const etaMs = currentStep > 0 && totalSteps > currentStep
+      ? Math.round(elapsedMs / currentStep * (totalSteps - currentStep))
+      : null;
+
     namingState.currentWindow.webContents.send('naming-progress', {
       phase,
+      title: namingState.title,
       message,
       currentStep,
       totalSteps,
       details,
+      elapsedMs,
+      etaMs,
       timestamp: new Date().toISOString()
     });
   }
 }
 
-// Naming via Lyrics functionality
-ipcMain.handle('preview-naming-changes', async (event, namingRules, filesData) => {
+// Stop the running preview, apply or genre update between files
+ipcMain.handle('cancel-naming', async () => {
+  const wasRunning = namingState.isRunning;
+  if (wasRunning) {
+    namingState.cancelRequested = true;
+  }
+  return { success: true, wasRunning };
+});
+
+// Naming via Lyrics functionality - matching, grouping and numbering live in naming-engine.js.
+// Preview returns a plan with a planId; apply writes that exact plan.
+// options: { destinationRoot, fileMode: 'move' | 'copy', libraryRoot } for rules with a folder template
+ipcMain.handle('preview-naming-changes', async (event, namingRules, filesData, options = {}) => {
+  // Set up progress tracking
+  if (!beginNamingOperation(event, 'Processing Naming Rules')) return namingBusyResult();
   try {
-    // Set up progress tracking
-    namingState.currentWindow = BrowserWindow.fromWebContents(event.sender);
-    namingState.isRunning = true;
 
     sendNamingProgress('starting', 'Initializing preview analysis...', 0, namingRules.length);
 
-    // First, collect ALL matches from ALL rules
-    const allMatches = [];
-    const albumGroupsMap = new Map(); // albumName -> array of entries
-    const processedFiles = new Set(); // Track files already processed to prevent duplicates
-
-    for (let ruleIndex = 0; ruleIndex < namingRules.length; ruleIndex++) {
-      const rule = namingRules[ruleIndex];
-      sendNamingProgress('processing', `Processing rule ${ruleIndex + 1}: ${rule.albumTemplate || 'Unnamed Rule'}`, ruleIndex + 1, namingRules.length);
-      
-      // Track files processed within this specific rule to prevent duplicates
-      const ruleProcessedFiles = new Set();
-      
-      // Support both old format (lyricSearch) and new format (lyricSearches)
-      let lyricSearches = rule.lyricSearches || [];
-      if (rule.lyricSearch && !lyricSearches.length) {
-        lyricSearches = [rule.lyricSearch]; // Backward compatibility
-      }
-
-      // Skip rule if no valid searches
-      const validSearches = lyricSearches.filter(search => search && search.trim() !== '');
-      if (validSearches.length === 0) continue;
-
-      // Collect files that match this rule
-      for (const file of filesData) {
-        // Skip files already processed by previous rules
-        if (processedFiles.has(file.filePath)) {
-          continue;
-        }
-
-        // Skip files already processed within this specific rule
-        if (ruleProcessedFiles.has(file.filePath)) {
-          continue;
-        }
-
-        // Check if lyrics contain ANY of the search texts
-        const lyrics = file.lyrics || '';
-        const lyricsLower = lyrics.toLowerCase();
-
-        let foundMatch = false;
-        for (const searchText of validSearches) {
-          if (lyricsLower.includes(searchText.toLowerCase())) {
-            foundMatch = true;
-            break;
-          }
-        }
+    const plan = await createNamingPlan(namingRules, filesData, {
+      ...options,
+      onRule: (rule, ruleIndex) => {
+        sendNamingProgress('processing', `Processing rule ${ruleIndex + 1}: ${rule.albumTemplate || 'Unnamed Rule'}`, ruleIndex, namingRules.length);
+      },
+      isCancelled: () => namingState.cancelRequested
+    });
 
-        if (foundMatch) {
-          // Generate variables for this file
-          const variables = {
-            number: 1, // placeholder - will be set later
-            artist: file.artist || 'Unknown Artist',
-            title: file.title || 'Unknown Title',
-            album: file.album || 'Unknown Album',
-            genre: file.genre || 'Unknown',
-            year: file.year || new Date().getFullYear()
-          };
-
-          // Use rule id as the album group key so each rule creates its own album
-          const targetAlbum = `RULE_${rule.id}`;
-
-          const matchEntry = {
-            file,
-            variables,
-            targetAlbum,
-            rule,
-            ruleId: rule.id
-          };
-
-          allMatches.push(matchEntry);
-
-          // Mark file as processed to prevent duplicates across all rules
-          processedFiles.add(file.filePath);
-
-          // Mark file as processed within this specific rule
-          ruleProcessedFiles.add(file.filePath);
-
-          // Group by rule (album) for numbering
-          if (!albumGroupsMap.has(targetAlbum)) {
-            albumGroupsMap.set(targetAlbum, []);
-          }
-          albumGroupsMap.get(targetAlbum).push(matchEntry);
-        }
-      }
+    if (!plan) {
+      sendNamingProgress('cancelled', 'Preview cancelled', 0, 0, 'No files were changed');
+      namingState.isRunning = false;
+      return { cancelled: true };
     }
 
-        // Now apply numbering logic to all collected matches (same as apply handler)
-        const results = {
-          totalMatches: 0,
-          matches: []
-        };
-
-        for (const [albumName, albumFiles] of albumGroupsMap) {
-          // Split into songs with and without track numbers
-          let withTrack = [];
-          let withoutTrack = [];
-          const trackNumberMap = new Map();
-          const duplicates = [];
-
-          albumFiles.forEach(entry => {
-            const trackNum = parseInt(entry.file.trackNumber);
-            if (trackNum > 0) {
-              if (trackNumberMap.has(trackNum)) {
-                // Duplicate track number, move to extras
-                duplicates.push(entry);
-              } else {
-                trackNumberMap.set(trackNum, entry);
-                withTrack.push(entry);
-              }
-            } else {
-              withoutTrack.push(entry);
-            }
-          });
-
-          // Add duplicates to withoutTrack for reassignment
-          withoutTrack = withoutTrack.concat(duplicates);
-
-          // Find the highest track number present
-          let highestTrackNumber = 0;
-          for (const n of trackNumberMap.keys()) {
-            if (n > highestTrackNumber) highestTrackNumber = n;
-          }
-
-          // Assign track numbers starting from 1
-          let currentTrack = 1;
-          let assigned = new Set();
-          while (withTrack.length + withoutTrack.length > 0) {
-            if (trackNumberMap.has(currentTrack)) {
-              // Song with this track number exists
-              const entry = trackNumberMap.get(currentTrack);
-              entry.variables.number = currentTrack;
-              // Update all properties using rules
-              const newArtist = processTemplate(entry.rule.artistTemplate, entry.variables);
-              const newTitle = processTemplate(entry.rule.songTemplate, entry.variables);
-              const newAlbum = processTemplate(entry.rule.albumTemplate, entry.variables);
-              const newFilename = processTemplate(entry.rule.filenameTemplate, entry.variables) + '.mp3';
-              results.matches.push({
-                originalFilename: entry.file.filename,
-                originalPath: entry.file.filePath,
-                newFilename: newFilename || entry.file.filename,
-                newArtist: newArtist || entry.file.artist,
-                newTitle: newTitle || entry.file.title,
-                newAlbum: newAlbum || entry.file.album,
-                originalArtist: entry.file.artist,
-                originalTitle: entry.file.title,
-                originalAlbum: entry.file.album,
-                ruleId: entry.rule.id,
-                variables: entry.variables
-              });
-              assigned.add(entry);
-              withTrack = withTrack.filter(e => e !== entry);
-            } else if (withoutTrack.length > 0) {
-              // Assign this track number to a song without a track number
-              const entry = withoutTrack.shift();
-              entry.variables.number = currentTrack;
-              const newArtist = processTemplate(entry.rule.artistTemplate, entry.variables);
-              const newTitle = processTemplate(entry.rule.songTemplate, entry.variables);
-              const newAlbum = processTemplate(entry.rule.albumTemplate, entry.variables);
-              const newFilename = processTemplate(entry.rule.filenameTemplate, entry.variables) + '.mp3';
-              results.matches.push({
-                originalFilename: entry.file.filename,
-                originalPath: entry.file.filePath,
-                newFilename: newFilename || entry.file.filename,
-                newArtist: newArtist || entry.file.artist,
-                newTitle: newTitle || entry.file.title,
-                newAlbum: newAlbum || entry.file.album,
-                originalArtist: entry.file.artist,
-                originalTitle: entry.file.title,
-                originalAlbum: entry.file.album,
-                ruleId: entry.rule.id,
-                variables: entry.variables
-              });
-              assigned.add(entry);
-            } else if (withTrack.length > 0) {
-              // No unassigned songs left, reassign the song with the largest track number
-              let maxEntry = withTrack[0];
-              let maxNum = parseInt(maxEntry.file.trackNumber) || 0;
-              for (const entry of withTrack) {
-                const n = parseInt(entry.file.trackNumber) || 0;
-                if (n > maxNum) {
-                  maxNum = n;
-                  maxEntry = entry;
-                }
-              }
-              maxEntry.variables.number = currentTrack;
-              const newArtist = processTemplate(maxEntry.rule.artistTemplate, maxEntry.variables);
-              const newTitle = processTemplate(maxEntry.rule.songTemplate, maxEntry.variables);
-              const newAlbum = processTemplate(maxEntry.rule.albumTemplate, maxEntry.variables);
-              const newFilename = processTemplate(maxEntry.rule.filenameTemplate, maxEntry.variables) + '.mp3';
-              results.matches.push({
-                originalFilename: maxEntry.file.filename,
-                originalPath: maxEntry.file.filePath,
-                newFilename: newFilename || maxEntry.file.filename,
-                newArtist: newArtist || maxEntry.file.artist,
-                newTitle: newTitle || maxEntry.file.title,
-                newAlbum: newAlbum || maxEntry.file.album,
-                originalArtist: maxEntry.file.artist,
-                originalTitle: maxEntry.file.title,
-                originalAlbum: maxEntry.file.album,
-                ruleId: maxEntry.rule.id,
-                variables: maxEntry.variables
-              });
-              assigned.add(maxEntry);
-              withTrack = withTrack.filter(e => e !== maxEntry);
-            }
-            currentTrack++;
-          }
-
-          console.log(`[PREVIEW] Album "${albumName}": processed ${assigned.size} files (highest existing: ${highestTrackNumber})`);
-        }
-        results.totalMatches = results.matches.length;
-
-        sendNamingProgress('complete', `Analysis complete! Found ${results.totalMatches} total matches`, namingRules.length, namingRules.length, `${results.matches.length} files will be processed`);
-        namingState.isRunning = false;
+    sendNamingProgress('complete', `Analysis complete! Found ${plan.totalMatches} total matches`, namingRules.length, namingRules.length, `${plan.matches.length} files will be processed`);
+    namingState.isRunning = false;
 
-        return results;
+    return summarizeNamingPlan(plan);
   } catch (error) {
     sendNamingProgress('error', `Error during analysis: ${error.message}`, 0, 0, error.stack);
     namingState.isRunning = false;
@@ -406,397 +401,197 @@ ipcMain.handle('preview-naming-changes', async (event, namingRules, filesData) =
   }
 });
 
-ipcMain.handle('apply-naming-changes', async (event, namingRules, filesData) => {
+// Apply takes the planId of a preview. Older callers passing (namingRules, filesData)
+// get a fresh plan built on the spot.
+// options.resolutions picks how each rename conflict of the plan is resolved (see rename-transaction.js).
+// Returns { stale: true, staleFiles } without touching anything when files changed since the preview,
+// { conflicts } when conflicts still need a resolution, and { rolledBack: true, error } when a step
+// failed and every change was undone.
+ipcMain.handle('apply-naming-changes', async (event, planIdOrRules, filesData, options = {}) => {
+  // Set up progress tracking
+  if (!beginNamingOperation(event, 'Applying Naming Changes')) return namingBusyResult();
   try {
-    // Set up progress tracking
-    namingState.currentWindow = BrowserWindow.fromWebContents(event.sender);
-    namingState.isRunning = true;
-
-    sendNamingProgress('starting', 'Initializing file updates...', 0, namingRules.length);
-
-    // First, collect ALL matches from ALL rules
-    const allMatches = [];
-    const albumGroupsMap = new Map(); // albumName -> array of entries
-    const processedFiles = new Set(); // Track files already processed to prevent duplicates
-
-    for (let ruleIndex = 0; ruleIndex < namingRules.length; ruleIndex++) {
-      const rule = namingRules[ruleIndex];
-      sendNamingProgress('processing', `Processing rule ${ruleIndex + 1}: ${rule.albumTemplate || 'Unnamed Rule'}`, ruleIndex + 1, namingRules.length);
-      
-      // Track files processed within this specific rule to prevent duplicates
-      const ruleProcessedFiles = new Set();
-      
-      // Support both old format (lyricSearch) and new format (lyricSearches)
-      let lyricSearches = rule.lyricSearches || [];
-      if (rule.lyricSearch && !lyricSearches.length) {
-        lyricSearches = [rule.lyricSearch]; // Backward compatibility
-      }
-
-      // Skip rule if no valid searches
-      const validSearches = lyricSearches.filter(search => search && search.trim() !== '');
-      if (validSearches.length === 0) continue;
-
-      // Collect files that match this rule
-      for (const file of filesData) {
-        // Skip files already processed by previous rules
-        if (processedFiles.has(file.filePath)) {
-          continue;
-        }
-
-        // Skip files already processed within this specific rule
-        if (ruleProcessedFiles.has(file.filePath)) {
-          continue;
-        }
 
-        // Check if lyrics contain ANY of the search texts
-        const lyrics = file.lyrics || '';
-        const lyricsLower = lyrics.toLowerCase();
-
-        let foundMatch = false;
-        for (const searchText of validSearches) {
-          if (lyricsLower.includes(searchText.toLowerCase())) {
-            foundMatch = true;
-            break;
-          }
-        }
+    sendNamingProgress('starting', 'Initializing file updates...', 0, 1);
 
-        if (foundMatch) {
-          // Generate album name for this file
-          const variables = {
-            number: 1, // placeholder - will be set later
-            artist: file.artist || 'Unknown Artist',
-            title: file.title || 'Unknown Title',
-            album: file.album || 'Unknown Album',
-            genre: file.genre || 'Unknown',
-            year: file.year || new Date().getFullYear()
-          };
-
-          const targetAlbum = processTemplate(rule.albumTemplate || '{album}', variables);
-
-          const matchEntry = {
-            file,
-            variables,
-            targetAlbum,
-            rule,
-            ruleId: rule.id
-          };
-
-          allMatches.push(matchEntry);
-
-          // Mark file as processed to prevent duplicates across all rules
-          processedFiles.add(file.filePath);
-
-          // Mark file as processed within this specific rule
-          ruleProcessedFiles.add(file.filePath);
-
-          // Group by album for numbering
-          if (!albumGroupsMap.has(targetAlbum)) {
-            albumGroupsMap.set(targetAlbum, []);
-          }
-          albumGroupsMap.get(targetAlbum).push(matchEntry);
-        }
-      }
-    }
-
-    // Now apply numbering logic to all collected matches
-    const previewResult = {
-      totalMatches: 0,
-      matches: []
-    };
-
-    // Process each album group and assign track numbers
-    for (const [albumName, albumFiles] of albumGroupsMap) {
-      // Group into with and without track numbers
-      let withTrack = [];
-      let withoutTrack = [];
-      const trackNumberMap = new Map();
-
-      // First, group and handle duplicates
-      albumFiles.forEach(entry => {
-        const trackNum = parseInt(entry.file.trackNumber);
-        if (trackNum > 0) {
-          if (!trackNumberMap.has(trackNum)) {
-            trackNumberMap.set(trackNum, [entry]);
-          } else {
-            trackNumberMap.get(trackNum).push(entry);
-          }
-        } else {
-          withoutTrack.push(entry);
-        }
-      });
-
-      // Move extras (duplicates) to withoutTrack
-      for (const [trackNum, entries] of trackNumberMap.entries()) {
-        if (entries.length > 1) {
-          // Keep one, move the rest
-          withTrack.push(entries[0]);
-          for (let i = 1; i < entries.length; i++) {
-            withoutTrack.push(entries[i]);
-          }
-        } else {
-          withTrack.push(entries[0]);
-        }
+    let plan;
+    if (Array.isArray(planIdOrRules)) {
+      plan = await createNamingPlan(planIdOrRules, filesData || [], { ...options, isCancelled: () => namingState.cancelRequested });
+      if (!plan) {
+        sendNamingProgress('cancelled', 'Cancelled before any file was changed', 0, 0);
+        namingState.isRunning = false;
+        return { cancelled: true, changedFiles: [], updated: 0, results: [] };
       }
-
-      // Find the highest track number present
-      let highestTrackNumber = 0;
-      for (const entry of withTrack) {
-        const n = parseInt(entry.file.trackNumber) || 0;
-        if (n > highestTrackNumber) highestTrackNumber = n;
+    } else {
+      plan = getNamingPlan(planIdOrRules);
+      if (!plan) {
+        throw new Error('This preview is no longer available. Please preview the changes again.');
       }
 
-      // Assign track numbers starting from 1
-      let currentTrack = 1;
-      let assigned = new Set();
-      let totalToAssign = withTrack.length + withoutTrack.length;
-      while (assigned.size < totalToAssign) {
-        // 1. If a song with this track number exists, update it
-        let entry = withTrack.find(e => parseInt(e.file.trackNumber) === currentTrack);
-        if (entry) {
-          entry.variables.number = currentTrack;
-          // Update all properties using rules
-          const newArtist = processTemplate(entry.rule.artistTemplate, entry.variables);
-          const newTitle = processTemplate(entry.rule.songTemplate, entry.variables);
-          const newAlbum = processTemplate(entry.rule.albumTemplate, entry.variables);
-          const newFilename = processTemplate(entry.rule.filenameTemplate, entry.variables) + '.mp3';
-          previewResult.matches.push({
-            originalFilename: entry.file.filename,
-            originalPath: entry.file.filePath,
-            newFilename: newFilename || entry.file.filename,
-            newArtist: newArtist || entry.file.artist,
-            newTitle: newTitle || entry.file.title,
-            newAlbum: newAlbum || entry.file.album,
-            originalArtist: entry.file.artist,
-            originalTitle: entry.file.title,
-            originalAlbum: entry.file.album,
-            ruleId: entry.rule.id,
-            variables: entry.variables
-          });
-          assigned.add(entry);
-        } else if (withoutTrack.length > 0) {
-          // 2. Assign to a song without a track number
-          entry = withoutTrack.shift();
-          entry.variables.number = currentTrack;
-          const newArtist = processTemplate(entry.rule.artistTemplate, entry.variables);
-          const newTitle = processTemplate(entry.rule.songTemplate, entry.variables);
-          const newAlbum = processTemplate(entry.rule.albumTemplate, entry.variables);
-          const newFilename = processTemplate(entry.rule.filenameTemplate, entry.variables) + '.mp3';
-          previewResult.matches.push({
-            originalFilename: entry.file.filename,
-            originalPath: entry.file.filePath,
-            newFilename: newFilename || entry.file.filename,
-            newArtist: newArtist || entry.file.artist,
-            newTitle: newTitle || entry.file.title,
-            newAlbum: newAlbum || entry.file.album,
-            originalArtist: entry.file.artist,
-            originalTitle: entry.file.title,
-            originalAlbum: entry.file.album,
-            ruleId: entry.rule.id,
-            variables: entry.variables
-          });
-          assigned.add(entry);
-        } else if (withTrack.length > 0) {
-          // 3. No unassigned left, reassign the song with the largest track number
-          let maxEntry = withTrack[0];
-          let maxNum = parseInt(maxEntry.file.trackNumber) || 0;
-          for (const e of withTrack) {
-            const n = parseInt(e.file.trackNumber) || 0;
-            if (!assigned.has(e) && n > maxNum) {
-              maxNum = n;
-              maxEntry = e;
-            }
-          }
-          maxEntry.variables.number = currentTrack;
-          const newArtist = processTemplate(maxEntry.rule.artistTemplate, maxEntry.variables);
-          const newTitle = processTemplate(maxEntry.rule.songTemplate, maxEntry.variables);
-          const newAlbum = processTemplate(maxEntry.rule.albumTemplate, maxEntry.variables);
-          const newFilename = processTemplate(maxEntry.rule.filenameTemplate, maxEntry.variables) + '.mp3';
-          previewResult.matches.push({
-            originalFilename: maxEntry.file.filename,
-            originalPath: maxEntry.file.filePath,
-            newFilename: newFilename || maxEntry.file.filename,
-            newArtist: newArtist || maxEntry.file.artist,
-            newTitle: newTitle || maxEntry.file.title,
-            newAlbum: newAlbum || maxEntry.file.album,
-            originalArtist: maxEntry.file.artist,
-            originalTitle: maxEntry.file.title,
-            originalAlbum: maxEntry.file.album,
-            ruleId: maxEntry.rule.id,
-            variables: maxEntry.variables
-          });
-          assigned.add(maxEntry);
-        }
-        currentTrack++;
+      const staleFiles = findStaleFiles(plan);
+      if (staleFiles.length > 0) {
+        discardNamingPlan(plan.planId);
+        sendNamingProgress('error', `${staleFiles.length} file(s) changed since the preview`, 0, 0, 'Preview the changes again before applying');
+        namingState.isRunning = false;
+        return { stale: true, staleFiles, updated: 0, results: [] };
       }
-
-      console.log(`[APPLY] Album "${albumName}": processed ${assigned.size} files (highest existing: ${highestTrackNumber})`);
     }
-    
-    previewResult.totalMatches = previewResult.matches.length;
-
-  let updated = 0;
-  const results = [];
-
-  sendNamingProgress('applying', `Updating ${previewResult.matches.length} files...`, 0, previewResult.matches.length);
-
-  for (let fileIndex = 0; fileIndex < previewResult.matches.length; fileIndex++) {
 
-    const match = previewResult.matches[fileIndex];
-
-    // Send progress update every 5 files
-    if (fileIndex % 5 === 0) {
-      sendNamingProgress('applying', `Updating files: ${fileIndex + 1}/${previewResult.matches.length}`, fileIndex + 1, previewResult.matches.length, `Current: ${match.originalFilename}`);
+    // Pre-flight: every collision and taken name must have a resolution before anything is written
+    const { items, unresolved } = resolveRenameConflicts(getRenameItems(plan), options.resolutions || {});
+    if (unresolved.length > 0) {
+      sendNamingProgress('error', `${unresolved.length} rename conflict(s) need a resolution`, 0, 0, 'Choose how to resolve them in the preview');
+      namingState.isRunning = false;
+      return { planId: plan.planId, conflicts: unresolved, updated: 0, results: [] };
     }
-    try {
-      // Check if file exists and is accessible
-      if (!fs.existsSync(match.originalPath)) {
-        console.error(`File not found: ${match.originalPath}`);
-        results.push({
-          filename: match.originalFilename,
-          success: false,
-          error: 'File not found'
-        });
-        continue;
-      }
 
-      // Read the current metadata with error handling
-      let tags;
-      try {
-        tags = NodeID3.read(match.originalPath);
-      } catch (readError) {
-        console.error(`Error reading metadata from ${match.originalFilename}:`, readError);
-        results.push({
-          filename: match.originalFilename,
-          success: false,
-          error: 'Cannot read MP3 metadata - file may be corrupted or not a valid MP3'
-        });
+    // A plan is only applied once - the files it was built from are about to change
+    discardNamingPlan(plan.planId);
+
+    const results = [];
+    const operations = [];
+    for (let index = 0; index < plan.matches.length; index++) {
+      const match = plan.matches[index];
+      const item = items[index];
+      if (item.skip) {
+        results.push({ filename: match.originalFilename, success: true, skipped: true, warning: 'Skipped because of a name conflict' });
         continue;
       }
 
-      // Ensure tags object exists
-      if (!tags) {
-        tags = {};
+      if (namingState.cancelRequested) {
+        sendNamingProgress('cancelled', 'Cancelled before any file was changed', 0, 0);
+        namingState.isRunning = false;
+        return { cancelled: true, changedFiles: [], updated: 0, results: [] };
       }
+      sendNamingProgress('preparing', `Reading tags: ${index + 1}/${plan.matches.length}`, index + 1, plan.matches.length, match.originalFilename);
+      await new Promise(resolve => setImmediate(resolve));
 
-      // Update metadata fields
+      // Only the changed fields are written
+      const tags = readTags(match.originalPath);
+      const tagUpdates = {};
       if (match.newArtist !== match.originalArtist) {
-        tags.artist = match.newArtist;
+        tagUpdates.artist = match.newArtist;
       }
       if (match.newTitle !== match.originalTitle) {
-        tags.title = match.newTitle;
+        tagUpdates.title = match.newTitle;
       }
       if (match.newAlbum !== match.originalAlbum) {
-        tags.album = match.newAlbum;
+        tagUpdates.album = match.newAlbum;
       }
-      
-      // Update track number if it's different from current
+
+      // Update track number if it's different from current, keeping a stored "/total"
       const newTrackNumber = match.variables.number;
-      if (newTrackNumber && tags.trackNumber !== newTrackNumber.toString()) {
-        tags.trackNumber = newTrackNumber.toString();
+      if (newTrackNumber) {
+        const trackTotal = String(tags.trackNumber || '').split('/')[1];
+        const trackValue = trackTotal && trackTotal.trim() ? `${newTrackNumber}/${trackTotal.trim()}` : newTrackNumber.toString();
+        if (tags.trackNumber !== trackValue) {
+          tagUpdates.trackNumber = trackValue;
+        }
       }
 
-      // Write updated metadata with error handling
-      try {
-        NodeID3.write(tags, match.originalPath);
-      } catch (writeError) {
-        console.error(`Error writing metadata to ${match.originalFilename}:`, writeError);
-        results.push({
-          filename: match.originalFilename,
-          success: false,
-          error: 'Cannot write MP3 metadata - file may be read-only or corrupted'
-        });
-        continue;
-      }
+      operations.push({ match, filePath: match.originalPath, newPath: item.newPath, copy: item.copy, tagUpdates });
+    }
 
-      // Rename file if filename template was provided
-      if (match.newFilename !== match.originalFilename) {
-        const dir = path.dirname(match.originalPath);
-        let newPath = path.join(dir, match.newFilename);
-        let finalFilename = match.newFilename;
+    // The estimate starts over for the writing phase
+    namingState.startedAt = Date.now();
+    sendNamingProgress('applying', `Updating ${operations.length} files...`, 0, operations.length);
 
-        // If the target filename exists, use Temp_ prefix
-        if (fs.existsSync(newPath)) {
-          finalFilename = 'Temp_' + match.newFilename;
-          newPath = path.join(dir, finalFilename);
-        }
+    // All or nothing: any failed write or rename - or a cancel - undoes the whole batch
+    const transaction = await runRenameTransaction(operations, {
+      onStep: (message, done, total) => sendNamingProgress('applying', message, done, total),
+      isCancelled: () => namingState.cancelRequested
+    });
 
-        try {
-          fs.renameSync(match.originalPath, newPath);
-          // Update the result with the actual final filename used
-          match.newFilename = finalFilename;
-        } catch (renameError) {
-          console.error(`Error renaming ${match.originalFilename}:`, renameError);
-          // Metadata was updated successfully, but rename failed
-          results.push({
-            filename: match.originalFilename,
-            success: true,
-            warning: 'Metadata updated but file rename failed: ' + renameError.message,
-            newFilename: match.originalFilename, // Keep original name
-            changes: {
-              artist: match.newArtist,
-              title: match.newTitle,
-              album: match.newAlbum
-            }
-          });
-          updated++;
-          continue;
-        }
+    if (transaction.cancelled) {
+      const changedFiles = transaction.changedFiles.map(filePath => path.basename(filePath));
+      const details = transaction.rollbackErrors.length > 0
+        ? `Some changes could not be undone: ${transaction.rollbackErrors.join('; ')}`
+        : `${changedFiles.length} file(s) had been changed and were restored`;
+      sendNamingProgress('cancelled', 'File updates cancelled', 0, 0, details);
+      namingState.isRunning = false;
+      return { cancelled: true, rolledBack: true, changedFiles, rollbackErrors: transaction.rollbackErrors, updated: 0, results: [] };
+    }
+
+    if (!transaction.success) {
+      const details = transaction.rollbackErrors.length > 0
+        ? `Some changes could not be undone: ${transaction.rollbackErrors.join('; ')}`
+        : 'All changes were undone';
+      sendNamingProgress('error', `File updates failed: ${transaction.error}`, 0, 0, details);
+      namingState.isRunning = false;
+      return { rolledBack: true, error: transaction.error, rollbackErrors: transaction.rollbackErrors, updated: 0, results: [] };
+    }
+
+    const copied = operations.filter(operation => operation.copy).length;
+    const journalEntry = beginJournalEntry('naming', copied > 0
+      ? `Naming via lyrics (${operations.length} files, ${copied} copied)`
+      : `Naming via lyrics (${operations.length} files)`);
+    operations.forEach(operation => {
+      const { match } = operation;
+      if (operation.newPath !== operation.filePath && !operation.copy) {
+        renameCachedMetadata(operation.filePath, operation.newPath);
       }
+      refreshCachedFile(operation.newPath);
+      recordFileChange(journalEntry, {
+        beforePath: operation.filePath,
+        afterPath: operation.newPath,
+        beforeTags: operation.beforeTags,
+        afterTags: operation.tagUpdates,
+        copy: operation.copy
+      });
 
-      updated++;
       results.push({
         filename: match.originalFilename,
         success: true,
-        newFilename: match.newFilename,
+        newFilename: path.basename(operation.newPath),
+        newPath: operation.newPath,
+        copied: !!operation.copy,
         changes: {
           artist: match.newArtist,
           title: match.newTitle,
           album: match.newAlbum
         }
       });
+    });
 
-    } catch (error) {
-      console.error(`Error updating ${match.originalFilename}:`, error);
-      results.push({
-        filename: match.originalFilename,
-        success: false,
-        error: error.message
-      });
-    }
-  }
+    // Folders the moved files left empty are removed (up to the library folder)
+    removeEmptyFolders(operations, plan.libraryRoot).forEach(folder => {
+      console.log(`[NAMING] Removed empty folder ${folder}`);
+    });
 
-  // Second pass: rename Temp_ files to their final names
-  for (const match of previewResult.matches) {
-    if (match.newFilename && match.newFilename.startsWith('Temp_')) {
-      const dir = path.dirname(match.originalPath);
-      const tempPath = path.join(dir, match.newFilename);
-      const finalPath = path.join(dir, match.newFilename.replace(/^Temp_/, ''));
-      if (fs.existsSync(tempPath) && !fs.existsSync(finalPath)) {
-        try {
-          fs.renameSync(tempPath, finalPath);
-          match.newFilename = match.newFilename.replace(/^Temp_/, '');
-        } catch (renameError) {
-          console.error(`Error finalizing rename for ${tempPath}:`, renameError);
-        }
-      }
-    }
-  }
+    saveMetadataCache();
+    commitJournalEntry(journalEntry);
+    sendNamingProgress('complete', `File updates complete! Updated ${operations.length} files`, operations.length, operations.length, `${results.length} files processed`);
+    namingState.isRunning = false;
 
-  sendNamingProgress('complete', `File updates complete! Updated ${updated} files`, namingRules.length, namingRules.length, `${results.length} files processed`);
-  namingState.isRunning = false;
+    return { updated: operations.length, results };
+  } catch (error) {
+    sendNamingProgress('error', `Error during file updates: ${error.message}`, 0, 0, error.stack);
+    namingState.isRunning = false;
+    console.error('Error applying naming changes:', error);
+    throw error;
+  }
+});
 
-  return { updated, results };
-} catch (error) {
-  sendNamingProgress('error', `Error during file updates: ${error.message}`, 0, 0, error.stack);
-  namingState.isRunning = false;
-  console.error('Error applying naming changes:', error);
-  throw error;
-}
+// Live template check for the rule editor: { errors, example } for a sample file
+ipcMain.handle('validate-naming-template', async (event, template, sampleFile, options = {}) => {
+  try {
+    return previewTemplate(template, sampleFile || {}, options);
+  } catch (error) {
+    console.error('Error validating naming template:', error);
+    return { errors: [error.message], example: '' };
+  }
 });
 
 // Save and Load Naming Rules functionality
-ipcMain.handle('save-naming-rules', async (event, rulesData) => {
+// Rule-set files go through the schema in rule-set.js both ways. Save refuses rules that
+// wouldn't load again and returns { success: false, errors } before asking for a file.
+ipcMain.handle('save-naming-rules', async (event, rules) => {
   try {
+    const ruleSet = serializeRuleSet(rules);
+    if (!ruleSet.success) {
+      return { success: false, errors: ruleSet.errors.map(formatRuleSetIssue) };
+    }
+
     const { dialog } = require('electron');
     const result = await dialog.showSaveDialog({
       title: 'Save Naming Rules',
@@ -808,8 +603,7 @@ ipcMain.handle('save-naming-rules', async (event, rulesData) => {
     });
 
     if (!result.canceled && result.filePath) {
-      const jsonString = JSON.stringify(rulesData, null, 2);
-      fs.writeFileSync(result.filePath, jsonString, 'utf8');
+      fs.writeFileSync(result.filePath, ruleSet.text, 'utf8');
 
       return {
         success: true,
@@ -827,7 +621,10 @@ ipcMain.handle('save-naming-rules', async (event, rulesData) => {
   }
 });
 
-ipcMain.handle('load-naming-rules', async () => {
+// options: { mode: 'replace' | 'merge', currentRules }. Older files are migrated; invalid ones
+// return { success: false, errors } naming the rule and field. Merging adds the file's rules
+// to currentRules with new IDs and returns the combined set.
+ipcMain.handle('load-naming-rules', async (event, options = {}) => {
   try {
     const { dialog } = require('electron');
     const result = await dialog.showOpenDialog({
@@ -846,12 +643,23 @@ ipcMain.handle('load-naming-rules', async () => {
         throw new Error('File not found: ' + filePath);
       }
 
-      const jsonString = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(jsonString);
+      const ruleSet = parseRuleSet(fs.readFileSync(filePath, 'utf8'));
+      if (!ruleSet.success) {
+        return { success: false, errors: ruleSet.errors.map(formatRuleSetIssue), filePath };
+      }
+
+      const merged = options.mode === 'merge'
+        ? mergeRuleSets(options.currentRules || [], ruleSet.rules)
+        : { rules: ruleSet.rules, added: ruleSet.rules.length, skipped: 0 };
 
       return {
         success: true,
-        data: data,
+        data: { version: ruleSet.version, rules: merged.rules },
+        mode: options.mode === 'merge' ? 'merge' : 'replace',
+        added: merged.added,
+        skipped: merged.skipped,
+        migratedFrom: ruleSet.migratedFrom,
+        warnings: ruleSet.warnings.map(formatRuleSetIssue),
         filePath: filePath
       };
     } else {
@@ -866,53 +674,120 @@ ipcMain.handle('load-naming-rules', async () => {
   }
 });
 
-// Helper function to process template strings
-function processTemplate(template, variables) {
-  if (!template) return '';
+ipcMain.handle('save-genre-profile', async (event, profileData) => {
+  try {
+    const result = await dialog.showSaveDialog({
+      title: 'Save Genre Profile',
+      defaultPath: 'genre-profile.json',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
 
-  let result = template;
+    if (!result.canceled && result.filePath) {
+      fs.writeFileSync(result.filePath, JSON.stringify(profileData, null, 2), 'utf8');
+      return {
+        success: true,
+        filePath: result.filePath
+      };
+    }
+    return {
+      success: false,
+      message: 'Save cancelled'
+    };
+  } catch (error) {
+    console.error('Error saving genre profile:', error);
+    throw error;
+  }
+});
 
-  // Replace variables like {artist}, {title}, etc.
-  Object.keys(variables).forEach(key => {
-    const regex = new RegExp(`\\{${key}\\}`, 'g');
-    let value = variables[key];
+ipcMain.handle('load-genre-profile', async () => {
+  try {
+    const result = await dialog.showOpenDialog({
+      title: 'Load Genre Profile',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
 
-    // Special handling for genre in filenames - convert semicolons to commas
-    if (key === 'genre' && value && typeof value === 'string') {
-      value = value.replace(/;/g, ',');
+    if (!result.canceled && result.filePaths.length > 0) {
+      const filePath = result.filePaths[0];
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return {
+        success: true,
+        data: data,
+        filePath: filePath
+      };
     }
+    return {
+      success: false,
+      message: 'Load cancelled'
+    };
+  } catch (error) {
+    console.error('Error loading genre profile:', error);
+    throw error;
+  }
+});
 
-    result = result.replace(regex, value);
-  });
+// Undo history: every batch of tag writes and renames is an entry (see undo-journal.js)
+ipcMain.handle('list-undo-journal', async () => {
+  try {
+    return listJournalEntries();
+  } catch (error) {
+    console.error('Error listing undo journal:', error);
+    throw error;
+  }
+});
+
+// options: { filePaths, force }. Returns { success, conflicts, results }; when files changed
+// since the entry and force isn't set, conflicts are returned and nothing is touched.
+ipcMain.handle('undo-journal-entry', async (event, entryId, options = {}) => {
+  try {
+    return await undoJournalEntry(entryId, options);
+  } catch (error) {
+    console.error('Error undoing journal entry:', error);
+    throw error;
+  }
+});
 
-  // Handle numbered formatting like {number:03d}
-  const numberMatch = result.match(/\{number:(\d+)d\}/);
-  if (numberMatch) {
-    const padding = parseInt(numberMatch[1]);
-    const paddedNumber = variables.number.toString().padStart(padding, '0');
-    result = result.replace(/\{number:\d+d\}/, paddedNumber);
+ipcMain.handle('redo-journal-entry', async (event, entryId, options = {}) => {
+  try {
+    return await redoJournalEntry(entryId, options);
+  } catch (error) {
+    console.error('Error redoing journal entry:', error);
+    throw error;
   }
+});
 
-  return result;
-}
+ipcMain.handle('clear-undo-journal', async () => {
+  try {
+    clearUndoJournal();
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing undo journal:', error);
+    throw error;
+  }
+});
 
 // In this file you can include the rest of your app's specific main process
 // code. You can also put them in separate files and import them here.
 
-// Scraper functionality
+// Scraper functionality (see scraper.js)
 let scraperState = {
   isRunning: false,
-  browser: null,
+  browser: null, // Browser of the current batch, closed by stop-scraping
   currentWindow: null,
-  totalFiles: 0,
-  processedFiles: 0,
-  successfulFiles: 0,
-  errorFiles: 0,
-  skippedFiles: 0
+  stats: null, // Counters and worker status of the running session
+  session: null, // Checkpoint of the running session (see scrape-session.js)
+  journalEntry: null // Undo journal entry of the running session
 };
 
-// Helper function to send log messages to renderer
-function sendScrapingLog(type, message, filename = '', url = '') {
+// Helper function to send log messages to renderer. worker is the worker number, null for
+// messages about the whole session.
+function sendScrapingLog(type, message, filename = '', url = '', worker = null) {
   if (scraperState.currentWindow && !scraperState.currentWindow.isDestroyed()) {
     const timestamp = new Date().toLocaleTimeString();
     scraperState.currentWindow.webContents.send('scraping-log', {
@@ -920,6 +795,7 @@ function sendScrapingLog(type, message, filename = '', url = '') {
       message,
       filename,
       url,
+      worker,
       timestamp
     });
   }
@@ -927,177 +803,26 @@ function sendScrapingLog(type, message, filename = '', url = '') {
 
 // Helper function to send progress updates
 function sendScrapingProgress() {
-  if (scraperState.currentWindow && !scraperState.currentWindow.isDestroyed()) {
+  if (scraperState.currentWindow && !scraperState.currentWindow.isDestroyed() && scraperState.stats) {
+    const stats = scraperState.stats;
     scraperState.currentWindow.webContents.send('scraping-progress', {
-      total: scraperState.totalFiles,
-      processed: scraperState.processedFiles,
-      successful: scraperState.successfulFiles,
-      errors: scraperState.errorFiles,
-      skipped: scraperState.skippedFiles,
+      total: stats.total,
+      processed: stats.processed,
+      successful: stats.successful,
+      errors: stats.errors,
+      skipped: stats.skipped,
+      retries: stats.retries,
+      errorCategories: stats.errorCategories,
+      workers: stats.workers,
       isRunning: scraperState.isRunning
     });
   }
 }
 
-// Function to get Suno URL from file metadata
-function getSunoUrl(filePath) {
-  try {
-    const tags = NodeID3.read(filePath);
-    return tags.audioSourceUrl || null;
-  } catch (error) {
-    console.error('Error reading file:', error.message);
-    return null;
-  }
-}
-
-// Function to check if file already has genre and lyrics
-function hasGenreAndLyrics(filePath) {
-  try {
-    const tags = NodeID3.read(filePath);
-    const hasGenre = tags.genre && tags.genre.trim().length > 0;
-    const hasLyrics = tags.unsynchronisedLyrics &&
-      tags.unsynchronisedLyrics.text &&
-      tags.unsynchronisedLyrics.text.trim().length > 0;
-
-    // Consider [Instrumental] as valid "lyrics" to prevent re-scraping instrumental tracks
-    const isMarkedInstrumental = hasLyrics && tags.unsynchronisedLyrics.text.trim() === '[Instrumental]';
-
-    return hasGenre && (hasLyrics || isMarkedInstrumental);
-  } catch (error) {
-    console.error('Error checking metadata:', error.message);
-    return false;
-  }
-}
-
-// Function to validate scraped data quality
-function validateScrapedData(scrapedData) {
-  if (!scrapedData) return false;
-
-  const hasValidGenres = scrapedData.genres &&
-    scrapedData.genres.found &&
-    scrapedData.genres.genres &&
-    scrapedData.genres.genres.length > 0;
-
-  const hasValidLyrics = scrapedData.lyrics &&
-    scrapedData.lyrics.found &&
-    scrapedData.lyrics.lyrics &&
-    scrapedData.lyrics.lyrics.length > 20;
-
-  return hasValidGenres || hasValidLyrics;
-}
-
-// Function to scrape a single Suno URL
-async function scrapeSunoUrl(browser, url, filePath) {
-  const page = await browser.newPage();
-
-  try {
-    sendScrapingLog('processing', `Scraping: ${url}`, path.basename(filePath), url);
-    await page.goto(url, { waitUntil: 'networkidle2' });
-
-    // Extract both genres and lyrics in one page evaluation
-    const songData = await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button'));
-
-      // Find genre info using "Copy styles to clipboard" button
-      let genreInfo = { found: false, error: 'Could not find genre info structure' };
-      const stylesButton = buttons.find(button => button.title === 'Copy styles to clipboard');
-
-      if (stylesButton) {
-        const parentDiv = stylesButton.parentElement;
-        const firstChild = parentDiv.firstElementChild.firstElementChild;
-
-        if (firstChild) {
-          const aTags = firstChild.querySelectorAll('a');
-          const genres = Array.from(aTags).map(a => a.textContent.trim());
-
-          genreInfo = {
-            found: true,
-            genres: genres,
-            genreCount: genres.length
-          };
-        }
-      }
-
-      // Find lyrics using "Copy lyrics to clipboard" button
-      let lyricsInfo = { found: false, error: 'Could not find lyrics structure' };
-      const lyricsButton = buttons.find(button => button.title === 'Copy lyrics to clipboard');
-
-      if (lyricsButton) {
-        const parentDiv = lyricsButton.parentElement;
-        const pTag = parentDiv.querySelector('p');
-
-        if (pTag) {
-          lyricsInfo = {
-            found: true,
-            lyrics: pTag.textContent.trim()
-          };
-        }
-      }
-
-      return {
-        genres: genreInfo,
-        lyrics: lyricsInfo
-      };
-    });
-
-    // Update MP3 metadata with scraped data
-    try {
-      const existingTags = NodeID3.read(filePath);
-      const updateTags = { ...existingTags };
-
-      let hasUpdates = false;
-
-      if (songData.genres.found && songData.genres.genres.length > 0) {
-        updateTags.genre = songData.genres.genres.join('; ');
-        hasUpdates = true;
-      }
-
-      if (songData.lyrics.found && songData.lyrics.lyrics) {
-        updateTags.unsynchronisedLyrics = {
-          language: 'eng',
-          text: songData.lyrics.lyrics
-        };
-        hasUpdates = true;
-      } else if (songData.genres.found) {
-        // If we found genre info but no lyrics, mark as instrumental
-        // This prevents re-scraping the same file repeatedly
-        updateTags.unsynchronisedLyrics = {
-          language: 'eng',
-          text: '[Instrumental]'
-        };
-        hasUpdates = true;
-        sendScrapingLog('info', `No lyrics found, marked as instrumental`, path.basename(filePath));
-      }
-
-      if (hasUpdates) {
-        const success = NodeID3.update(updateTags, filePath);
-        if (success) {
-          sendScrapingLog('success', `Successfully updated metadata`, path.basename(filePath));
-          return songData;
-        } else {
-          sendScrapingLog('error', `Failed to update metadata`, path.basename(filePath));
-          return null;
-        }
-      } else {
-        sendScrapingLog('warning', `No valid data found to update`, path.basename(filePath));
-        return null;
-      }
-
-    } catch (error) {
-      sendScrapingLog('error', `Error updating metadata: ${error.message}`, path.basename(filePath));
-      return null;
-    }
-
-  } catch (error) {
-    sendScrapingLog('error', `Scraping error: ${error.message}`, path.basename(filePath), url);
-    return null;
-  } finally {
-    await page.close();
-  }
-}
-
 // IPC handler to start scraping
-ipcMain.handle('start-scraping', async (event, folderPath) => {
+// settings: { headless, concurrency, requestsPerMinute } (see normalizeScraperSettings)
+// sessionOptions: { mode: 'new' | 'resume' | 'retryFailed', skipKnownBad } (see scrape-session.js)
+ipcMain.handle('start-scraping', async (event, folderPath, scanOptions = {}, settings = {}, sessionOptions = {}) => {
   if (scraperState.isRunning) {
     return { success: false, error: 'Scraping is already running' };
   }
@@ -1106,104 +831,91 @@ ipcMain.handle('start-scraping', async (event, folderPath) => {
     // Store current window reference for logging
     scraperState.currentWindow = BrowserWindow.fromWebContents(event.sender);
 
-    // Get all MP3 files
-    const files = fs.readdirSync(folderPath);
-    const mp3Files = files.filter(file => file.toLowerCase().endsWith('.mp3'));
+    // Get all MP3 files (same file set as the metadata view)
+    const libraryFiles = scanLibrary(folderPath, scanOptions);
+    const scraperSettings = normalizeScraperSettings(settings);
+    const mode = SCRAPE_MODES.includes(sessionOptions.mode) ? sessionOptions.mode : 'new';
 
-    scraperState.totalFiles = mp3Files.length;
-    scraperState.processedFiles = 0;
-    scraperState.successfulFiles = 0;
-    scraperState.errorFiles = 0;
-    scraperState.skippedFiles = 0;
-    scraperState.isRunning = true;
-
-    sendScrapingLog('info', `Found ${mp3Files.length} MP3 files to process`);
-    sendScrapingProgress();
-
-    // Create browser for scraping
-    scraperState.browser = await puppeteer.launch({ headless: false });
-
-    // Process files
-    for (let i = 0; i < mp3Files.length && scraperState.isRunning; i++) {
-      const fileName = mp3Files[i];
-      const fullPath = path.join(folderPath, fileName);
-
-      sendScrapingLog('info', `Processing ${i + 1}/${mp3Files.length}`, fileName);
+    // The checkpoint decides which files this run looks at
+    const session = startScrapeSession(folderPath, mode);
+    const { files: mp3Files, skipped: checkpointSkipped } = selectFilesToScrape(session, libraryFiles, mode, {
+      skipKnownBad: sessionOptions.skipKnownBad !== false,
+      readUrl: getSunoUrl
+    });
+    scraperState.session = session;
 
-      // Restart browser every 100 files for memory management
-      if (i > 0 && i % 100 === 0) {
-        sendScrapingLog('info', 'Restarting browser for memory management...');
-        await scraperState.browser.close();
-        scraperState.browser = await puppeteer.launch({ headless: false });
-      }
+    scraperState.isRunning = true;
+    scraperState.stats = null;
+    scraperState.journalEntry = beginJournalEntry('scrape', `Suno scraping of ${path.basename(folderPath)}`);
 
-      // Check if file already has genre and lyrics
-      if (hasGenreAndLyrics(fullPath)) {
-        sendScrapingLog('info', 'File already has genre and lyrics, skipping', fileName);
-        scraperState.skippedFiles++;
-        scraperState.processedFiles++;
+    // Extractor files are re-read for every session, so edited selectors apply without a restart
+    const { extractors, loadErrors } = reloadExtractors();
+    loadErrors.forEach(({ file, errors }) => {
+      sendScrapingLog('warning', `Extractor ${path.basename(file)} left out: ${errors.join('; ')}`);
+    });
+    sendScrapingLog('info', `Extractors: ${extractors.map(extractor => `${extractor.name || extractor.id} v${extractor.version}`).join(', ')}`);
+
+    sendScrapingLog('info', `Found ${libraryFiles.length} MP3 files, ${mp3Files.length} to process` +
+      (checkpointSkipped > 0 ? ` (${checkpointSkipped} left out by the ${mode === 'new' ? 'known-bad list' : 'previous session'})` : ''));
+
+    const stats = await runScrapingSession(mp3Files, {
+      settings: scraperSettings,
+      launchBrowser: async () => {
+        scraperState.browser = await puppeteer.launch({ headless: scraperSettings.headless ? 'new' : false });
+        return scraperState.browser;
+      },
+      closeBrowser: async (browser) => {
+        if (scraperState.browser === browser) scraperState.browser = null;
+        await browser.close().catch(() => {}); // Already closed by stop-scraping
+      },
+      isStopped: () => !scraperState.isRunning,
+      journalEntry: scraperState.journalEntry,
+      onLog: ({ type, message, filename, url, worker }) => sendScrapingLog(type, message, filename, url, worker),
+      onProgress: (sessionStats) => {
+        scraperState.stats = sessionStats;
         sendScrapingProgress();
-        continue;
-      }
-
-      // Get Suno URL from metadata
-      const sunoUrl = getSunoUrl(fullPath);
-
-      if (sunoUrl && sunoUrl.includes('suno.com')) {
-        try {
-          const scrapedData = await scrapeSunoUrl(scraperState.browser, sunoUrl, fullPath);
-
-          if (validateScrapedData(scrapedData)) {
-            scraperState.successfulFiles++;
-          } else {
-            scraperState.errorFiles++;
-            sendScrapingLog('warning', 'Scraped data validation failed', fileName);
-          }
-        } catch (error) {
-          scraperState.errorFiles++;
-          sendScrapingLog('error', `Error processing file: ${error.message}`, fileName);
-        }
-      } else {
-        scraperState.skippedFiles++;
-        sendScrapingLog('info', 'No Suno URL found, skipping', fileName);
-      }
-
-      scraperState.processedFiles++;
-      sendScrapingProgress();
-
-      // Add delay between requests (2-5 seconds)
-      if (i < mp3Files.length - 1 && scraperState.isRunning) {
-        const delay = Math.floor(Math.random() * 3000) + 2000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-
-    // Close browser
-    if (scraperState.browser) {
-      await scraperState.browser.close();
-      scraperState.browser = null;
-    }
+      },
+      onFileDone: (file, outcome) => recordScrapeOutcome(session, file.filePath, outcome)
+    });
 
+    // A stopped session can be resumed later
+    finishScrapeSession(session, { stopped: !scraperState.isRunning });
+    scraperState.session = null;
     scraperState.isRunning = false;
+    saveMetadataCache();
+    commitJournalEntry(scraperState.journalEntry);
+    scraperState.journalEntry = null;
 
-    sendScrapingLog('info', `Session complete! Processed: ${scraperState.successfulFiles}, Errors: ${scraperState.errorFiles}, Skipped: ${scraperState.skippedFiles}`);
+    sendScrapingLog('info', `Session complete! Processed: ${stats.successful}, Errors: ${stats.errors}, Skipped: ${stats.skipped}, Retries: ${stats.retries}`);
+    if (stats.errors > 0) {
+      sendScrapingLog('warning', `Failures by cause: ${summarizeScrapeErrors(stats.errorCategories)}`);
+    }
     sendScrapingProgress();
 
     return {
       success: true,
       stats: {
-        total: scraperState.totalFiles,
-        processed: scraperState.processedFiles,
-        successful: scraperState.successfulFiles,
-        errors: scraperState.errorFiles,
-        skipped: scraperState.skippedFiles
+        total: stats.total,
+        processed: stats.processed,
+        successful: stats.successful,
+        errors: stats.errors,
+        skipped: stats.skipped,
+        retries: stats.retries,
+        errorCategories: stats.errorCategories
       }
     };
 
   } catch (error) {
+    if (scraperState.session) {
+      finishScrapeSession(scraperState.session, { stopped: true });
+      scraperState.session = null;
+    }
     scraperState.isRunning = false;
+    saveMetadataCache();
+    commitJournalEntry(scraperState.journalEntry);
+    scraperState.journalEntry = null;
     if (scraperState.browser) {
-      await scraperState.browser.close();
+      await scraperState.browser.close().catch(() => {});
       scraperState.browser = null;
     }
     sendScrapingLog('error', `Scraping failed: ${error.message}`);
@@ -1211,6 +923,26 @@ ipcMain.handle('start-scraping', async (event, folderPath) => {
   }
 });
 
+// The checkpoint of a folder's last scraping session, or null
+ipcMain.handle('get-scrape-session', async (event, folderPath) => {
+  try {
+    return getScrapeSessionSummary(folderPath);
+  } catch (error) {
+    console.error('Error reading scrape session:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('clear-scrape-session', async (event, folderPath) => {
+  try {
+    clearScrapeSession(folderPath);
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing scrape session:', error);
+    throw error;
+  }
+});
+
 // IPC handler to stop scraping
 ipcMain.handle('stop-scraping', async () => {
   scraperState.isRunning = false;
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_EXTENSIONS } = require('./formats');
+
+// Default scan options - a flat scan of the selected folder, same as before
+const DEFAULT_SCAN_OPTIONS = {
+  recursive: false,
+  maxDepth: 10,
+  include: [],
+  exclude: [],
+  followSymlinks: true
+};
+
+// Helper function to convert a simple glob pattern to a RegExp
+// Supports ** (any number of folders), * (anything except /) and ? (single character)
+function globToRegExp(pattern) {
+  let regex = '';
+  const normalized = pattern.trim().replace(/\\/g, '/');
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+
+    if (char === '*') {
+      if (normalized[i + 1] === '*') {
+        // "**/" matches zero or more folders, a trailing "**" matches everything
+        if (normalized[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if ('\\^$+.()|{}[]'.includes(char)) {
+      regex += '\\' + char;
+    } else {
+      regex += char;
+    }
+  }
+
+  return new RegExp(`^${regex}$`, 'i');
+}
+
+// Helper function to check a relative path against a list of glob patterns.
+// Patterns without a slash also match against the bare file or folder name.
+function matchesAnyPattern(relativePath, patterns) {
+  const name = relativePath.split('/').pop();
+  return patterns.some(pattern => {
+    const regex = globToRegExp(pattern);
+    return regex.test(relativePath) || (!pattern.includes('/') && regex.test(name));
+  });
+}
+
+// Normalize options coming from the renderer (patterns may arrive as comma separated strings)
+function normalizeScanOptions(options = {}) {
+  const toPatternList = (value) => {
+    if (Array.isArray(value)) return value.map(p => String(p).trim()).filter(p => p);
+    if (typeof value === 'string') return value.split(',').map(p => p.trim()).filter(p => p);
+    return [];
+  };
+
+  const maxDepth = parseInt(options.maxDepth);
+
+  return {
+    ...DEFAULT_SCAN_OPTIONS,
+    recursive: !!options.recursive,
+    maxDepth: maxDepth >= 0 ? maxDepth : DEFAULT_SCAN_OPTIONS.maxDepth,
+    include: toPatternList(options.include),
+    exclude: toPatternList(options.exclude),
+    followSymlinks: options.followSymlinks !== false,
+    extensions: options.extensions || SUPPORTED_EXTENSIONS
+  };
+}
+
+// Scan a folder for audio files, optionally descending into subfolders.
+// Returns entries like { filename, filePath, relativePath, folder } sorted by relative path.
+function scanLibrary(rootPath, options = {}) {
+  const scanOptions = normalizeScanOptions(options);
+  const results = [];
+  const visitedDirs = new Set(); // Real paths of folders already scanned (symlink loop protection)
+
+  function walk(dirPath, depth) {
+    let realDir;
+    try {
+      realDir = fs.realpathSync(dirPath);
+    } catch (error) {
+      console.error(`Error resolving folder ${dirPath}:`, error.message);
+      return;
+    }
+
+    if (visitedDirs.has(realDir)) {
+      console.log(`[SCAN] Skipping already visited folder (symlink loop?): ${dirPath}`);
+      return;
+    }
+    visitedDirs.add(realDir);
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // Unreadable subfolders shouldn't abort the whole scan, but the root folder should
+      if (depth === 0) throw error;
+      console.error(`Error reading folder ${dirPath}:`, error.message);
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/');
+
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.isSymbolicLink()) {
+        if (!scanOptions.followSymlinks) continue;
+        try {
+          const stats = fs.statSync(fullPath);
+          isDirectory = stats.isDirectory();
+          isFile = stats.isFile();
+        } catch (error) {
+          // Broken symlink
+          continue;
+        }
+      }
+
+      if (scanOptions.exclude.length > 0 && matchesAnyPattern(relativePath, scanOptions.exclude)) {
+        continue;
+      }
+
+      if (isDirectory) {
+        if (scanOptions.recursive && depth < scanOptions.maxDepth) {
+          walk(fullPath, depth + 1);
+        }
+        continue;
+      }
+
+      if (!isFile) continue;
+      if (!scanOptions.extensions.includes(path.extname(entry.name).toLowerCase())) continue;
+
+      if (scanOptions.include.length > 0 && !matchesAnyPattern(relativePath, scanOptions.include)) {
+        continue;
+      }
+
+      const folder = path.dirname(relativePath);
+      results.push({
+        filename: entry.name,
+        filePath: fullPath,
+        relativePath: relativePath,
+        folder: folder === '.' ? '' : folder
+      });
+    }
+  }
+
+  walk(rootPath, 0);
+
+  results.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_SCAN_OPTIONS,
+  globToRegExp,
+  normalizeScanOptions,
+  scanLibrary
+};
@@ -0,0 +1,188 @@
+// Lyric search matching for naming rules. A lyric search is either a plain string
+// (substring match, the original format) or { text, mode, threshold }.
+
+const MATCH_MODES = ['substring', 'word', 'regex', 'fuzzy'];
+const DEFAULT_FUZZY_THRESHOLD = 0.85; // Share of the search text that has to line up
+const EXCERPT_CONTEXT = 40; // Characters of lyrics shown around a match
+
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fill in defaults for a lyric search in either format
+function normalizeLyricSearch(search) {
+  if (search && typeof search === 'object') {
+    const threshold = parseFloat(search.threshold);
+    return {
+      text: String(search.text || ''),
+      mode: MATCH_MODES.includes(search.mode) ? search.mode : 'substring',
+      threshold: threshold > 0 && threshold <= 1 ? threshold : DEFAULT_FUZZY_THRESHOLD
+    };
+  }
+  return { text: String(search || ''), mode: 'substring', threshold: DEFAULT_FUZZY_THRESHOLD };
+}
+
+// Returns an error message for searches that can't be used (invalid regular expressions), or ''
+function validateLyricSearch(search) {
+  const { text, mode } = normalizeLyricSearch(search);
+  if (mode !== 'regex' || !text.trim()) return '';
+  try {
+    new RegExp(text, 'iu');
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Lowercase letters and digits only, with the position in the original text of each character
+function stripForFuzzy(text) {
+  const chars = [];
+  const positions = [];
+  const pattern = new RegExp(WORD_CHAR, 'u');
+  let index = 0;
+  for (const char of text.toLowerCase()) {
+    if (pattern.test(char)) {
+      chars.push(char);
+      positions.push(index);
+    }
+    index += char.length;
+  }
+  return { chars, positions };
+}
+
+// Best approximate occurrence of needle anywhere in haystack (Sellers' algorithm):
+// the edit distance is free to start at any position of the haystack.
+// Returns { start, end, distance } over the character arrays.
+function findApproximate(needle, haystack) {
+  const m = needle.length;
+  let previous = new Array(m + 1);
+  let previousStart = new Array(m + 1);
+  for (let i = 0; i <= m; i++) {
+    previous[i] = i;
+    previousStart[i] = 0;
+  }
+
+  let best = { start: 0, end: 0, distance: m };
+  for (let j = 1; j <= haystack.length; j++) {
+    const current = new Array(m + 1);
+    const currentStart = new Array(m + 1);
+    current[0] = 0;
+    currentStart[0] = j;
+
+    for (let i = 1; i <= m; i++) {
+      const substitution = previous[i - 1] + (needle[i - 1] === haystack[j - 1] ? 0 : 1);
+      const deletion = previous[i] + 1;
+      const insertion = current[i - 1] + 1;
+
+      if (substitution <= deletion && substitution <= insertion) {
+        current[i] = substitution;
+        currentStart[i] = previousStart[i - 1];
+      } else if (deletion <= insertion) {
+        current[i] = deletion;
+        currentStart[i] = previousStart[i];
+      } else {
+        current[i] = insertion;
+        currentStart[i] = currentStart[i - 1];
+      }
+    }
+
+    if (current[m] < best.distance) {
+      best = { start: currentStart[m], end: j, distance: current[m] };
+      if (best.distance === 0) break;
+    }
+    previous = current;
+    previousStart = currentStart;
+  }
+
+  return best;
+}
+
+function findFuzzy(lyrics, text, threshold) {
+  const needle = stripForFuzzy(text);
+  const haystack = stripForFuzzy(lyrics);
+  if (needle.chars.length === 0 || haystack.chars.length === 0) return null;
+
+  const { start, end, distance } = findApproximate(needle.chars, haystack.chars);
+  const score = 1 - distance / needle.chars.length;
+  if (score < threshold || end <= start) return null;
+
+  const from = haystack.positions[start];
+  const lastIndex = haystack.positions[end - 1];
+  const to = lastIndex + (lyrics.codePointAt(lastIndex) > 0xFFFF ? 2 : 1);
+  return { index: from, length: to - from, score };
+}
+
+// Find where one lyric search matches. Returns { index, length, score } (score is 1 for
+// exact modes) or null when it doesn't match.
+function findLyricMatch(lyrics, search) {
+  const { text, mode, threshold } = normalizeLyricSearch(search);
+  if (!lyrics || !text.trim()) return null;
+
+  if (mode === 'substring') {
+    const index = lyrics.toLowerCase().indexOf(text.toLowerCase());
+    return index === -1 ? null : { index, length: text.length, score: 1 };
+  }
+
+  if (mode === 'fuzzy') {
+    return findFuzzy(lyrics, text, threshold);
+  }
+
+  let pattern;
+  if (mode === 'word') {
+    // Whole words only, any run of whitespace in the search matches any whitespace
+    const words = text.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    pattern = new RegExp(`(?<!${WORD_CHAR})${words}(?!${WORD_CHAR})`, 'iu');
+  } else {
+    try {
+      pattern = new RegExp(text, 'iu');
+    } catch (error) {
+      return null; // Invalid expressions never match - the rule editor flags them
+    }
+  }
+
+  const match = pattern.exec(lyrics);
+  return match ? { index: match.index, length: match[0].length, score: 1 } : null;
+}
+
+// Lyrics around a match, for showing where it was found
+function buildExcerpt(lyrics, index, length) {
+  const start = Math.max(0, index - EXCERPT_CONTEXT);
+  const end = Math.min(lyrics.length, index + length + EXCERPT_CONTEXT);
+  const clean = (text) => text.replace(/\s+/g, ' ');
+  return {
+    before: (start > 0 ? '…' : '') + clean(lyrics.slice(start, index)),
+    match: clean(lyrics.slice(index, index + length)),
+    after: clean(lyrics.slice(index + length, end)) + (end < lyrics.length ? '…' : '')
+  };
+}
+
+// First search of the list that matches the lyrics:
+// { searchIndex, text, mode, score, index, excerpt } or null
+function matchLyricSearches(lyrics, searches) {
+  for (let searchIndex = 0; searchIndex < searches.length; searchIndex++) {
+    const search = normalizeLyricSearch(searches[searchIndex]);
+    const found = findLyricMatch(lyrics, search);
+    if (found) {
+      return {
+        searchIndex,
+        text: search.text,
+        mode: search.mode,
+        score: Math.round(found.score * 100) / 100,
+        index: found.index,
+        excerpt: buildExcerpt(lyrics, found.index, found.length)
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MATCH_MODES,
+  DEFAULT_FUZZY_THRESHOLD,
+  normalizeLyricSearch,
+  validateLyricSearch,
+  findLyricMatch,
+  matchLyricSearches
+};
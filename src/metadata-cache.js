@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bump when the shape of the cached file data changes so stale caches are discarded
+const CACHE_VERSION = 4;
+const CACHE_FILENAME = 'metadata-cache.json';
+
+// Cache state - entries are keyed by absolute file path
+let cacheState = {
+  cacheFile: null,
+  entries: null, // filePath -> { size, mtimeMs, data }
+  dirty: false
+};
+
+// Set the directory the cache lives in (the app's userData directory)
+function initMetadataCache(cacheDir) {
+  cacheState.cacheFile = path.join(cacheDir, CACHE_FILENAME);
+  cacheState.entries = null;
+  cacheState.dirty = false;
+}
+
+function loadEntries() {
+  if (cacheState.entries) return cacheState.entries;
+
+  cacheState.entries = new Map();
+  if (!cacheState.cacheFile || !fs.existsSync(cacheState.cacheFile)) {
+    return cacheState.entries;
+  }
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheState.cacheFile, 'utf8'));
+    if (cache.version === CACHE_VERSION && cache.entries) {
+      Object.keys(cache.entries).forEach(filePath => {
+        cacheState.entries.set(filePath, cache.entries[filePath]);
+      });
+    } else {
+      console.log('[CACHE] Cache version changed, starting with an empty cache');
+    }
+  } catch (error) {
+    // A corrupt cache is not fatal - everything simply gets re-parsed
+    console.error('Error loading metadata cache:', error.message);
+  }
+
+  return cacheState.entries;
+}
+
+// Return the cached data for a file if its size and modification time still match
+function getCachedMetadata(filePath, stats) {
+  const entry = loadEntries().get(filePath);
+  if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+    return entry.data;
+  }
+  return null;
+}
+
+function setCachedMetadata(filePath, stats, data) {
+  loadEntries().set(filePath, {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    data
+  });
+  cacheState.dirty = true;
+}
+
+function removeCachedMetadata(filePath) {
+  if (loadEntries().delete(filePath)) {
+    cacheState.dirty = true;
+  }
+}
+
+// Move a cache entry after a rename (the entry is re-validated against the new file's stats on read)
+function renameCachedMetadata(oldPath, newPath) {
+  const entries = loadEntries();
+  const entry = entries.get(oldPath);
+  if (entry) {
+    entries.delete(oldPath);
+    entries.set(newPath, entry);
+    cacheState.dirty = true;
+  }
+}
+
+// Drop entries under a folder whose files no longer exist
+function pruneMissingEntries(folderPath, seenPaths) {
+  const prefix = folderPath.endsWith(path.sep) ? folderPath : folderPath + path.sep;
+  for (const filePath of loadEntries().keys()) {
+    if (filePath.startsWith(prefix) && !seenPaths.has(filePath) && !fs.existsSync(filePath)) {
+      cacheState.entries.delete(filePath);
+      cacheState.dirty = true;
+    }
+  }
+}
+
+// Artwork IDs referenced by any cached file (used to clean up the artwork store)
+function getCachedArtworkIds() {
+  const artworkIds = new Set();
+  for (const entry of loadEntries().values()) {
+    if (entry.data && entry.data.artworkId) {
+      artworkIds.add(entry.data.artworkId);
+    }
+  }
+  return artworkIds;
+}
+
+// Write the cache to disk if anything changed (through a temp file so a crash can't corrupt it)
+function saveMetadataCache() {
+  if (!cacheState.dirty || !cacheState.entries || !cacheState.cacheFile) return;
+
+  try {
+    const cache = {
+      version: CACHE_VERSION,
+      savedAt: new Date().toISOString(),
+      entries: Object.fromEntries(cacheState.entries)
+    };
+    const tempFile = cacheState.cacheFile + '.tmp';
+    fs.mkdirSync(path.dirname(cacheState.cacheFile), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(cache), 'utf8');
+    fs.renameSync(tempFile, cacheState.cacheFile);
+    cacheState.dirty = false;
+  } catch (error) {
+    console.error('Error saving metadata cache:', error.message);
+  }
+}
+
+module.exports = {
+  initMetadataCache,
+  getCachedMetadata,
+  setCachedMetadata,
+  removeCachedMetadata,
+  renameCachedMetadata,
+  pruneMissingEntries,
+  getCachedArtworkIds,
+  saveMetadataCache
+};
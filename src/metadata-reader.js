@@ -0,0 +1,68 @@
+const { readTags, getFormatName } = require('./formats');
+const { storeArtwork } = require('./artwork-store');
+const { parseGenres } = require('./genres');
+
+// Parse the tags of a single file into the data the renderer's file objects carry.
+// Runs inside the metadata worker threads as well as on the main process.
+function parseFileMetadata(filePath) {
+  const tags = readTags(filePath);
+
+  // Album artwork is stored once per unique cover and referenced by ID - the renderer
+  // loads thumbnails and the full image on demand through the artwork:// protocol
+  let artworkId = null;
+  try {
+    artworkId = storeArtwork(tags.image);
+  } catch (error) {
+    console.error(`Error storing artwork for ${filePath}:`, error.message);
+  }
+
+  // genres is the parsed list (separators, ID3v1 codes and v2.4 multi-values resolved,
+  // duplicates kept for the cleanup policy); genre is its display form
+  const genres = parseGenres(tags.genre, { dedupe: false });
+
+  return {
+    format: getFormatName(filePath),
+    genre: genres.length > 0 ? genres.join('; ') : 'Unknown',
+    genres: genres,
+    title: tags.title || 'Unknown',
+    artist: tags.artist || 'Unknown',
+    album: tags.album || 'Unknown',
+    lyrics: tags.lyrics || '',
+    trackNumber: tags.trackNumber || '',
+    discNumber: tags.discNumber || '',
+    year: tags.year || '',
+    bpm: tags.bpm || '',
+    comment: tags.comment || '',
+    composer: tags.composer || '',
+    audioSourceUrl: tags.audioSourceUrl || '',
+    id3Version: tags.id3Version || '',
+    artworkId: artworkId
+  };
+}
+
+// File object used when a file's tags can't be read
+function errorFileMetadata(filePath) {
+  return {
+    format: getFormatName(filePath),
+    genre: 'Error reading file',
+    genres: [],
+    title: 'Error',
+    artist: 'Error',
+    album: 'Error',
+    lyrics: '',
+    trackNumber: '',
+    discNumber: '',
+    year: '',
+    bpm: '',
+    comment: '',
+    composer: '',
+    audioSourceUrl: '',
+    id3Version: '',
+    artworkId: null
+  };
+}
+
+module.exports = {
+  parseFileMetadata,
+  errorFileMetadata
+};
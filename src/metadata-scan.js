@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { scanLibrary } = require('./library-scanner');
+const { parseFileMetadata, errorFileMetadata } = require('./metadata-reader');
+const { createWorkerPool } = require('./worker-pool');
+const { getArtworkDir } = require('./artwork-store');
+const {
+  getCachedMetadata,
+  setCachedMetadata,
+  removeCachedMetadata,
+  pruneMissingEntries,
+  saveMetadataCache
+} = require('./metadata-cache');
+
+const BATCH_SIZE = 50; // Files per batch pushed to the renderer
+const YIELD_EVERY = 200; // Give the event loop a turn every N files (cache hits are synchronous)
+
+let metadataPool = null;
+
+// The pool is created on first use and reused for every scan
+function getMetadataPool() {
+  if (!metadataPool) {
+    try {
+      const artworkDir = getArtworkDir();
+      metadataPool = createWorkerPool(path.join(__dirname, 'metadata-worker.js'), {
+        workerData: { artworkBaseDir: artworkDir ? path.dirname(artworkDir) : null }
+      });
+    } catch (error) {
+      console.error('Could not start metadata workers, parsing on the main process:', error);
+      metadataPool = false;
+    }
+  }
+  return metadataPool || null;
+}
+
+function shutdownMetadataWorkers() {
+  if (metadataPool) {
+    metadataPool.destroy();
+  }
+  metadataPool = null;
+}
+
+// Read a file's metadata synchronously, from the cache when the file hasn't changed
+function readFileMetadata(filePath) {
+  const stats = fs.statSync(filePath);
+  const cached = getCachedMetadata(filePath, stats);
+  if (cached) {
+    return { data: cached, fromCache: true };
+  }
+
+  const data = parseFileMetadata(filePath);
+  setCachedMetadata(filePath, stats, data);
+  return { data, fromCache: false };
+}
+
+// Re-parse a file after we wrote to it so the cache never serves stale tags
+function refreshCachedFile(filePath) {
+  try {
+    readFileMetadata(filePath);
+  } catch (error) {
+    removeCachedMetadata(filePath);
+  }
+}
+
+// Build the renderer file object for one scanned file, parsing in a worker on a cache miss
+async function loadFileEntry(file) {
+  const { filename, filePath, relativePath, folder } = file;
+  const location = { filename, filePath, relativePath, folder };
+
+  try {
+    const stats = fs.statSync(filePath);
+    const cached = getCachedMetadata(filePath, stats);
+    if (cached) {
+      return { entry: { ...location, ...cached }, fromCache: true };
+    }
+
+    const pool = getMetadataPool();
+    const data = pool ? await pool.run({ filePath }) : parseFileMetadata(filePath);
+    setCachedMetadata(filePath, stats, data);
+    return { entry: { ...location, ...data }, fromCache: false };
+  } catch (error) {
+    console.error(`Error reading ${filename}:`, error.message);
+    removeCachedMetadata(filePath);
+    return { entry: { ...location, ...errorFileMetadata(filePath) }, fromCache: false };
+  }
+}
+
+// Load the renderer file objects for a list of scanned files (used for incremental updates)
+async function loadFileEntries(files) {
+  const results = await Promise.all(files.map(file => loadFileEntry(file)));
+  return results.map(result => result.entry);
+}
+
+// Scan a folder and load every file's metadata.
+// Results are delivered in scan order through onBatch(files) as soon as they're ready,
+// onProgress({ processed, total, cacheHits }) reports counts, and isCancelled() is
+// checked between files. Resolves with { files, total, cacheHits, cancelled }.
+async function scanMetadata(folderPath, scanOptions = {}, { onBatch, onProgress, isCancelled } = {}) {
+  const files = scanLibrary(folderPath, scanOptions);
+  const total = files.length;
+  const results = new Array(total);
+  const maxInFlight = (getMetadataPool()?.size || 1) * 4;
+
+  let processed = 0;
+  let cacheHits = 0;
+  let nextToEmit = 0;
+  let batch = [];
+  const emitted = [];
+
+  // Emit the finished files that form a contiguous prefix, so the table fills in order
+  const emitReady = (force = false) => {
+    while (nextToEmit < total && results[nextToEmit]) {
+      batch.push(results[nextToEmit]);
+      nextToEmit++;
+    }
+    if (batch.length >= BATCH_SIZE || (force && batch.length > 0)) {
+      emitted.push(...batch);
+      if (onBatch) onBatch(batch);
+      batch = [];
+      if (onProgress) onProgress({ processed, total, cacheHits });
+    }
+  };
+
+  if (onProgress) onProgress({ processed, total, cacheHits });
+
+  const inFlight = new Set();
+  let cancelled = false;
+
+  for (let i = 0; i < total; i++) {
+    if (isCancelled && isCancelled()) {
+      cancelled = true;
+      break;
+    }
+
+    const task = loadFileEntry(files[i]).then(({ entry, fromCache }) => {
+      results[i] = entry;
+      processed++;
+      if (fromCache) cacheHits++;
+      emitReady();
+    });
+    inFlight.add(task);
+    task.finally(() => inFlight.delete(task));
+
+    if (inFlight.size >= maxInFlight) {
+      await Promise.race(inFlight);
+    }
+    if (i % YIELD_EVERY === YIELD_EVERY - 1) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  await Promise.all(inFlight);
+
+  if (cancelled) {
+    // Deliver everything that did finish, even if it isn't a contiguous prefix
+    for (let i = nextToEmit; i < total; i++) {
+      if (results[i]) batch.push(results[i]);
+    }
+    nextToEmit = total;
+  }
+  emitReady(true);
+
+  if (!cancelled) {
+    pruneMissingEntries(folderPath, new Set(files.map(file => file.filePath)));
+  }
+  saveMetadataCache();
+  console.log(`[SCAN] ${processed}/${total} files loaded (${cacheHits} from cache)${cancelled ? ' - cancelled' : ''}`);
+
+  return { files: emitted, total, cacheHits, cancelled };
+}
+
+module.exports = {
+  loadFileEntries,
+  readFileMetadata,
+  refreshCachedFile,
+  scanMetadata,
+  shutdownMetadataWorkers
+};
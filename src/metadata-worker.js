@@ -0,0 +1,17 @@
+// Worker thread that parses tags off the main process event loop
+const { parentPort, workerData } = require('worker_threads');
+const { parseFileMetadata } = require('./metadata-reader');
+const { initArtworkStore } = require('./artwork-store');
+
+// Covers are written to the same store the main process serves them from
+if (workerData && workerData.artworkBaseDir) {
+  initArtworkStore(workerData.artworkBaseDir);
+}
+
+parentPort.on('message', ({ id, filePath }) => {
+  try {
+    parentPort.postMessage({ id, data: parseFileMetadata(filePath) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const path = require('path');
+const { formatGenres } = require('./genres');
+const { renderTemplate, validateTemplate, sanitizeFilename } = require('./template-engine');
+const { normalizeLyricSearch, validateLyricSearch, matchLyricSearches } = require('./lyric-matcher');
+const { normalizeConditionGroup, hasConditions, evaluateConditions, findConditionWarnings } = require('./rule-conditions');
+const { statFile, findRenameConflicts } = require('./rename-transaction');
+
+// Naming via Lyrics engine. Preview builds a plan (matching, grouping and track numbering)
+// and stores it under a plan ID; apply writes exactly that plan after checking that none
+// of the files it was built from changed in the meantime.
+
+const MAX_STORED_PLANS = 5; // Older previews are forgotten once this many are stored
+const YIELD_EVERY = 50; // Files matched between yields, so a cancel request can get through
+const TRACK_SORT_KEYS = ['track', 'title', 'filename', 'manual']; // rule.sortBy, 'track' by default
+
+let planState = {
+  plans: new Map() // planId -> plan
+};
+
+// Build the template variables for a file
+function buildTemplateVariables(file) {
+  // Track and disc numbers may be stored as "3/12" - templates get the number part
+  const numberPart = (value) => String(value || '').split('/')[0].trim();
+
+  return {
+    number: 1, // placeholder - will be set later
+    artist: file.artist || 'Unknown Artist',
+    title: file.title || 'Unknown Title',
+    album: file.album || 'Unknown Album',
+    genre: formatGenres(file.genre, ', ') || 'Unknown', // Genres are listed with commas in names
+    year: file.year || new Date().getFullYear(),
+    track: numberPart(file.trackNumber),
+    disc: numberPart(file.discNumber),
+    bpm: file.bpm || '',
+    composer: file.composer || '',
+    comment: file.comment || '',
+    sourceUrl: file.audioSourceUrl || ''
+  };
+}
+
+// Template syntax (filters, defaults, sections) is described in template-engine.js
+function processTemplate(template, variables) {
+  return renderTemplate(template, variables).trim();
+}
+
+// Render a filename template into a safe file name, keeping the original extension.
+// Returns '' when the template is empty or renders to nothing usable.
+function processFilenameTemplate(template, variables, originalFilename) {
+  const extension = path.extname(originalFilename);
+  const name = sanitizeFilename(renderTemplate(template, variables), extension);
+  return name ? name + extension : '';
+}
+
+// Render a folder template such as "{artist}/{album}" into safe folder names.
+// Each level is rendered on its own, so a "/" inside a value (AC/DC) can't add a level.
+// Levels that render to nothing are dropped; returns [] for an empty template.
+function processFolderTemplate(template, variables) {
+  if (!template) return [];
+  return template
+    .split(/[\/\\]/)
+    .map(level => sanitizeFilename(renderTemplate(level, variables)))
+    .filter(level => level !== '');
+}
+
+// Support both old format (lyricSearch) and new format (lyricSearches).
+// Searches are returned as { text, mode, threshold } (see lyric-matcher.js).
+function getLyricSearches(rule) {
+  let lyricSearches = rule.lyricSearches || [];
+  if (rule.lyricSearch && !lyricSearches.length) {
+    lyricSearches = [rule.lyricSearch]; // Backward compatibility
+  }
+  return lyricSearches
+    .map(normalizeLyricSearch)
+    .filter(search => search.text.trim() !== '');
+}
+
+// Collect the files each rule matches. A file belongs to the first rule that matches it,
+// and every rule forms its own album group for numbering.
+// A rule matches when its lyrics match ANY of its lyric searches and its metadata conditions
+// hold; a rule with only one of the two is matched on that alone.
+// Resolves with null when isCancelled() returns true (checked between rules and files).
+async function groupMatchesByRule(namingRules, files, onRule, isCancelled) {
+  const albumGroups = new Map(); // groupKey -> array of entries
+  const processedFiles = new Set(); // Track files already matched to prevent duplicates
+
+  for (let ruleIndex = 0; ruleIndex < namingRules.length; ruleIndex++) {
+    const rule = namingRules[ruleIndex];
+    if (isCancelled && isCancelled()) return null;
+    if (onRule) onRule(rule, ruleIndex);
+
+    const searches = getLyricSearches(rule);
+    const conditions = normalizeConditionGroup(rule.conditions);
+    const useConditions = hasConditions(conditions);
+    if (searches.length === 0 && !useConditions) continue;
+
+    const groupKey = `RULE_${rule.id}`;
+    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+      const file = files[fileIndex];
+      if (fileIndex % YIELD_EVERY === YIELD_EVERY - 1) {
+        await new Promise(resolve => setImmediate(resolve));
+        if (isCancelled && isCancelled()) return null;
+      }
+      if (processedFiles.has(file.filePath)) continue;
+      if (useConditions && !evaluateConditions(conditions, file)) continue;
+
+      const lyricMatch = searches.length > 0 ? matchLyricSearches(file.lyrics || '', searches) : null;
+      if (searches.length > 0 && !lyricMatch) continue;
+      processedFiles.add(file.filePath);
+
+      if (!albumGroups.has(groupKey)) {
+        albumGroups.set(groupKey, []);
+      }
+      albumGroups.get(groupKey).push({ file, rule, lyricMatch, variables: buildTemplateVariables(file) });
+    }
+  }
+
+  return albumGroups;
+}
+
+// Sort key 'track': number the entries of one disc from startNumber.
+// Songs keep an existing track number where they can; songs without one (or with one below
+// startNumber, and duplicates of a number already taken) fill the gaps in the order given.
+// When no unnumbered songs are left, the song with the largest remaining track number moves
+// down into the gap.
+function numberByExistingTracks(entries, startNumber) {
+  const numbered = new Map(); // track number -> entry
+  const unnumbered = [];
+  const duplicates = [];
+
+  entries.forEach(entry => {
+    const trackNum = parseInt(entry.file.trackNumber);
+    if (trackNum >= startNumber && !numbered.has(trackNum)) {
+      numbered.set(trackNum, entry);
+    } else if (trackNum >= startNumber) {
+      duplicates.push(entry);
+    } else {
+      unnumbered.push(entry);
+    }
+  });
+
+  const waiting = unnumbered.concat(duplicates);
+  const ordered = [];
+  let currentTrack = startNumber;
+
+  while (numbered.size + waiting.length > 0) {
+    let entry = null;
+    if (numbered.has(currentTrack)) {
+      entry = numbered.get(currentTrack);
+      numbered.delete(currentTrack);
+    } else if (waiting.length > 0) {
+      entry = waiting.shift();
+    } else {
+      const highest = Math.max(...numbered.keys());
+      entry = numbered.get(highest);
+      numbered.delete(highest);
+    }
+
+    entry.variables.number = currentTrack;
+    ordered.push(entry);
+    currentTrack++;
+  }
+
+  return ordered;
+}
+
+function compareText(a, b) {
+  return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Existing track number first (unnumbered songs last), then the file name
+function compareExistingTracks(a, b) {
+  const trackA = parseInt(a.file.trackNumber) || Infinity;
+  const trackB = parseInt(b.file.trackNumber) || Infinity;
+  if (trackA !== trackB) return trackA < trackB ? -1 : 1;
+  return compareText(a.file.filename, b.file.filename);
+}
+
+// Order the entries of one disc by the rule's sort key. A manual order lists file paths as
+// they were dragged in the preview; files it doesn't know yet follow in track order.
+function sortEntries(entries, rule) {
+  switch (rule.sortBy) {
+    case 'title':
+      return entries.slice().sort((a, b) => compareText(a.file.title, b.file.title) || compareText(a.file.filename, b.file.filename));
+    case 'filename':
+      return entries.slice().sort((a, b) => compareText(a.file.filename, b.file.filename));
+    case 'manual': {
+      const positions = new Map((rule.manualOrder || []).map((filePath, index) => [filePath, index]));
+      const position = (entry) => positions.has(entry.file.filePath) ? positions.get(entry.file.filePath) : Infinity;
+      return entries.slice().sort((a, b) => (position(a) - position(b)) || compareExistingTracks(a, b));
+    }
+    default:
+      return entries.slice().sort(compareExistingTracks);
+  }
+}
+
+// Give every entry of an album group a track number. Each disc (TPOS, files without one
+// count as disc 1) is numbered on its own from the rule's startNumber, in the order of the
+// rule's sort key. Returns the entries disc by disc in track order.
+function assignTrackNumbers(entries, rule) {
+  const startNumber = Math.max(1, parseInt(rule.startNumber) || 1);
+  const sortBy = TRACK_SORT_KEYS.includes(rule.sortBy) ? rule.sortBy : 'track';
+  const discs = new Map(); // disc number -> entries
+  entries.forEach(entry => {
+    const disc = parseInt(entry.file.discNumber) || 1;
+    if (!discs.has(disc)) discs.set(disc, []);
+    discs.get(disc).push(entry);
+  });
+
+  const ordered = [];
+  [...discs.keys()].sort((a, b) => a - b).forEach(disc => {
+    const discEntries = discs.get(disc);
+    if (sortBy === 'track') {
+      ordered.push(...numberByExistingTracks(sortEntries(discEntries, rule), startNumber));
+      return;
+    }
+    sortEntries(discEntries, rule).forEach((entry, index) => {
+      entry.variables.number = startNumber + index;
+      ordered.push(entry);
+    });
+  });
+
+  return ordered;
+}
+
+// The planned change for one file. Rules with a folder template place the file in the
+// generated folders under destinationRoot (or under its current folder when there is none).
+function buildMatch(entry, { destinationRoot } = {}) {
+  const { file, rule, lyricMatch, variables } = entry;
+  const newArtist = processTemplate(rule.artistTemplate, variables);
+  const newTitle = processTemplate(rule.songTemplate, variables);
+  const newAlbum = processTemplate(rule.albumTemplate, variables);
+  const newFilename = processFilenameTemplate(rule.filenameTemplate, variables, file.filename) || file.filename;
+  const folders = processFolderTemplate(rule.folderTemplate, variables);
+  const newDirectory = folders.length > 0
+    ? path.join(destinationRoot || path.dirname(file.filePath), ...folders)
+    : path.dirname(file.filePath);
+
+  return {
+    originalFilename: file.filename,
+    originalPath: file.filePath,
+    newFilename,
+    newFolder: folders.join('/'), // Generated folders, '' when the file stays in its folder
+    newPath: path.join(newDirectory, newFilename),
+    newArtist: newArtist || file.artist,
+    newTitle: newTitle || file.title,
+    newAlbum: newAlbum || file.album,
+    originalArtist: file.artist,
+    originalTitle: file.title,
+    originalAlbum: file.album,
+    ruleId: rule.id,
+    trackNumber: variables.number,
+    discNumber: parseInt(file.discNumber) || null, // Numbering restarts on every disc
+    lyricMatch, // Which search matched and where (see matchLyricSearches), null for condition-only rules
+    variables
+  };
+}
+
+const TEMPLATE_FIELDS = {
+  albumTemplate: 'Album template',
+  songTemplate: 'Song template',
+  artistTemplate: 'Artist template',
+  filenameTemplate: 'Filename template',
+  folderTemplate: 'Folder template'
+};
+
+// Validate a template and render it for a sample file, for the live check in the rule editor
+function previewTemplate(template, sampleFile = {}, { filename = false, folder = false } = {}) {
+  const variables = buildTemplateVariables(sampleFile);
+  const errors = validateTemplate(template, Object.keys(variables));
+  let example;
+  if (filename) {
+    example = processFilenameTemplate(template, variables, sampleFile.filename || 'example.mp3');
+  } else if (folder) {
+    example = processFolderTemplate(template, variables).join('/');
+  } else {
+    example = processTemplate(template, variables);
+  }
+  return { errors, example };
+}
+
+// Problems with the rules that don't stop the preview, e.g. invalid regular expressions
+function findRuleWarnings(namingRules) {
+  const warnings = [];
+  const variableNames = Object.keys(buildTemplateVariables({}));
+  namingRules.forEach(rule => {
+    Object.keys(TEMPLATE_FIELDS).forEach(field => {
+      validateTemplate(rule[field], variableNames).forEach(error => {
+        warnings.push(`Rule #${rule.id}: ${TEMPLATE_FIELDS[field]}: ${error}`);
+      });
+    });
+    getLyricSearches(rule).forEach(search => {
+      const error = validateLyricSearch(search);
+      if (error) {
+        warnings.push(`Rule #${rule.id}: "${search.text}" is not a valid regular expression and never matches (${error})`);
+      }
+    });
+    findConditionWarnings(normalizeConditionGroup(rule.conditions)).forEach(warning => {
+      warnings.push(`Rule #${rule.id}: ${warning}`);
+    });
+  });
+  return warnings;
+}
+
+// Build and store the naming plan for the given rules and files.
+// onRule(rule, ruleIndex) is called as each rule is matched (for progress reporting).
+// destinationRoot is where folder templates build their folders, fileMode is 'move' or 'copy'
+// (copies leave the original files untouched), libraryRoot is the folder emptied folders are
+// cleaned up to after moving. isCancelled() is checked while matching; resolves with null when
+// the preview was cancelled.
+async function createNamingPlan(namingRules, files, { onRule, isCancelled, destinationRoot = '', fileMode = 'move', libraryRoot = '' } = {}) {
+  const albumGroups = await groupMatchesByRule(namingRules, files, onRule, isCancelled);
+  if (!albumGroups) return null;
+
+  const matches = [];
+  for (const [groupKey, entries] of albumGroups) {
+    const ordered = assignTrackNumbers(entries, entries[0].rule);
+    ordered.forEach(entry => matches.push(buildMatch(entry, { destinationRoot })));
+    console.log(`[NAMING] Album "${groupKey}": numbered ${ordered.length} files`);
+  }
+
+  // Every input file is recorded - a change to a file that didn't match could change the plan too
+  const fileStates = new Map();
+  files.forEach(file => fileStates.set(file.filePath, statFile(file.filePath)));
+
+  const plan = {
+    planId: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    totalMatches: matches.length,
+    matches,
+    warnings: findRuleWarnings(namingRules),
+    fileMode: fileMode === 'copy' ? 'copy' : 'move',
+    libraryRoot,
+    fileStates
+  };
+  plan.conflicts = findRenameConflicts(getRenameItems(plan)); // Pre-flight report, see rename-transaction.js
+
+  planState.plans.set(plan.planId, plan);
+  while (planState.plans.size > MAX_STORED_PLANS) {
+    planState.plans.delete(planState.plans.keys().next().value);
+  }
+
+  return plan;
+}
+
+// The renames of a plan as rename-transaction.js sees them, in match order
+function getRenameItems(plan) {
+  return plan.matches.map(match => ({
+    filePath: match.originalPath,
+    newPath: match.newPath,
+    copy: plan.fileMode === 'copy' && match.newPath !== match.originalPath,
+    skip: false
+  }));
+}
+
+function getNamingPlan(planId) {
+  return planState.plans.get(planId) || null;
+}
+
+function discardNamingPlan(planId) {
+  planState.plans.delete(planId);
+}
+
+// Files that were changed, added back or removed since the plan was built
+function findStaleFiles(plan) {
+  const staleFiles = [];
+  for (const [filePath, before] of plan.fileStates) {
+    const now = statFile(filePath);
+    if (!now && !before) continue;
+    if (!now || !before || now.size !== before.size || now.mtimeMs !== before.mtimeMs) {
+      staleFiles.push({
+        filePath,
+        filename: path.basename(filePath),
+        reason: now ? 'changed' : 'missing'
+      });
+    }
+  }
+  return staleFiles;
+}
+
+// The part of a plan the renderer gets to see
+function summarizeNamingPlan(plan) {
+  return {
+    planId: plan.planId,
+    createdAt: plan.createdAt,
+    totalMatches: plan.totalMatches,
+    matches: plan.matches,
+    warnings: plan.warnings,
+    fileMode: plan.fileMode,
+    conflicts: plan.conflicts
+  };
+}
+
+module.exports = {
+  TRACK_SORT_KEYS,
+  buildTemplateVariables,
+  processTemplate,
+  previewTemplate,
+  getLyricSearches,
+  createNamingPlan,
+  getNamingPlan,
+  discardNamingPlan,
+  findStaleFiles,
+  getRenameItems,
+  summarizeNamingPlan
+};
@@ -4,12 +4,42 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   selectFolder: () => ipcRenderer.invoke('select-folder'),
-  readMP3Metadata: (folderPath) => ipcRenderer.invoke('read-mp3-metadata', folderPath),
-  updateMP3Genres: (updates) => ipcRenderer.invoke('update-mp3-genres', updates),
-  previewNamingChanges: (namingRules, filesData) => ipcRenderer.invoke('preview-naming-changes', namingRules, filesData),
-  applyNamingChanges: (namingRules, filesData) => ipcRenderer.invoke('apply-naming-changes', namingRules, filesData),
-  saveNamingRules: (rulesData) => ipcRenderer.invoke('save-naming-rules', rulesData),
-  loadNamingRules: () => ipcRenderer.invoke('load-naming-rules'),
+  readMP3Metadata: (folderPath, scanOptions) => ipcRenderer.invoke('read-mp3-metadata', folderPath, scanOptions),
+  
+  // Streamed folder scan
+  startMetadataScan: (folderPath, scanOptions) => ipcRenderer.invoke('start-metadata-scan', folderPath, scanOptions),
+  cancelMetadataScan: () => ipcRenderer.invoke('cancel-metadata-scan'),
+  onMetadataScanBatch: (callback) => ipcRenderer.on('metadata-scan-batch', callback),
+  onMetadataScanProgress: (callback) => ipcRenderer.on('metadata-scan-progress', callback),
+  removeMetadataScanListeners: () => {
+    ipcRenderer.removeAllListeners('metadata-scan-batch');
+    ipcRenderer.removeAllListeners('metadata-scan-progress');
+  },
+  
+  // Live folder watching
+  onFolderChanges: (callback) => ipcRenderer.on('folder-changes', callback),
+  removeFolderChangesListener: () => ipcRenderer.removeAllListeners('folder-changes'),
+  updateMP3Genres: (updates, options) => ipcRenderer.invoke('update-mp3-genres', updates, options),
+  previewNamingChanges: (namingRules, filesData, options) => ipcRenderer.invoke('preview-naming-changes', namingRules, filesData, options),
+  applyNamingChanges: (planIdOrRules, filesData, options) => ipcRenderer.invoke('apply-naming-changes', planIdOrRules, filesData, options),
+  cancelNaming: () => ipcRenderer.invoke('cancel-naming'),
+  validateNamingTemplate: (template, sampleFile, options) => ipcRenderer.invoke('validate-naming-template', template, sampleFile, options),
+  saveNamingRules: (rules) => ipcRenderer.invoke('save-naming-rules', rules),
+  loadNamingRules: (options) => ipcRenderer.invoke('load-naming-rules', options),
+  
+  // Genre cleanup (planned by the policy engine in the main process)
+  previewGenreChanges: (files, cleanup) => ipcRenderer.invoke('preview-genre-changes', files, cleanup),
+  applyGenreChanges: (files, cleanup, options) => ipcRenderer.invoke('apply-genre-changes', files, cleanup, options),
+  
+  // Genre mapping profiles
+  saveGenreProfile: (profileData) => ipcRenderer.invoke('save-genre-profile', profileData),
+  loadGenreProfile: () => ipcRenderer.invoke('load-genre-profile'),
+  
+  // Undo history
+  listUndoJournal: () => ipcRenderer.invoke('list-undo-journal'),
+  undoJournalEntry: (entryId, options) => ipcRenderer.invoke('undo-journal-entry', entryId, options),
+  redoJournalEntry: (entryId, options) => ipcRenderer.invoke('redo-journal-entry', entryId, options),
+  clearUndoJournal: () => ipcRenderer.invoke('clear-undo-journal'),
   
   // Naming progress listeners
   onNamingProgress: (callback) => ipcRenderer.on('naming-progress', callback),
@@ -18,7 +48,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
   
   // Scraper IPC methods
-  startScraping: (folderPath) => ipcRenderer.invoke('start-scraping', folderPath),
+  startScraping: (folderPath, scanOptions, settings, sessionOptions) => ipcRenderer.invoke('start-scraping', folderPath, scanOptions, settings, sessionOptions),
+  getScrapeSession: (folderPath) => ipcRenderer.invoke('get-scrape-session', folderPath),
+  clearScrapeSession: (folderPath) => ipcRenderer.invoke('clear-scrape-session', folderPath),
   stopScraping: () => ipcRenderer.invoke('stop-scraping'),
   onScrapingLog: (callback) => ipcRenderer.on('scraping-log', callback),
   onScrapingProgress: (callback) => ipcRenderer.on('scraping-progress', callback),
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readTags, writeTags, pickRestoreTags } = require('./formats');
+
+// Batch renames as one transaction. Before anything is written, findRenameConflicts reports
+// every problem of a batch of { filePath, newPath } items:
+//   collision  two or more files would get the same name
+//   exists     the new name is taken by a file that isn't part of the batch
+//   cycle      files swap names (a -> b, b -> a), handled automatically
+//   caseOnly   only the case of the name changes, handled automatically
+// Collisions and taken names need a resolution (see RENAME_RESOLUTIONS) before applying.
+// runRenameTransaction then writes all tags, moves every renamed file to a temporary name
+// and from there to its new name, undoing everything done so far if any step fails or the
+// batch is cancelled.
+
+const RENAME_RESOLUTIONS = {
+  suffix: 'Add a number to the name',
+  keepName: 'Keep the original name',
+  skip: 'Skip the file'
+};
+
+const MAX_RESOLUTION_ROUNDS = 5; // Resolving one conflict can expose another, e.g. keepName blocking a chain
+
+function swapCase(text) {
+  return Array.from(text).map(char => {
+    const upper = char.toUpperCase();
+    return char === upper ? char.toLowerCase() : upper;
+  }).join('');
+}
+
+// True when the file system holding directory ignores case (Windows and macOS by default).
+// Folders that don't exist yet are judged by their nearest existing parent.
+function ignoresCase(directory, cache) {
+  if (!cache.has(directory)) {
+    let result = process.platform === 'win32' || process.platform === 'darwin';
+    let existing = directory;
+    while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+      existing = path.dirname(existing);
+    }
+    const name = path.basename(existing);
+    const swapped = swapCase(name);
+    if (swapped !== name) {
+      try {
+        result = fs.statSync(existing).ino === fs.statSync(path.join(path.dirname(existing), swapped)).ino;
+      } catch (error) {
+        result = false;
+      }
+    }
+    cache.set(directory, result);
+  }
+  return cache.get(directory);
+}
+
+// Size and modification time, or null when the file is gone. Compared before a write to find
+// files that changed since they were read.
+function statFile(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    return { size: stats.size, mtimeMs: stats.mtimeMs };
+  } catch (error) {
+    return null;
+  }
+}
+
+// True when both paths lead to the same file (e.g. "a.mp3" and "A.mp3" on a file system that
+// ignores case); false when either doesn't exist
+function isSameFile(pathA, pathB) {
+  try {
+    const statA = fs.statSync(pathA);
+    const statB = fs.statSync(pathB);
+    return statA.ino === statB.ino && statA.dev === statB.dev;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Only the case of the name changes and nothing else holds the new name. On a case-sensitive
+// file system "A.mp3" can be a different file than "a.mp3", which makes it an 'exists' conflict.
+function isCaseOnlyRename(fromPath, toPath) {
+  return fromPath !== toPath && fromPath.toLowerCase() === toPath.toLowerCase() &&
+    (!fs.existsSync(toPath) || isSameFile(fromPath, toPath));
+}
+
+// Items are { filePath, newPath, copy, skip }. Returns the list of conflicts:
+// { id, type, targetPath, files: [{ filePath, filename }], needsResolution }
+// Files of a conflict are in batch order; for collisions the first one keeps the name.
+function findRenameConflicts(items) {
+  const caseCache = new Map();
+  const keyOf = (filePath) => ignoresCase(path.dirname(filePath), caseCache) ? filePath.toLowerCase() : filePath;
+  const describe = (item) => ({ filePath: item.filePath, filename: path.basename(item.filePath) });
+
+  const active = items.filter(item => !item.skip);
+  const moving = active.filter(item => item.newPath !== item.filePath);
+  // Copies leave their source where it is, so only moved files free their names
+  const movingSources = new Map(moving.filter(item => !item.copy).map(item => [keyOf(item.filePath), item]));
+  const staying = new Set(active.filter(item => item.newPath === item.filePath || item.copy).map(item => keyOf(item.filePath)));
+
+  const conflicts = [];
+  const byTarget = new Map(); // target key -> items
+  moving.forEach(item => {
+    const key = keyOf(item.newPath);
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(item);
+  });
+
+  for (const [key, targetItems] of byTarget) {
+    const targetPath = targetItems[0].newPath;
+    if (targetItems.length > 1) {
+      conflicts.push({
+        id: `collision:${key}`,
+        type: 'collision',
+        targetPath,
+        files: targetItems.map(describe),
+        needsResolution: true
+      });
+      continue;
+    }
+
+    const item = targetItems[0];
+    if (!item.copy && isCaseOnlyRename(item.filePath, item.newPath)) {
+      conflicts.push({ id: `caseOnly:${key}`, type: 'caseOnly', targetPath, files: [describe(item)], needsResolution: false });
+    } else if (staying.has(key) || (!movingSources.has(key) && fs.existsSync(item.newPath))) {
+      // Taken by a file that stays where it is (a file moving away frees its name)
+      conflicts.push({ id: `exists:${key}`, type: 'exists', targetPath, files: [describe(item)], needsResolution: true });
+    }
+  }
+
+  // Follow source -> target links between moving files; a chain that comes back is a cycle
+  const visited = new Set();
+  movingSources.forEach(start => {
+    const chain = [];
+    let current = start;
+    while (current && !visited.has(keyOf(current.filePath))) {
+      visited.add(keyOf(current.filePath));
+      chain.push(current);
+      current = movingSources.get(keyOf(current.newPath));
+    }
+    const loopStart = current ? chain.indexOf(current) : -1;
+    if (loopStart !== -1 && chain.length - loopStart > 1) {
+      const loop = chain.slice(loopStart);
+      conflicts.push({
+        id: `cycle:${keyOf(loop[0].filePath)}`,
+        type: 'cycle',
+        targetPath: loop[0].newPath,
+        files: loop.map(describe),
+        needsResolution: false
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+// "name (2).mp3", "name (3).mp3", ... - the first one not taken by the batch or the disk
+function numberedPath(item, takenKeys, keyOf) {
+  const extension = path.extname(item.newPath);
+  const base = item.newPath.slice(0, item.newPath.length - extension.length);
+  for (let number = 2; ; number++) {
+    const candidate = `${base} (${number})${extension}`;
+    if (!takenKeys.has(keyOf(candidate)) && !fs.existsSync(candidate)) return candidate;
+  }
+}
+
+// Apply the chosen resolutions ({ [conflictId]: 'suffix' | 'keepName' | 'skip' }) to the items.
+// The resolution is for the files that lose: all but the first of a collision, the renamed file
+// of an 'exists' conflict. Returns { items, conflicts, unresolved } - unresolved lists the
+// conflicts still needing a choice, in which case nothing should be applied.
+function resolveRenameConflicts(items, resolutions = {}) {
+  const resolved = items.map(item => ({ ...item }));
+  const byPath = new Map(resolved.map(item => [item.filePath, item]));
+  const caseCache = new Map();
+  const keyOf = (filePath) => ignoresCase(path.dirname(filePath), caseCache) ? filePath.toLowerCase() : filePath;
+
+  for (let round = 0; round < MAX_RESOLUTION_ROUNDS; round++) {
+    const conflicts = findRenameConflicts(resolved);
+    const open = conflicts.filter(conflict => conflict.needsResolution);
+    if (open.length === 0) {
+      return { items: resolved, conflicts, unresolved: [] };
+    }
+
+    const unresolved = open.filter(conflict => !RENAME_RESOLUTIONS[resolutions[conflict.id]]);
+    if (unresolved.length > 0) {
+      return { items: resolved, conflicts, unresolved };
+    }
+
+    open.forEach(conflict => {
+      const losers = (conflict.type === 'collision' ? conflict.files.slice(1) : conflict.files)
+        .map(file => byPath.get(file.filePath));
+      const resolution = resolutions[conflict.id];
+
+      losers.forEach(item => {
+        if (resolution === 'skip') {
+          item.skip = true;
+        } else if (resolution === 'keepName') {
+          item.newPath = item.filePath;
+        } else {
+          const takenKeys = new Set(resolved.filter(other => !other.skip && other !== item).map(other => keyOf(other.newPath)));
+          item.newPath = numberedPath(item, takenKeys, keyOf);
+        }
+      });
+    });
+  }
+
+  const conflicts = findRenameConflicts(resolved);
+  return { items: resolved, conflicts, unresolved: conflicts.filter(conflict => conflict.needsResolution) };
+}
+
+// Move a file, falling back to copy and delete when the target is on another drive
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to, fs.constants.COPYFILE_EXCL);
+    fs.unlinkSync(from);
+  }
+}
+
+// Create a folder and any missing parents, returning the folders created (outermost first)
+function createFolders(directory) {
+  const missing = [];
+  let current = directory;
+  while (!fs.existsSync(current)) {
+    missing.unshift(current);
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  missing.forEach(folder => fs.mkdirSync(folder));
+  return missing;
+}
+
+// Run a batch of operations { filePath, newPath, tagUpdates, copy } as one transaction.
+// Tags are written first, then every renamed file moves to a temporary name and from there to
+// its new name (creating folders as needed), so cycles and case-only renames need no special
+// handling. Copies leave the original alone: the file is copied and the tags written to the copy.
+// onStep(message, done, total, filePath) reports progress after every file of every phase.
+// isCancelled() is checked between files; cancelling undoes the batch like a failure does.
+// Resolves with { success: true, operations } with beforeTags filled in, or
+// { success: false, cancelled, error, changedFiles, rollbackErrors } after undoing every step
+// that had been done - changedFiles lists the files that had been changed before that.
+async function runRenameTransaction(operations, { onStep, isCancelled } = {}) {
+  const transactionId = crypto.randomUUID().slice(0, 8);
+  const undoSteps = []; // Newest last, undone in reverse
+  const changedFiles = new Set(); // Original paths of files touched so far
+  const copying = operations.filter(operation => operation.copy && operation.newPath !== operation.filePath);
+  const renaming = operations.filter(operation => !copying.includes(operation) && operation.newPath !== operation.filePath);
+  const total = operations.length + renaming.length * 2;
+  let done = 0;
+  let cancelled = false;
+
+  // Progress after each file, then give a cancel request the chance to arrive
+  const step = async (message, filePath) => {
+    done++;
+    if (onStep) onStep(message, done, total, filePath);
+    await new Promise(resolve => setImmediate(resolve));
+    if (done < total && isCancelled && isCancelled()) {
+      cancelled = true;
+      throw new Error('Cancelled');
+    }
+  };
+  const prepareFolder = (filePath) => {
+    createFolders(path.dirname(filePath)).forEach(folder => undoSteps.push({ type: 'folder', folder }));
+  };
+
+  try {
+    for (const operation of operations) {
+      const fields = Object.keys(operation.tagUpdates || {});
+      operation.beforeTags = fields.length > 0 ? pickRestoreTags(readTags(operation.filePath), fields) : {};
+
+      if (copying.includes(operation)) {
+        if (fs.existsSync(operation.newPath)) {
+          throw new Error(`${path.basename(operation.newPath)} already exists`);
+        }
+        prepareFolder(operation.newPath);
+        fs.copyFileSync(operation.filePath, operation.newPath, fs.constants.COPYFILE_EXCL);
+        undoSteps.push({ type: 'copy', filePath: operation.newPath });
+        changedFiles.add(operation.filePath);
+        if (fields.length > 0) writeTags(operation.newPath, operation.tagUpdates);
+        await step(`Copying: ${path.basename(operation.newPath)}`, operation.filePath);
+        continue;
+      }
+
+      if (fields.length > 0) {
+        writeTags(operation.filePath, operation.tagUpdates);
+        undoSteps.push({ type: 'tags', filePath: operation.filePath, tags: operation.beforeTags });
+        changedFiles.add(operation.filePath);
+      }
+      await step(`Writing tags: ${path.basename(operation.filePath)}`, operation.filePath);
+    }
+
+    for (let index = 0; index < renaming.length; index++) {
+      const operation = renaming[index];
+      operation.tempPath = path.join(path.dirname(operation.filePath), `.${transactionId}-${index}.renaming`);
+      fs.renameSync(operation.filePath, operation.tempPath);
+      undoSteps.push({ type: 'rename', from: operation.filePath, to: operation.tempPath });
+      changedFiles.add(operation.filePath);
+      await step(`Preparing rename: ${path.basename(operation.filePath)}`, operation.filePath);
+    }
+
+    for (const operation of renaming) {
+      if (fs.existsSync(operation.newPath)) {
+        throw new Error(`${path.basename(operation.newPath)} already exists`);
+      }
+      prepareFolder(operation.newPath);
+      moveFile(operation.tempPath, operation.newPath);
+      undoSteps.push({ type: 'rename', from: operation.tempPath, to: operation.newPath });
+      await step(`Renaming: ${path.basename(operation.newPath)}`, operation.filePath);
+    }
+  } catch (error) {
+    if (cancelled) {
+      console.log(`[RENAME] Cancelled after ${done}/${total} steps, rolling back`);
+    } else {
+      console.error('Rename transaction failed, rolling back:', error);
+    }
+    const rollbackErrors = [];
+    undoSteps.reverse().forEach(undoStep => {
+      try {
+        if (undoStep.type === 'rename') {
+          moveFile(undoStep.to, undoStep.from);
+        } else if (undoStep.type === 'copy') {
+          fs.unlinkSync(undoStep.filePath);
+        } else if (undoStep.type === 'folder') {
+          fs.rmdirSync(undoStep.folder);
+        } else {
+          writeTags(undoStep.filePath, undoStep.tags);
+        }
+      } catch (rollbackError) {
+        console.error('Rollback step failed:', rollbackError);
+        rollbackErrors.push(`${path.basename(undoStep.to || undoStep.filePath || undoStep.folder)}: ${rollbackError.message}`);
+      }
+    });
+    return { success: false, cancelled, error: error.message, changedFiles: Array.from(changedFiles), rollbackErrors };
+  }
+
+  return { success: true, operations };
+}
+
+// After files moved away, remove the folders they left empty, walking up towards stopAt
+// (which is never removed). Without stopAt only the folders the files were in are checked.
+// Returns the removed folders.
+function removeEmptyFolders(operations, stopAt = '') {
+  const removed = [];
+  const root = stopAt ? path.resolve(stopAt) : '';
+  const folders = new Set(operations
+    .filter(operation => !operation.copy && path.dirname(operation.newPath) !== path.dirname(operation.filePath))
+    .map(operation => path.dirname(operation.filePath)));
+
+  folders.forEach(start => {
+    let folder = path.resolve(start);
+    while (folder !== root && (!root || folder.startsWith(root + path.sep))) {
+      try {
+        if (fs.readdirSync(folder).length > 0) break;
+        fs.rmdirSync(folder);
+        removed.push(folder);
+      } catch (error) {
+        break; // Already gone or not ours to remove
+      }
+      if (!root) break;
+      folder = path.dirname(folder);
+    }
+  });
+
+  return removed;
+}
+
+module.exports = {
+  RENAME_RESOLUTIONS,
+  statFile,
+  isCaseOnlyRename,
+  findRenameConflicts,
+  resolveRenameConflicts,
+  runRenameTransaction,
+  removeEmptyFolders
+};
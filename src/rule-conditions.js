@@ -0,0 +1,134 @@
+const { isMissingValue } = require('./genres');
+
+// Metadata conditions for naming rules. A rule's conditions are a group:
+// { match: 'all' | 'any', conditions: [condition or group, ...] }
+// where a condition is { field, operator, value }. Groups can be nested, so
+// "genre contains synthwave AND (album is Unknown OR year is missing)" is one group
+// with a condition and a nested 'any' group.
+
+// Field name -> how to read it from a file object
+const CONDITION_FIELDS = {
+  title: file => file.title,
+  artist: file => file.artist,
+  album: file => file.album,
+  genre: file => file.genre,
+  filename: file => file.filename,
+  folder: file => file.folder,
+  year: file => file.year,
+  lyrics: file => file.lyrics
+};
+
+const CONDITION_OPERATORS = [
+  'contains', 'notContains', 'is', 'isNot', 'startsWith', 'endsWith',
+  'matches', 'greaterThan', 'lessThan', 'missing', 'present'
+];
+
+// Operators that don't use a value
+const VALUELESS_OPERATORS = ['missing', 'present'];
+
+function isGroup(item) {
+  return !!item && Array.isArray(item.conditions);
+}
+
+// Fill in defaults and drop unusable entries. Anything that isn't a group gives an empty group.
+function normalizeConditionGroup(group) {
+  if (!isGroup(group)) return { match: 'all', conditions: [] };
+
+  return {
+    match: group.match === 'any' ? 'any' : 'all',
+    conditions: group.conditions
+      .map(item => isGroup(item) ? normalizeConditionGroup(item) : normalizeCondition(item))
+      .filter(item => item)
+  };
+}
+
+function normalizeCondition(condition) {
+  if (!condition || !CONDITION_FIELDS[condition.field] || !CONDITION_OPERATORS.includes(condition.operator)) {
+    return null;
+  }
+  return {
+    field: condition.field,
+    operator: condition.operator,
+    value: condition.value === undefined || condition.value === null ? '' : String(condition.value)
+  };
+}
+
+// True when a (normalized) group holds at least one complete condition
+function hasConditions(group) {
+  return isGroup(group) && group.conditions.some(item => isGroup(item) ? hasConditions(item) : isComplete(item));
+}
+
+// Conditions without a value (other than missing/present) are still being edited and are skipped
+function isComplete(condition) {
+  return VALUELESS_OPERATORS.includes(condition.operator) || condition.value.trim() !== '';
+}
+
+function evaluateCondition(condition, file) {
+  const rawValue = CONDITION_FIELDS[condition.field](file);
+
+  if (condition.operator === 'missing') return isMissingValue(rawValue);
+  if (condition.operator === 'present') return !isMissingValue(rawValue);
+
+  const value = String(rawValue === undefined || rawValue === null ? '' : rawValue).toLowerCase();
+  const expected = condition.value.trim().toLowerCase();
+
+  switch (condition.operator) {
+    case 'contains': return value.includes(expected);
+    case 'notContains': return !value.includes(expected);
+    case 'is': return value.trim() === expected;
+    case 'isNot': return value.trim() !== expected;
+    case 'startsWith': return value.startsWith(expected);
+    case 'endsWith': return value.trim().endsWith(expected);
+    case 'greaterThan': return parseFloat(value) > parseFloat(expected);
+    case 'lessThan': return parseFloat(value) < parseFloat(expected);
+    case 'matches':
+      try {
+        return new RegExp(condition.value, 'iu').test(String(rawValue || ''));
+      } catch (error) {
+        return false; // Invalid expressions never match - reported by findConditionWarnings
+      }
+    default: return false;
+  }
+}
+
+// Check a file against a (normalized) condition group. Incomplete conditions and empty
+// groups are ignored; a group with nothing left to check matches.
+function evaluateConditions(group, file) {
+  const results = [];
+  group.conditions.forEach(item => {
+    if (isGroup(item)) {
+      if (hasConditions(item)) results.push(evaluateConditions(item, file));
+    } else if (isComplete(item)) {
+      results.push(evaluateCondition(item, file));
+    }
+  });
+
+  if (results.length === 0) return true;
+  return group.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+// Error messages for conditions that can never match (invalid regular expressions)
+function findConditionWarnings(group) {
+  const warnings = [];
+  group.conditions.forEach(item => {
+    if (isGroup(item)) {
+      warnings.push(...findConditionWarnings(item));
+    } else if (item.operator === 'matches' && item.value.trim()) {
+      try {
+        new RegExp(item.value, 'iu');
+      } catch (error) {
+        warnings.push(`${item.field} matches "${item.value}" is not a valid regular expression (${error.message})`);
+      }
+    }
+  });
+  return warnings;
+}
+
+module.exports = {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  normalizeConditionGroup,
+  hasConditions,
+  evaluateConditions,
+  findConditionWarnings
+};
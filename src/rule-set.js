@@ -0,0 +1,320 @@
+const { MATCH_MODES, normalizeLyricSearch, validateLyricSearch } = require('./lyric-matcher');
+const { CONDITION_FIELDS, CONDITION_OPERATORS, normalizeConditionGroup, findConditionWarnings } = require('./rule-conditions');
+const { validateTemplate } = require('./template-engine');
+const { buildTemplateVariables, TRACK_SORT_KEYS } = require('./naming-engine');
+const { isPlainObject } = require('./extractors');
+
+// Naming rule-set files. The main process writes and reads them so every file goes through
+// one schema: older formats are migrated step by step to RULE_SET_VERSION, then the rules are
+// validated. Errors point at the rule and field ({ ruleIndex, ruleId, field, message }) and
+// stop the load; template and regular expression problems are only warnings, as in the preview.
+
+const RULE_SET_VERSION = '2.4';
+const TEMPLATE_FIELDS = ['albumTemplate', 'songTemplate', 'artistTemplate', 'filenameTemplate', 'folderTemplate'];
+
+// "3" -> 3 for the whole numbers older files stored as text; anything else is left as it is
+function wholeNumberFromText(value) {
+  return typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : value;
+}
+
+// Each step brings a rule from the version before it up to `version`; migrateRules(rules), when
+// a step has it, runs once over the whole list after the rules were migrated
+const MIGRATIONS = [
+  {
+    version: '2.0', // Several lyric searches per rule instead of one; numbers are numbers
+    migrate: (rule) => {
+      if (rule.lyricSearches === undefined) {
+        rule.lyricSearches = rule.lyricSearch ? [rule.lyricSearch] : [];
+      }
+      delete rule.lyricSearch;
+      rule.id = wholeNumberFromText(rule.id);
+      if (rule.startNumber !== undefined) rule.startNumber = wholeNumberFromText(rule.startNumber);
+    },
+    // Before 2.0 the loader numbered the rules itself, so ids may be missing, repeated or not
+    // numbers at all: those rules get the next numbers after the highest id in the file
+    migrateRules: (rules) => {
+      const isId = (id) => Number.isInteger(id) && id >= 1;
+      let nextId = rules.reduce((highest, rule) => isId(rule.id) ? Math.max(highest, rule.id) : highest, 0) + 1;
+      const seenIds = new Set();
+      rules.forEach(rule => {
+        if (!isId(rule.id) || seenIds.has(rule.id)) rule.id = nextId++;
+        seenIds.add(rule.id);
+      });
+    }
+  },
+  {
+    version: '2.1', // Lyric searches carry a match mode
+    migrate: (rule) => {
+      if (Array.isArray(rule.lyricSearches)) {
+        rule.lyricSearches = rule.lyricSearches.map(search => typeof search === 'string' ? normalizeLyricSearch(search) : search);
+      }
+    }
+  },
+  {
+    version: '2.2', // Metadata conditions
+    migrate: (rule) => {
+      if (rule.conditions === undefined) rule.conditions = { match: 'all', conditions: [] };
+    }
+  },
+  {
+    version: '2.3', // Folder templates
+    migrate: (rule) => {
+      if (rule.folderTemplate === undefined) rule.folderTemplate = '';
+    }
+  },
+  {
+    version: '2.4', // Track order
+    migrate: (rule) => {
+      if (rule.sortBy === undefined) rule.sortBy = 'track';
+      if (rule.manualOrder === undefined) rule.manualOrder = [];
+    }
+  }
+];
+
+// "2.3" -> [2, 3]; missing or unreadable versions count as the oldest format
+function parseVersion(version) {
+  const match = /^(\d+)(?:\.(\d+))?/.exec(String(version || ''));
+  return match ? [parseInt(match[1]), parseInt(match[2] || '0')] : [1, 0];
+}
+
+function compareVersions(a, b) {
+  const [majorA, minorA] = parseVersion(a);
+  const [majorB, minorB] = parseVersion(b);
+  return majorA !== majorB ? majorA - majorB : minorA - minorB;
+}
+
+// Bring a parsed rule-set file up to RULE_SET_VERSION. A bare array of rules is the oldest
+// format. Returns { version, rules, migratedFrom } (migratedFrom is null when nothing changed),
+// or { errors } for files that aren't rule sets or come from a newer version.
+function migrateRuleSet(data) {
+  const fileVersion = Array.isArray(data) ? '1.0' : (isPlainObject(data) ? String(data.version || '1.0') : null);
+  const rules = Array.isArray(data) ? data : (isPlainObject(data) ? data.rules : null);
+
+  if (!Array.isArray(rules)) {
+    return { errors: [{ ruleIndex: null, ruleId: null, field: 'rules', message: 'The file has no list of rules' }] };
+  }
+  if (compareVersions(fileVersion, RULE_SET_VERSION) > 0) {
+    return { errors: [{ ruleIndex: null, ruleId: null, field: 'version', message: `The file is version ${fileVersion}, this app reads up to ${RULE_SET_VERSION}` }] };
+  }
+
+  const steps = MIGRATIONS.filter(step => compareVersions(step.version, fileVersion) > 0);
+  const migrated = rules.map(rule => {
+    if (!isPlainObject(rule)) return rule; // Reported by validateRuleSet
+    const copy = JSON.parse(JSON.stringify(rule));
+    steps.forEach(step => step.migrate(copy));
+    return copy;
+  });
+  steps.filter(step => step.migrateRules).forEach(step => step.migrateRules(migrated.filter(isPlainObject)));
+
+  return {
+    version: RULE_SET_VERSION,
+    rules: migrated,
+    migratedFrom: steps.length > 0 ? fileVersion : null
+  };
+}
+
+// Structure errors of one condition group, with paths like conditions.conditions[1].operator
+function validateConditionGroup(group, fieldPath, addError) {
+  if (!isPlainObject(group) || !Array.isArray(group.conditions)) {
+    addError(fieldPath, 'must be a group { match, conditions: [...] }');
+    return;
+  }
+  if (group.match !== undefined && !['all', 'any'].includes(group.match)) {
+    addError(`${fieldPath}.match`, `"${group.match}" must be "all" or "any"`);
+  }
+
+  group.conditions.forEach((item, index) => {
+    const itemPath = `${fieldPath}.conditions[${index}]`;
+    if (isPlainObject(item) && Array.isArray(item.conditions)) {
+      validateConditionGroup(item, itemPath, addError);
+    } else if (!isPlainObject(item)) {
+      addError(itemPath, 'must be a condition { field, operator, value } or a group');
+    } else {
+      if (!CONDITION_FIELDS[item.field]) {
+        addError(`${itemPath}.field`, `"${item.field}" is not a condition field (${Object.keys(CONDITION_FIELDS).join(', ')})`);
+      }
+      if (!CONDITION_OPERATORS.includes(item.operator)) {
+        addError(`${itemPath}.operator`, `"${item.operator}" is not an operator (${CONDITION_OPERATORS.join(', ')})`);
+      }
+      if (item.value !== undefined && item.value !== null && typeof item.value !== 'string' && typeof item.value !== 'number') {
+        addError(`${itemPath}.value`, 'must be text or a number');
+      }
+    }
+  });
+}
+
+// Check migrated rules against the schema. Returns { errors, warnings }.
+function validateRuleSet(rules) {
+  const errors = [];
+  const warnings = [];
+  const seenIds = new Set();
+  const variableNames = Object.keys(buildTemplateVariables({}));
+
+  rules.forEach((rule, ruleIndex) => {
+    const ruleId = isPlainObject(rule) ? rule.id : null;
+    const addError = (field, message) => errors.push({ ruleIndex, ruleId, field, message });
+    const addWarning = (field, message) => warnings.push({ ruleIndex, ruleId, field, message });
+
+    if (!isPlainObject(rule)) {
+      addError('', 'must be a rule object');
+      return;
+    }
+
+    if (!Number.isInteger(rule.id) || rule.id < 1) {
+      addError('id', 'must be a positive whole number');
+    } else if (seenIds.has(rule.id)) {
+      addError('id', `#${rule.id} is used by another rule`);
+    }
+    seenIds.add(rule.id);
+
+    if (!Array.isArray(rule.lyricSearches)) {
+      addError('lyricSearches', 'must be a list of searches');
+    } else {
+      rule.lyricSearches.forEach((search, index) => {
+        const searchPath = `lyricSearches[${index}]`;
+        if (!isPlainObject(search) || typeof search.text !== 'string') {
+          addError(searchPath, 'must be a search { text, mode, threshold }');
+          return;
+        }
+        if (search.mode !== undefined && !MATCH_MODES.includes(search.mode)) {
+          addError(`${searchPath}.mode`, `"${search.mode}" is not a match mode (${MATCH_MODES.join(', ')})`);
+        }
+        if (search.threshold !== undefined && !(typeof search.threshold === 'number' && search.threshold > 0 && search.threshold <= 1)) {
+          addError(`${searchPath}.threshold`, 'must be a number above 0 and up to 1');
+        }
+        const regexError = validateLyricSearch(search);
+        if (regexError) addWarning(`${searchPath}.text`, `not a valid regular expression and never matches (${regexError})`);
+      });
+    }
+
+    validateConditionGroup(rule.conditions, 'conditions', addError);
+    if (isPlainObject(rule.conditions) && Array.isArray(rule.conditions.conditions)) {
+      findConditionWarnings(normalizeConditionGroup(rule.conditions)).forEach(warning => addWarning('conditions', warning));
+    }
+
+    TEMPLATE_FIELDS.forEach(field => {
+      if (rule[field] === undefined || rule[field] === null) return;
+      if (typeof rule[field] !== 'string') {
+        addError(field, 'must be text');
+        return;
+      }
+      validateTemplate(rule[field], variableNames).forEach(error => addWarning(field, error));
+    });
+
+    if (rule.startNumber !== undefined && !(Number.isInteger(rule.startNumber) && rule.startNumber >= 1)) {
+      addError('startNumber', 'must be a whole number from 1');
+    }
+    if (!TRACK_SORT_KEYS.includes(rule.sortBy)) {
+      addError('sortBy', `"${rule.sortBy}" is not a track order (${TRACK_SORT_KEYS.join(', ')})`);
+    }
+    if (!Array.isArray(rule.manualOrder) || rule.manualOrder.some(filePath => typeof filePath !== 'string')) {
+      addError('manualOrder', 'must be a list of file paths');
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// A valid rule with every field filled in, as the renderer keeps it
+function normalizeRule(rule) {
+  return {
+    id: rule.id,
+    lyricSearches: (rule.lyricSearches || []).map(normalizeLyricSearch),
+    conditions: normalizeConditionGroup(rule.conditions),
+    albumTemplate: rule.albumTemplate || '',
+    songTemplate: rule.songTemplate || '',
+    artistTemplate: rule.artistTemplate || '',
+    filenameTemplate: rule.filenameTemplate || '',
+    folderTemplate: rule.folderTemplate || '',
+    startNumber: rule.startNumber || 1,
+    sortBy: TRACK_SORT_KEYS.includes(rule.sortBy) ? rule.sortBy : 'track',
+    manualOrder: (rule.manualOrder || []).slice()
+  };
+}
+
+// "Rule 2 (#5) lyricSearches[0].mode: ..." for showing errors and warnings
+function formatRuleSetIssue(issue) {
+  if (issue.ruleIndex === null) return `${issue.field}: ${issue.message}`;
+  const rule = `Rule ${issue.ruleIndex + 1}` + (Number.isInteger(issue.ruleId) ? ` (#${issue.ruleId})` : '');
+  return issue.field ? `${rule} ${issue.field}: ${issue.message}` : `${rule}: ${issue.message}`;
+}
+
+// Parse, migrate and validate the text of a rule-set file.
+// Returns { success, version, rules, migratedFrom, warnings } or { success: false, errors }.
+function parseRuleSet(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { success: false, errors: [{ ruleIndex: null, ruleId: null, field: 'file', message: `Not valid JSON (${error.message})` }] };
+  }
+
+  const migrated = migrateRuleSet(data);
+  if (migrated.errors) return { success: false, errors: migrated.errors };
+
+  const { errors, warnings } = validateRuleSet(migrated.rules);
+  if (errors.length > 0) return { success: false, errors };
+
+  return {
+    success: true,
+    version: migrated.version,
+    rules: migrated.rules.map(normalizeRule),
+    migratedFrom: migrated.migratedFrom,
+    warnings
+  };
+}
+
+// The file contents for the given rules. Invalid rules are refused with the same errors a load
+// would report, so a saved file always loads again.
+function serializeRuleSet(rules) {
+  const { errors } = validateRuleSet(Array.isArray(rules) ? rules : []);
+  if (!Array.isArray(rules)) {
+    errors.push({ ruleIndex: null, ruleId: null, field: 'rules', message: 'must be a list of rules' });
+  }
+  if (errors.length > 0) return { success: false, errors };
+
+  const ruleSet = {
+    version: RULE_SET_VERSION,
+    timestamp: new Date().toISOString(),
+    rulesCount: rules.length,
+    rules: rules.map(normalizeRule)
+  };
+  return { success: true, text: JSON.stringify(ruleSet, null, 2) };
+}
+
+function ruleContent(rule) {
+  const { id, ...content } = normalizeRule(rule);
+  return JSON.stringify(content);
+}
+
+// Add imported rules to the current ones. Imported rules get new IDs after the highest current
+// one, in file order; rules identical to one already in the set (apart from the ID) are skipped.
+// Returns { rules, added, skipped }.
+function mergeRuleSets(currentRules, importedRules) {
+  const known = new Set(currentRules.map(ruleContent));
+  let nextId = currentRules.reduce((highest, rule) => Math.max(highest, rule.id || 0), 0) + 1;
+  const rules = currentRules.map(normalizeRule);
+  let skipped = 0;
+
+  importedRules.forEach(rule => {
+    const content = ruleContent(rule);
+    if (known.has(content)) {
+      skipped++;
+      return;
+    }
+    known.add(content);
+    rules.push({ ...normalizeRule(rule), id: nextId++ });
+  });
+
+  return { rules, added: rules.length - currentRules.length, skipped };
+}
+
+module.exports = {
+  RULE_SET_VERSION,
+  migrateRuleSet,
+  validateRuleSet,
+  formatRuleSetIssue,
+  parseRuleSet,
+  serializeRuleSet,
+  mergeRuleSets
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+// Checkpoints of scraping sessions, one per library folder. Every file the scraper got to is
+// recorded with its outcome, so an interrupted session can be resumed and failures retried on
+// their own. Failed attempts are also counted per URL (failedUrls), which outlives the session,
+// so URLs that keep failing are left alone by later sessions too.
+
+const SESSIONS_VERSION = 1;
+const SESSIONS_FILENAME = 'scrape-sessions.json';
+const SAVE_DELAY = 2000; // ms - outcomes are written at most this often while scraping
+const KNOWN_BAD_ATTEMPTS = 3; // Failed attempts after which a URL counts as known bad
+
+const SCRAPE_OUTCOMES = ['success', 'instrumental', 'error', 'noUrl'];
+const SCRAPE_MODES = ['new', 'resume', 'retryFailed'];
+
+let sessionState = {
+  sessionsFile: null,
+  sessions: null, // folderPath -> session
+  saveTimer: null
+};
+
+// Set the directory the checkpoints live in (the app's userData directory)
+function initScrapeSessions(sessionsDir) {
+  sessionState.sessionsFile = path.join(sessionsDir, SESSIONS_FILENAME);
+  sessionState.sessions = null;
+}
+
+function loadSessions() {
+  if (sessionState.sessions) return sessionState.sessions;
+
+  sessionState.sessions = {};
+  if (!sessionState.sessionsFile || !fs.existsSync(sessionState.sessionsFile)) {
+    return sessionState.sessions;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(sessionState.sessionsFile, 'utf8'));
+    if (data.version === SESSIONS_VERSION && data.sessions) {
+      sessionState.sessions = data.sessions;
+      Object.values(sessionState.sessions).forEach(session => {
+        if (!session.failedUrls) session.failedUrls = {};
+      });
+    }
+  } catch (error) {
+    console.error('Error loading scrape sessions:', error.message);
+  }
+
+  return sessionState.sessions;
+}
+
+function saveScrapeSessions() {
+  clearTimeout(sessionState.saveTimer);
+  sessionState.saveTimer = null;
+  if (!sessionState.sessionsFile || !sessionState.sessions) return;
+
+  try {
+    const tempFile = sessionState.sessionsFile + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify({ version: SESSIONS_VERSION, sessions: sessionState.sessions }));
+    fs.renameSync(tempFile, sessionState.sessionsFile);
+  } catch (error) {
+    console.error('Error saving scrape sessions:', error.message);
+  }
+}
+
+function scheduleSave() {
+  if (sessionState.saveTimer) return;
+  sessionState.saveTimer = setTimeout(saveScrapeSessions, SAVE_DELAY);
+}
+
+function isKnownBad(session, url) {
+  const failure = url ? session.failedUrls[url] : null;
+  return !!failure && failure.attempts >= KNOWN_BAD_ATTEMPTS;
+}
+
+// What the renderer shows about a folder's last session, or null when there is none
+function getScrapeSessionSummary(folderPath) {
+  const session = loadSessions()[folderPath];
+  if (!session) return null;
+
+  const counts = { success: 0, instrumental: 0, error: 0, noUrl: 0 };
+  const errorCategories = {}; // Failed files per error category
+  Object.values(session.files).forEach(record => {
+    counts[record.outcome]++;
+    if (record.outcome === 'error') {
+      const category = record.errorCategory || 'unknown';
+      errorCategories[category] = (errorCategories[category] || 0) + 1;
+    }
+  });
+  const knownBad = Object.keys(session.failedUrls).filter(url => isKnownBad(session, url)).length;
+
+  return {
+    folderPath,
+    startedAt: session.startedAt,
+    updatedAt: session.updatedAt,
+    finished: session.finished,
+    recorded: Object.keys(session.files).length,
+    counts,
+    errorCategories,
+    knownBad
+  };
+}
+
+// Start scraping a folder. mode 'new' forgets the outcomes an earlier session recorded but
+// keeps its failed URLs; 'resume' and 'retryFailed' keep both. Returns the session to record
+// outcomes in.
+function startScrapeSession(folderPath, mode = 'new') {
+  const sessions = loadSessions();
+  const now = new Date().toISOString();
+  const previous = sessions[folderPath];
+  if (mode === 'new' || !previous) {
+    const failedUrls = previous ? previous.failedUrls : {};
+    sessions[folderPath] = { startedAt: now, updatedAt: now, finished: false, files: {}, failedUrls };
+  }
+
+  const session = sessions[folderPath];
+  session.finished = false;
+  session.updatedAt = now;
+  saveScrapeSessions();
+  return session;
+}
+
+// Which of the folder's files (scanLibrary entries) a session scrapes:
+// 'new' takes every file, 'resume' the files without a recorded outcome and 'retryFailed' only
+// the ones that failed. skipKnownBad leaves out files whose URL failed KNOWN_BAD_ATTEMPTS times;
+// readUrl(filePath) gives the URL of a file this session has no record of yet.
+// Returns { files, skipped } where skipped counts the files left out because of the checkpoint.
+function selectFilesToScrape(session, files, mode, { skipKnownBad = true, readUrl = () => null } = {}) {
+  const checkKnownBad = skipKnownBad && Object.keys(session.failedUrls).some(url => isKnownBad(session, url));
+  const selected = files.filter(file => {
+    const record = session.files[file.filePath];
+    if (checkKnownBad && isKnownBad(session, record ? record.url : readUrl(file.filePath))) return false;
+    if (mode === 'resume') return !record;
+    if (mode === 'retryFailed') return !!record && record.outcome === 'error';
+    return true;
+  });
+  return { files: selected, skipped: files.length - selected.length };
+}
+
+// Record what happened to one file: outcome is one of SCRAPE_OUTCOMES, error the failure message
+// and category its SCRAPE_ERROR_CATEGORIES key (see scraper.js).
+// Every outcome except noUrl counts as an attempt at the URL; a successful one clears the URL's
+// failure history.
+function recordScrapeOutcome(session, filePath, { outcome, url = '', error = '', category = '' }) {
+  const previous = session.files[filePath];
+  const sameUrl = previous && previous.url === url;
+  const now = new Date().toISOString();
+
+  session.files[filePath] = {
+    outcome,
+    url,
+    attempts: (sameUrl ? previous.attempts : 0) + (outcome === 'noUrl' ? 0 : 1),
+    lastError: outcome === 'error' ? error : '',
+    errorCategory: outcome === 'error' ? category : '',
+    updatedAt: now
+  };
+
+  if (outcome === 'error' && url) {
+    const failure = session.failedUrls[url];
+    session.failedUrls[url] = {
+      attempts: (failure ? failure.attempts : 0) + 1,
+      lastError: error,
+      errorCategory: category,
+      updatedAt: now
+    };
+  } else if (outcome !== 'noUrl') {
+    delete session.failedUrls[url];
+  }
+  session.updatedAt = now;
+  scheduleSave();
+}
+
+// A session that ran through all its files is finished; a stopped or crashed one is not and
+// can be resumed
+function finishScrapeSession(session, { stopped = false } = {}) {
+  session.finished = !stopped;
+  session.updatedAt = new Date().toISOString();
+  saveScrapeSessions();
+}
+
+function clearScrapeSession(folderPath) {
+  delete loadSessions()[folderPath];
+  saveScrapeSessions();
+}
+
+module.exports = {
+  SCRAPE_OUTCOMES,
+  SCRAPE_MODES,
+  KNOWN_BAD_ATTEMPTS,
+  initScrapeSessions,
+  getScrapeSessionSummary,
+  startScrapeSession,
+  selectFilesToScrape,
+  recordScrapeOutcome,
+  finishScrapeSession,
+  clearScrapeSession,
+  saveScrapeSessions
+};
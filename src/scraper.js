@@ -0,0 +1,434 @@
+const path = require('path');
+const { readTags, writeTags, pickRestoreTags } = require('./formats');
+const { serializeGenres } = require('./genres');
+const { refreshCachedFile } = require('./metadata-scan');
+const { recordFileChange } = require('./undo-journal');
+const { getExtractors, findExtractor, extractSongData } = require('./extractors');
+
+// Suno scraper. A session runs a few worker pages side by side in one browser; every page
+// load waits for the shared rate limiter, so the request rate doesn't grow with the workers.
+// The browser is launched by the caller (launchBrowser), which keeps Puppeteer and Electron
+// out of this module. Failures are sorted into SCRAPE_ERROR_CATEGORIES; transient ones are
+// retried with exponential backoff. Tags are read and written through the format handlers
+// (formats/), so every supported file type can be scraped.
+
+const DEFAULT_SCRAPER_SETTINGS = {
+  headless: true,
+  concurrency: 2, // Pages scraped at the same time
+  requestsPerMinute: 20 // Page loads per minute across all workers
+};
+const MAX_CONCURRENCY = 4;
+const MAX_REQUESTS_PER_MINUTE = 60;
+const BROWSER_RESTART_EVERY = 100; // Files per browser, restarted in between for memory management
+const STOP_CHECK_INTERVAL = 250; // ms between stop checks while waiting for the rate limiter
+const MAX_ATTEMPTS = 3; // Page loads per file when the failures are transient
+const RETRY_BASE_DELAY = 2000; // ms before the first retry, doubled for every further one
+const INSTRUMENTAL_MARKER = '[Instrumental]'; // Lyrics written for pages with genres but no lyrics
+
+// Why a file could not be scraped. Transient failures are worth another attempt.
+const SCRAPE_ERROR_CATEGORIES = {
+  timeout: { label: 'Timed out', transient: true },
+  network: { label: 'Network error', transient: true },
+  rateLimited: { label: 'Rate limited (HTTP 429)', transient: true },
+  serverError: { label: 'Server error (HTTP 5xx)', transient: true },
+  pageCrashed: { label: 'Page crashed', transient: true },
+  notFound: { label: 'Page not found', transient: false },
+  httpError: { label: 'HTTP error', transient: false },
+  layoutChanged: { label: 'Page layout not recognized', transient: false },
+  noExtractor: { label: 'No extractor for the URL', transient: false },
+  invalidData: { label: 'Scraped data failed validation', transient: false },
+  writeFailed: { label: 'Could not write tags', transient: false },
+  unknown: { label: 'Other error', transient: false }
+};
+
+function clamp(value, min, max, fallback) {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// Fill in defaults and keep the numbers within what's courteous to the server
+function normalizeScraperSettings(settings = {}) {
+  return {
+    headless: settings.headless !== undefined ? !!settings.headless : DEFAULT_SCRAPER_SETTINGS.headless,
+    concurrency: clamp(settings.concurrency, 1, MAX_CONCURRENCY, DEFAULT_SCRAPER_SETTINGS.concurrency),
+    requestsPerMinute: clamp(settings.requestsPerMinute, 1, MAX_REQUESTS_PER_MINUTE, DEFAULT_SCRAPER_SETTINGS.requestsPerMinute)
+  };
+}
+
+// Wait ms, checking isStopped() in between. Resolves with false when stopped.
+async function sleep(ms, isStopped = () => false) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    if (isStopped()) return false;
+    await new Promise(resolve => setTimeout(resolve, Math.min(STOP_CHECK_INTERVAL, end - Date.now())));
+  }
+  return !isStopped();
+}
+
+// Hands out request slots evenly spaced at requestsPerMinute, in the order they were asked for.
+// acquire(isStopped) resolves with false instead when the session is stopped while waiting.
+function createRateLimiter(requestsPerMinute) {
+  const interval = 60000 / requestsPerMinute;
+  let nextSlot = 0;
+
+  return {
+    async acquire(isStopped = () => false) {
+      const slot = Math.max(Date.now(), nextSlot);
+      nextSlot = slot + interval;
+      return sleep(slot - Date.now(), isStopped);
+    }
+  };
+}
+
+function scrapeError(category, message) {
+  const error = new Error(message);
+  error.category = category;
+  return error;
+}
+
+// The SCRAPE_ERROR_CATEGORIES key for an error thrown while loading or reading a page
+function classifyScrapeError(error) {
+  if (error.category && SCRAPE_ERROR_CATEGORIES[error.category]) return error.category;
+
+  const message = error.message || '';
+  if (error.name === 'TimeoutError' || /timeout|timed out/i.test(message)) return 'timeout';
+  if (/net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(message)) return 'network';
+  if (/Target closed|Session closed|Page crashed|detached/i.test(message)) return 'pageCrashed';
+  return 'unknown';
+}
+
+// The category of an HTTP error status
+function classifyHttpStatus(status) {
+  if (status === 404 || status === 410) return 'notFound';
+  if (status === 429) return 'rateLimited';
+  if (status >= 500) return 'serverError';
+  return 'httpError';
+}
+
+// "Timed out: 2, Page not found: 1" for the categories with failures
+function summarizeScrapeErrors(errorCategories = {}) {
+  return Object.keys(SCRAPE_ERROR_CATEGORIES)
+    .filter(category => errorCategories[category] > 0)
+    .map(category => `${SCRAPE_ERROR_CATEGORIES[category].label}: ${errorCategories[category]}`)
+    .join(', ');
+}
+
+// Function to get Suno URL from file metadata
+function getSunoUrl(filePath) {
+  try {
+    return readTags(filePath).audioSourceUrl || null;
+  } catch (error) {
+    console.error('Error reading file:', error.message);
+    return null;
+  }
+}
+
+// Function to check if file already has genre and lyrics
+function hasGenreAndLyrics(filePath) {
+  try {
+    const tags = readTags(filePath);
+    const hasGenre = tags.genre && tags.genre.trim().length > 0;
+    // [Instrumental] counts as lyrics too, so instrumental tracks aren't scraped again
+    const hasLyrics = tags.lyrics && tags.lyrics.trim().length > 0;
+
+    return !!(hasGenre && hasLyrics);
+  } catch (error) {
+    console.error('Error checking metadata:', error.message);
+    return false;
+  }
+}
+
+// Function to validate scraped data quality
+function validateScrapedData(scrapedData) {
+  if (!scrapedData) return false;
+
+  const hasValidGenres = scrapedData.genres &&
+    scrapedData.genres.found &&
+    scrapedData.genres.genres &&
+    scrapedData.genres.genres.length > 0;
+
+  const hasValidLyrics = scrapedData.lyrics &&
+    scrapedData.lyrics.found &&
+    scrapedData.lyrics.lyrics &&
+    scrapedData.lyrics.lyrics.length > 20;
+
+  return hasValidGenres || hasValidLyrics;
+}
+
+// The tags a scrape writes, in the shared tag model: the genres, and the lyrics - or
+// INSTRUMENTAL_MARKER when the page has genres but no lyrics, so the file isn't scraped again.
+// Empty when the page gave nothing to write.
+function buildScrapedTags(songData) {
+  const tags = {};
+  if (songData.genres.found && songData.genres.genres.length > 0) {
+    tags.genre = serializeGenres(songData.genres.genres);
+  }
+  if (songData.lyrics.found && songData.lyrics.lyrics) {
+    tags.lyrics = songData.lyrics.lyrics;
+  } else if (songData.genres.found) {
+    tags.lyrics = INSTRUMENTAL_MARKER;
+  }
+  return tags;
+}
+
+// Write buildScrapedTags(songData) into the file and record the fields that changed in
+// journalEntry. Returns the tags written, or null when there was nothing to write; throws when
+// the write fails.
+function writeScrapedTags(filePath, songData, journalEntry = null) {
+  const changed = buildScrapedTags(songData);
+  if (Object.keys(changed).length === 0) return null;
+
+  const beforeTags = readTags(filePath);
+  writeTags(filePath, changed);
+  refreshCachedFile(filePath);
+
+  if (journalEntry) {
+    const afterTags = {};
+    Object.keys(changed).forEach(field => {
+      if (changed[field] !== beforeTags[field]) {
+        afterTags[field] = changed[field];
+      }
+    });
+    recordFileChange(journalEntry, { beforePath: filePath, beforeTags: pickRestoreTags(beforeTags, Object.keys(afterTags)), afterTags });
+  }
+  return changed;
+}
+
+// Load a page in a new tab and read its genres and lyrics with the extractor. Throws errors
+// classified by classifyScrapeError.
+async function loadSongData(browser, url, extractor) {
+  const page = await browser.newPage();
+
+  try {
+    const response = await page.goto(url, { waitUntil: 'networkidle2' });
+    const status = response ? response.status() : 0;
+    if (status >= 400) {
+      throw scrapeError(classifyHttpStatus(status), `HTTP ${status} for ${url}`);
+    }
+
+    const songData = await extractSongData(page, extractor);
+    if (!songData.genres.found && !songData.lyrics.found) {
+      throw scrapeError('layoutChanged', `Could not find the genre or lyrics section on the page (extractor ${extractor.id} v${extractor.version})`);
+    }
+    return songData;
+  } finally {
+    await page.close().catch(() => {}); // The browser may already be closed by a stop
+  }
+}
+
+// Function to scrape a single Suno URL (or any URL an extractor matches)
+// The page is read with extractor, by default the one findExtractor picks for the URL.
+// Transient failures are retried up to maxAttempts times, waiting retryBaseDelay (by default
+// RETRY_BASE_DELAY), then twice as long for every further retry. waitForSlot() is awaited before every page load (the rate
+// limiter) and resolves with false to give up; isStopped() cuts the backoff short and
+// onRetry({ attempt, delay, category, message }) is called before each wait.
+// Tag changes are recorded in journalEntry (the scraping session's undo journal entry) when given.
+// log(type, message, filename, url) receives the log messages.
+// Resolves with { songData, error: { category, message } | null, attempts }; both songData and
+// error are null when it was stopped.
+async function scrapeSunoUrl(browser, url, filePath, {
+  journalEntry = null,
+  log = () => {},
+  waitForSlot = async () => true,
+  isStopped = () => false,
+  onRetry = () => {},
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseDelay = RETRY_BASE_DELAY,
+  extractor = findExtractor(url)
+} = {}) {
+  const fileName = path.basename(filePath);
+  let songData = null;
+  let attempts = 0;
+
+  if (!extractor) {
+    log('error', `No extractor matches ${url}`, fileName, url);
+    return { songData: null, error: { category: 'noExtractor', message: `No extractor matches ${url}` }, attempts };
+  }
+
+  while (!songData) {
+    if (!(await waitForSlot())) return { songData: null, error: null, attempts };
+    attempts++;
+
+    try {
+      log('processing', `Scraping: ${url}` + (attempts > 1 ? ` (attempt ${attempts}/${maxAttempts})` : ''), fileName, url);
+      songData = await loadSongData(browser, url, extractor);
+    } catch (error) {
+      if (isStopped()) return { songData: null, error: null, attempts };
+
+      const category = classifyScrapeError(error);
+      const { label, transient } = SCRAPE_ERROR_CATEGORIES[category];
+      if (!transient || attempts >= maxAttempts) {
+        log('error', `Scraping error (${label}): ${error.message}`, fileName, url);
+        return { songData: null, error: { category, message: error.message }, attempts };
+      }
+
+      const delay = retryBaseDelay * 2 ** (attempts - 1);
+      log('warning', `${label}: ${error.message}, retrying in ${delay / 1000}s`, fileName, url);
+      onRetry({ attempt: attempts, delay, category, message: error.message });
+      if (!(await sleep(delay, isStopped))) return { songData: null, error: null, attempts };
+    }
+  }
+
+  // Update the file's tags with the scraped data
+  try {
+    const written = writeScrapedTags(filePath, songData, journalEntry);
+    if (!written) {
+      log('warning', `No valid data found to update`, fileName);
+      return { songData: null, error: { category: 'layoutChanged', message: 'No valid data found to update' }, attempts };
+    }
+    if (written.lyrics === INSTRUMENTAL_MARKER && !(songData.lyrics.found && songData.lyrics.lyrics)) {
+      log('info', `No lyrics found, marked as instrumental`, fileName);
+    }
+    log('success', `Successfully updated metadata`, fileName);
+    return { songData, error: null, attempts };
+  } catch (error) {
+    const message = `Error updating metadata: ${error.message}`;
+    log('error', message, fileName);
+    return { songData: null, error: { category: 'writeFailed', message }, attempts };
+  }
+}
+
+// Scrape the given files ({ filePath, relativePath } from scanLibrary) with settings.concurrency
+// workers. launchBrowser(settings) resolves with a browser and closeBrowser(browser) closes it;
+// isStopped() ends the session after the pages in progress. onLog(entry) gets
+// { type, message, filename, url, worker } and onProgress(stats) the counters and the status of
+// every worker ({ id, status: 'idle' | 'waiting' | 'scraping' | 'retrying' | 'done', filename, url });
+// stats.errorCategories counts the failures per SCRAPE_ERROR_CATEGORIES key and stats.retries
+// the page loads that were repeated.
+// onFileDone(file, { outcome, url, error, category }) is called for every file that was looked at
+// (outcome 'success', 'instrumental', 'error' or 'noUrl'), except files that already had their
+// tags and pages cut off by a stop. extractors are the page extractors to pick from (by default
+// the loaded ones, see extractors.js). Resolves with the final stats.
+async function runScrapingSession(files, { settings, launchBrowser, closeBrowser, isStopped, journalEntry = null, extractors = getExtractors(), onLog = () => {}, onProgress = () => {}, onFileDone = () => {} }) {
+  const { concurrency, requestsPerMinute } = normalizeScraperSettings(settings);
+  const rateLimiter = createRateLimiter(requestsPerMinute);
+  const stats = {
+    total: files.length,
+    processed: 0,
+    successful: 0,
+    errors: 0,
+    skipped: 0,
+    retries: 0,
+    errorCategories: Object.fromEntries(Object.keys(SCRAPE_ERROR_CATEGORIES).map(category => [category, 0])),
+    workers: Array.from({ length: Math.min(concurrency, Math.max(1, files.length)) }, (_, index) => ({
+      id: index + 1, status: 'idle', filename: '', url: ''
+    }))
+  };
+
+  const report = () => onProgress(stats);
+  const logFor = (worker) => (type, message, filename = '', url = '') => onLog({ type, message, filename, url, worker: worker ? worker.id : null });
+  const setStatus = (worker, status, filename = '', url = '') => {
+    Object.assign(worker, { status, filename, url });
+    report();
+  };
+
+  onLog({ type: 'info', message: `Scraping with ${stats.workers.length} worker(s) at up to ${requestsPerMinute} requests per minute`, filename: '', url: '', worker: null });
+  report();
+
+  let nextIndex = 0;
+
+  const recordFailure = (file, url, category, message) => {
+    stats.errors++;
+    stats.errorCategories[category]++;
+    onFileDone(file, { outcome: 'error', url, error: message, category });
+  };
+
+  // One worker: take the next file until the batch is done or the session is stopped
+  const runWorker = async (worker, browser, batchEnd) => {
+    const log = logFor(worker);
+    while (nextIndex < batchEnd && !isStopped()) {
+      const file = files[nextIndex++];
+      const fileName = file.relativePath;
+      log('info', `Processing ${nextIndex}/${files.length}`, fileName);
+
+      if (hasGenreAndLyrics(file.filePath)) {
+        log('info', 'File already has genre and lyrics, skipping', fileName);
+        stats.skipped++;
+      } else {
+        const sunoUrl = getSunoUrl(file.filePath);
+        const extractor = findExtractor(sunoUrl, extractors);
+        if (extractor) {
+          let result;
+          try {
+            result = await scrapeSunoUrl(browser, sunoUrl, file.filePath, {
+              journalEntry,
+              log,
+              isStopped,
+              extractor,
+              waitForSlot: async () => {
+                setStatus(worker, 'waiting', fileName, sunoUrl);
+                if (!(await rateLimiter.acquire(isStopped))) return false;
+                setStatus(worker, 'scraping', fileName, sunoUrl);
+                return true;
+              },
+              onRetry: () => {
+                stats.retries++;
+                setStatus(worker, 'retrying', fileName, sunoUrl);
+              }
+            });
+          } catch (error) {
+            if (isStopped()) break;
+            log('error', `Error processing file: ${error.message}`, fileName);
+            result = { songData: null, error: { category: classifyScrapeError(error), message: error.message } };
+          }
+
+          const { songData, error } = result;
+          if (!songData && !error) break; // Stopped before the file was done
+          if (error) {
+            recordFailure(file, sunoUrl, error.category, error.message);
+          } else if (validateScrapedData(songData)) {
+            stats.successful++;
+            const hasLyrics = songData.lyrics.found && songData.lyrics.lyrics;
+            onFileDone(file, { outcome: hasLyrics ? 'success' : 'instrumental', url: sunoUrl, error: '' });
+          } else {
+            log('warning', 'Scraped data validation failed', fileName);
+            recordFailure(file, sunoUrl, 'invalidData', 'Scraped data validation failed');
+          }
+        } else {
+          stats.skipped++;
+          log('info', sunoUrl ? `No extractor for ${sunoUrl}, skipping` : 'No Suno URL found, skipping', fileName);
+          onFileDone(file, { outcome: 'noUrl', url: '', error: '' });
+        }
+      }
+
+      stats.processed++;
+      setStatus(worker, 'idle');
+    }
+  };
+
+  // A fresh browser for every batch of files; the workers share it, one page each
+  while (nextIndex < files.length && !isStopped()) {
+    if (nextIndex > 0) {
+      onLog({ type: 'info', message: 'Restarting browser for memory management...', filename: '', url: '', worker: null });
+    }
+    const browser = await launchBrowser(settings);
+    const batchEnd = Math.min(files.length, nextIndex + BROWSER_RESTART_EVERY);
+    try {
+      await Promise.all(stats.workers.map(worker => runWorker(worker, browser, batchEnd)));
+    } finally {
+      await closeBrowser(browser);
+    }
+  }
+
+  stats.workers.forEach(worker => Object.assign(worker, { status: 'done', filename: '', url: '' }));
+  report();
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_SCRAPER_SETTINGS,
+  MAX_CONCURRENCY,
+  MAX_REQUESTS_PER_MINUTE,
+  SCRAPE_ERROR_CATEGORIES,
+  normalizeScraperSettings,
+  createRateLimiter,
+  classifyScrapeError,
+  summarizeScrapeErrors,
+  getSunoUrl,
+  hasGenreAndLyrics,
+  validateScrapedData,
+  buildScrapedTags,
+  writeScrapedTags,
+  scrapeSunoUrl,
+  runScrapingSession
+};
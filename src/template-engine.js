@@ -0,0 +1,242 @@
+const { parseGenres, isMissingValue } = require('./genres');
+
+// Template language for naming rules:
+//   {title}               variable
+//   {number:03d}          zero padded number (any numeric variable)
+//   {album?Singles}       default used when the value is missing ("" or an Unknown placeholder)
+//   {title|upper}         filters, chained left to right: {artist|slug|truncate:20}
+//   {#album} - {album}{/album}   section only rendered when album is present
+//   {^album}Singles{/album}      section only rendered when album is missing
+//   {{ and }}             literal braces
+
+const FILTERS = {
+  upper: { args: 0, apply: (value) => value.toUpperCase() },
+  lower: { args: 0, apply: (value) => value.toLowerCase() },
+  title: { args: 0, apply: (value) => value.toLowerCase().replace(/(^|[\s\-(\[])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()) },
+  trim: { args: 0, apply: (value) => value.trim() },
+  slug: {
+    args: 0,
+    apply: (value) => value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '') // Drop accents
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+  },
+  truncate: { args: 1, apply: (value, length) => Array.from(value).slice(0, parseInt(length)).join('').trim() },
+  pad: { args: 1, apply: (value, length) => value.padStart(parseInt(length), '0') },
+  first: { args: 0, apply: (value) => parseGenres(value)[0] || '' },
+  last: { args: 0, apply: (value) => parseGenres(value).slice(-1)[0] || '' },
+  replace: { args: 2, apply: (value, from, to = '') => value.split(from).join(to) }
+};
+
+// Filters whose arguments have to be positive whole numbers
+const NUMERIC_FILTERS = ['truncate', 'pad'];
+
+const EXPRESSION_PATTERN = /^([A-Za-z_]\w*)(?::(\d+)d)?(?:\?([^|]*))?((?:\|[^|]*)*)$/;
+
+function parseExpression(content, source) {
+  const match = content.match(EXPRESSION_PATTERN);
+  if (!match) return { type: 'invalid', source, content };
+
+  const filters = match[4]
+    .split('|')
+    .slice(1)
+    .map(filter => {
+      const [name, ...args] = filter.split(':');
+      return { name: name.trim(), args };
+    });
+
+  return {
+    type: 'variable',
+    source,
+    name: match[1],
+    padding: match[2] ? parseInt(match[2]) : 0,
+    fallback: match[3] !== undefined ? match[3] : null,
+    filters
+  };
+}
+
+// Parse a template into a tree of text, variable and section nodes.
+// Syntax problems are collected in errors instead of throwing.
+function parseTemplate(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const errors = [];
+  let text = '';
+  let position = 0;
+
+  const flushText = () => {
+    if (text) stack[stack.length - 1].children.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  while (position < template.length) {
+    const char = template[position];
+
+    if ((char === '{' || char === '}') && template[position + 1] === char) {
+      text += char;
+      position += 2;
+      continue;
+    }
+
+    if (char !== '{') {
+      text += char;
+      position++;
+      continue;
+    }
+
+    const end = template.indexOf('}', position);
+    if (end === -1) {
+      errors.push(`Unclosed "{" at position ${position + 1}`);
+      text += template.slice(position);
+      break;
+    }
+
+    flushText();
+    const source = template.slice(position, end + 1);
+    const content = source.slice(1, -1).trim();
+    position = end + 1;
+
+    if (content.startsWith('#') || content.startsWith('^')) {
+      const section = { type: 'section', name: content.slice(1).trim(), inverted: content[0] === '^', children: [] };
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+    } else if (content.startsWith('/')) {
+      const name = content.slice(1).trim();
+      const open = stack[stack.length - 1];
+      if (open.type !== 'section' || open.name !== name) {
+        errors.push(`"{/${name}}" has no matching "{#${name}}"`);
+      } else {
+        stack.pop();
+      }
+    } else {
+      stack[stack.length - 1].children.push(parseExpression(content, source));
+    }
+  }
+
+  flushText();
+  stack.slice(1).forEach(section => errors.push(`Section "{${section.inverted ? '^' : '#'}${section.name}}" is never closed with "{/${section.name}}"`));
+
+  return { root, errors };
+}
+
+function renderVariable(node, variables) {
+  if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+    return node.source; // Unknown variables are left as typed
+  }
+
+  const rawValue = variables[node.name];
+  let value = node.fallback !== null && isMissingValue(rawValue)
+    ? node.fallback
+    : String(rawValue === undefined || rawValue === null ? '' : rawValue);
+
+  if (node.padding) {
+    value = value.padStart(node.padding, '0');
+  }
+
+  node.filters.forEach(filter => {
+    const definition = FILTERS[filter.name];
+    if (definition) value = definition.apply(value, ...filter.args);
+  });
+
+  return value;
+}
+
+function renderNodes(nodes, variables) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'invalid') return node.source;
+    if (node.type === 'section') {
+      const present = !isMissingValue(variables[node.name]);
+      return present !== node.inverted ? renderNodes(node.children, variables) : '';
+    }
+    return renderVariable(node, variables);
+  }).join('');
+}
+
+// Render a template with the given variables
+function renderTemplate(template, variables) {
+  if (!template) return '';
+  return renderNodes(parseTemplate(template).root.children, variables);
+}
+
+// Check a template against the known variable names.
+// Returns a list of error messages, empty when the template is fine.
+function validateTemplate(template, variableNames) {
+  if (!template) return [];
+
+  const { root, errors } = parseTemplate(template);
+  const known = new Set(variableNames);
+
+  const visit = (nodes) => nodes.forEach(node => {
+    if (node.type === 'invalid') {
+      errors.push(`"${node.source}" is not a valid expression`);
+    } else if (node.type === 'section') {
+      if (!known.has(node.name)) errors.push(`Unknown variable "${node.name}" in section`);
+      visit(node.children);
+    } else if (node.type === 'variable') {
+      if (!known.has(node.name)) errors.push(`Unknown variable "{${node.name}}"`);
+      node.filters.forEach(filter => {
+        const definition = FILTERS[filter.name];
+        if (!definition) {
+          errors.push(`Unknown filter "${filter.name}" (available: ${Object.keys(FILTERS).join(', ')})`);
+        } else if (filter.args.length < definition.args) {
+          errors.push(`Filter "${filter.name}" needs ${definition.args} argument(s), e.g. ${filter.name}:${definition.args === 2 ? 'a:b' : '40'}`);
+        } else if (NUMERIC_FILTERS.includes(filter.name) && !(parseInt(filter.args[0]) > 0)) {
+          errors.push(`Filter "${filter.name}" needs a positive number, e.g. ${filter.name}:40`);
+        }
+      });
+    }
+  });
+  visit(root.children);
+
+  return errors;
+}
+
+// Characters that aren't allowed in file names on Windows, macOS or Linux
+const FILENAME_REPLACEMENTS = [
+  [/[\u0000-\u001f\u007f]/g, ''],
+  [/\s*:\s*/g, ' - '],
+  [/[\/\\|]/g, '-'],
+  [/"/g, "'"],
+  [/[<>?*]/g, '']
+];
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+const MAX_FILENAME_BYTES = 255; // Limit of most file systems, including the extension
+
+// Make a file name (without extension) safe on every platform.
+// extension is only used to keep the total length within the file system limit.
+function sanitizeFilename(name, extension = '', maxBytes = MAX_FILENAME_BYTES) {
+  let result = String(name || '');
+  FILENAME_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+
+  // Windows drops trailing dots and spaces, and names can't be just dots
+  result = result.replace(/\s+/g, ' ').trim().replace(/[. ]+$/, '');
+  if (/^\.+$/.test(result)) result = '';
+
+  if (RESERVED_NAMES.test(result)) {
+    result = '_' + result;
+  }
+
+  // Trim whole characters until the name fits
+  const budget = maxBytes - Buffer.byteLength(extension, 'utf8');
+  if (Buffer.byteLength(result, 'utf8') > budget) {
+    const chars = Array.from(result);
+    while (chars.length > 0 && Buffer.byteLength(chars.join(''), 'utf8') > budget) {
+      chars.pop();
+    }
+    result = chars.join('').trim().replace(/[. ]+$/, '');
+  }
+
+  return result;
+}
+
+module.exports = {
+  FILTERS,
+  renderTemplate,
+  validateTemplate,
+  sanitizeFilename
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { renameCachedMetadata, removeCachedMetadata, saveMetadataCache } = require('./metadata-cache');
+const { refreshCachedFile } = require('./metadata-scan');
+const { statFile, isCaseOnlyRename, runRenameTransaction } = require('./rename-transaction');
+
+// Undo journal for batch tag writes and renames. Every batch (a genre cleanup, a naming
+// apply, a scraping session) becomes one entry holding, per file, the tags before and after
+// and the old and new path. Entries can be undone and redone as a whole or per file.
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_FILENAME = 'undo-journal.json';
+const MAX_JOURNAL_ENTRIES = 50; // Oldest entries are dropped beyond this
+const SUMMARY_TEXT_LENGTH = 80; // Tag values are shortened to this in the history view
+
+let journalState = {
+  journalFile: null,
+  entries: null // Newest last
+};
+
+// Set the directory the journal lives in (the app's userData directory)
+function initUndoJournal(journalDir) {
+  journalState.journalFile = path.join(journalDir, JOURNAL_FILENAME);
+  journalState.entries = null;
+}
+
+function loadEntries() {
+  if (journalState.entries) return journalState.entries;
+
+  journalState.entries = [];
+  if (!journalState.journalFile || !fs.existsSync(journalState.journalFile)) {
+    return journalState.entries;
+  }
+
+  try {
+    const journal = JSON.parse(fs.readFileSync(journalState.journalFile, 'utf8'));
+    if (journal.version === JOURNAL_VERSION && Array.isArray(journal.entries)) {
+      journalState.entries = journal.entries;
+    }
+  } catch (error) {
+    console.error('Error loading undo journal:', error.message);
+  }
+
+  return journalState.entries;
+}
+
+function saveUndoJournal() {
+  if (!journalState.journalFile || !journalState.entries) return;
+
+  try {
+    const tempFile = journalState.journalFile + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify({ version: JOURNAL_VERSION, entries: journalState.entries }));
+    fs.renameSync(tempFile, journalState.journalFile);
+  } catch (error) {
+    console.error('Error saving undo journal:', error.message);
+  }
+}
+
+// Start collecting the changes of one batch operation. type is 'genres', 'naming' or 'scrape'.
+function beginJournalEntry(type, label) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    label,
+    createdAt: new Date().toISOString(),
+    files: []
+  };
+}
+
+// Record one file's change after it was written. beforeTags/afterTags hold only the
+// fields that were written (shared tag model names, e.g. { genre }, { title, trackNumber });
+// a field the file didn't have before is null in beforeTags, so undo removes it again.
+// copy marks afterPath as a new copy of beforePath, which stays untouched: undo deletes the copy.
+// Returns the record so callers can update afterPath if the file moves again.
+function recordFileChange(entry, { beforePath, afterPath = beforePath, beforeTags = {}, afterTags = {}, copy = false }) {
+  const record = {
+    beforePath,
+    afterPath,
+    beforeTags,
+    afterTags,
+    copy,
+    status: 'applied',
+    state: null // Size and modification time of the file as the journal left it
+  };
+  entry.files.push(record);
+  return record;
+}
+
+// Store a finished batch. Entries without any file changes are dropped.
+function commitJournalEntry(entry) {
+  if (!entry || entry.files.length === 0) return null;
+
+  entry.files.forEach(record => {
+    record.state = statFile(record.afterPath);
+  });
+
+  const entries = loadEntries();
+  entries.push(entry);
+  if (entries.length > MAX_JOURNAL_ENTRIES) {
+    entries.splice(0, entries.length - MAX_JOURNAL_ENTRIES);
+  }
+  saveUndoJournal();
+  return entry.id;
+}
+
+function shorten(value) {
+  const text = String(value === undefined || value === null ? '' : value).replace(/\0/g, '; ').replace(/\s+/g, ' ');
+  return text.length > SUMMARY_TEXT_LENGTH ? text.slice(0, SUMMARY_TEXT_LENGTH) + '…' : text;
+}
+
+function entryStatus(entry) {
+  const undone = entry.files.filter(record => record.status === 'undone').length;
+  if (undone === 0) return 'applied';
+  return undone === entry.files.length ? 'undone' : 'partial';
+}
+
+// History for the renderer, newest first, with long tag values shortened
+function listJournalEntries() {
+  return loadEntries().slice().reverse().map(entry => ({
+    id: entry.id,
+    type: entry.type,
+    label: entry.label,
+    createdAt: entry.createdAt,
+    status: entryStatus(entry),
+    files: entry.files.map(record => ({
+      beforePath: record.beforePath,
+      afterPath: record.afterPath,
+      copy: !!record.copy,
+      status: record.status,
+      changes: Object.keys(record.afterTags).map(field => ({
+        field,
+        before: shorten(record.beforeTags[field]),
+        after: shorten(record.afterTags[field])
+      }))
+    }))
+  }));
+}
+
+// What undo (direction 'undo') or redo ('redo') of a record works from and towards.
+// Undoing a copy deletes it, so it has no target.
+function describeStep(record, direction) {
+  if (direction === 'undo') {
+    return { fromPath: record.afterPath, toPath: record.copy ? null : record.beforePath, tags: record.beforeTags, expectedStatus: 'applied' };
+  }
+  return { fromPath: record.beforePath, toPath: record.afterPath, tags: record.afterTags, expectedStatus: 'undone' };
+}
+
+// Files that were changed, moved or deleted since the journal last touched them. A target name
+// only counts as taken when no other file of the same replay moves away from it (swaps, chains).
+function findConflicts(records, direction) {
+  const conflicts = [];
+  const freedPaths = new Set();
+  records.forEach(record => {
+    const { fromPath, toPath } = describeStep(record, direction);
+    if (toPath !== fromPath && !(record.copy && direction === 'redo') && fs.existsSync(fromPath)) {
+      freedPaths.add(fromPath);
+    }
+  });
+
+  records.forEach(record => {
+    const { fromPath, toPath } = describeStep(record, direction);
+    const now = statFile(fromPath);
+    if (!now) {
+      conflicts.push({ filePath: fromPath, reason: 'missing' });
+    } else if (record.state && (now.size !== record.state.size || now.mtimeMs !== record.state.mtimeMs)) {
+      conflicts.push({ filePath: fromPath, reason: 'changed' });
+    } else if (toPath && toPath !== fromPath && fs.existsSync(toPath) && !freedPaths.has(toPath) && !isCaseOnlyRename(fromPath, toPath)) {
+      conflicts.push({ filePath: fromPath, reason: `${path.basename(toPath)} already exists` });
+    }
+  });
+  return conflicts;
+}
+
+// Undo or redo an entry, or only some of its files (filePaths matched against either path).
+// Files changed since the journal entry are reported as conflicts and nothing is done unless
+// force is set; missing files and taken target names are always skipped. Copies made by the
+// entry are deleted first on undo; everything else runs as one rename transaction, so files
+// that swapped names or moved along a chain get their names back, and a failure rolls back.
+async function replayJournalEntry(entryId, direction, { filePaths = null, force = false } = {}) {
+  const entry = loadEntries().find(candidate => candidate.id === entryId);
+  if (!entry) {
+    throw new Error('This history entry no longer exists');
+  }
+
+  const records = entry.files.filter(record => {
+    if (record.status !== describeStep(record, direction).expectedStatus) return false;
+    return !filePaths || filePaths.includes(record.beforePath) || filePaths.includes(record.afterPath);
+  });
+
+  const conflicts = findConflicts(records, direction);
+  if (conflicts.length > 0 && !force) {
+    return { success: false, conflicts, results: [] };
+  }
+
+  const blocked = new Set(conflicts.filter(conflict => conflict.reason !== 'changed').map(conflict => conflict.filePath));
+  const results = [];
+  const replayed = [];
+  const markReplayed = (record, toPath) => {
+    record.status = direction === 'undo' ? 'undone' : 'applied';
+    record.state = toPath ? statFile(toPath) : null; // A deleted copy has nothing left to compare
+    results.push({ filePath: toPath || record.afterPath, success: true });
+  };
+
+  records.forEach(record => {
+    const { fromPath } = describeStep(record, direction);
+    if (blocked.has(fromPath)) {
+      results.push({ filePath: fromPath, success: false, error: conflicts.find(c => c.filePath === fromPath).reason });
+    } else if (record.copy && direction === 'undo') {
+      try {
+        fs.unlinkSync(fromPath);
+        removeCachedMetadata(fromPath);
+        markReplayed(record, null);
+      } catch (error) {
+        console.error(`Error during undo of ${fromPath}:`, error);
+        results.push({ filePath: fromPath, success: false, error: error.message });
+      }
+    } else {
+      replayed.push(record);
+    }
+  });
+
+  if (replayed.length > 0) {
+    const operations = replayed.map(record => {
+      const { fromPath, toPath, tags } = describeStep(record, direction);
+      return { filePath: fromPath, newPath: toPath, tagUpdates: tags, copy: !!record.copy };
+    });
+    const transaction = await runRenameTransaction(operations);
+
+    if (transaction.success) {
+      // Drop every old path before reading the new ones, so a swap doesn't keep stale entries
+      operations.filter(operation => !operation.copy).forEach(operation => removeCachedMetadata(operation.filePath));
+      operations.forEach((operation, index) => {
+        refreshCachedFile(operation.newPath);
+        markReplayed(replayed[index], operation.newPath);
+      });
+    } else {
+      console.error(`Error during ${direction} of ${entry.label}:`, transaction.error);
+      const error = transaction.rollbackErrors.length > 0
+        ? `${transaction.error} (could not restore: ${transaction.rollbackErrors.join('; ')})`
+        : transaction.error;
+      operations.forEach(operation => results.push({ filePath: operation.filePath, success: false, error }));
+    }
+  }
+
+  saveMetadataCache();
+  saveUndoJournal();
+  return { success: results.every(result => result.success), conflicts, results };
+}
+
+function undoJournalEntry(entryId, options) {
+  return replayJournalEntry(entryId, 'undo', options);
+}
+
+function redoJournalEntry(entryId, options) {
+  return replayJournalEntry(entryId, 'redo', options);
+}
+
+function clearUndoJournal() {
+  journalState.entries = [];
+  saveUndoJournal();
+}
+
+module.exports = {
+  initUndoJournal,
+  beginJournalEntry,
+  recordFileChange,
+  commitJournalEntry,
+  listJournalEntries,
+  undoJournalEntry,
+  redoJournalEntry,
+  clearUndoJournal
+};
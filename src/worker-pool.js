@@ -0,0 +1,99 @@
+const { Worker } = require('worker_threads');
+const os = require('os');
+
+// Leave one core for the main process and the renderer
+const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, os.cpus().length - 1));
+
+// Small fixed-size pool of worker threads. Each worker handles one task at a time;
+// tasks are plain messages and the worker replies with { id, data } or { id, error }.
+// workerData is passed to every worker (including replacements) at startup.
+function createWorkerPool(workerScript, { size = DEFAULT_POOL_SIZE, workerData = null } = {}) {
+  const workers = [];
+  const idleWorkers = [];
+  const queue = [];
+  const pending = new Map(); // task id -> { resolve, reject, worker }
+  let nextTaskId = 1;
+  let destroyed = false;
+
+  function spawnWorker() {
+    const worker = new Worker(workerScript, { workerData });
+
+    worker.on('message', ({ id, data, error }) => {
+      const task = pending.get(id);
+      if (task) {
+        pending.delete(id);
+        if (error) task.reject(new Error(error));
+        else task.resolve(data);
+      }
+      idleWorkers.push(worker);
+      dispatch();
+    });
+
+    worker.on('error', (error) => {
+      console.error('Worker thread error:', error);
+      // Fail the task the worker was running and replace the worker
+      for (const [id, task] of pending) {
+        if (task.worker === worker) {
+          pending.delete(id);
+          task.reject(error);
+        }
+      }
+      const index = workers.indexOf(worker);
+      if (index !== -1) workers.splice(index, 1);
+      if (!destroyed) {
+        workers.push(spawnWorker());
+        dispatch();
+      }
+    });
+
+    idleWorkers.push(worker);
+    return worker;
+  }
+
+  function dispatch() {
+    while (!destroyed && idleWorkers.length > 0 && queue.length > 0) {
+      const worker = idleWorkers.shift();
+      if (!workers.includes(worker)) continue;
+
+      const task = queue.shift();
+      task.worker = worker;
+      pending.set(task.id, task);
+      worker.postMessage({ id: task.id, ...task.payload });
+    }
+  }
+
+  function run(payload) {
+    if (destroyed) {
+      return Promise.reject(new Error('Worker pool has been shut down'));
+    }
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextTaskId++, payload, resolve, reject });
+      dispatch();
+    });
+  }
+
+  function destroy() {
+    destroyed = true;
+    queue.splice(0).forEach(task => task.reject(new Error('Worker pool has been shut down')));
+    for (const task of pending.values()) {
+      task.reject(new Error('Worker pool has been shut down'));
+    }
+    pending.clear();
+    workers.forEach(worker => worker.terminate());
+    workers.length = 0;
+  }
+
+  for (let i = 0; i < size; i++) {
+    workers.push(spawnWorker());
+  }
+
+  return {
+    size,
+    run,
+    destroy
+  };
+}
+
+module.exports = {
+  createWorkerPool
+};
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BUILTIN_EXTRACTORS, extractSongData } = require('../src/extractors');
+const { createStaticPage, loadFixturePage } = require('./helpers/static-page');
+
+// Runs extractors over the recorded pages in test/fixtures/suno as static HTML, without a browser.
+
+const SUNO_EXTRACTOR = BUILTIN_EXTRACTORS.find(extractor => extractor.id === 'suno');
+
+// A newer Suno extractor that also knows the redesigned page in changed-layout.html
+const UPDATED_SUNO_EXTRACTOR = {
+  ...SUNO_EXTRACTOR,
+  version: SUNO_EXTRACTOR.version + 1,
+  fields: {
+    genres: {
+      strategies: [
+        ...SUNO_EXTRACTOR.fields.genres.strategies,
+        { anchor: '[data-testid="lyrics"]', path: ['parent'], selectAll: 'a[href^="/style/"]' }
+      ]
+    },
+    lyrics: {
+      strategies: [
+        ...SUNO_EXTRACTOR.fields.lyrics.strategies,
+        { selectAll: '[data-testid="lyrics"] span' }
+      ]
+    }
+  }
+};
+
+describe('the built-in Suno extractor on recorded pages', () => {
+  it('reads the genres and lyrics of a song page', async () => {
+    const songData = await extractSongData(loadFixturePage('song'), SUNO_EXTRACTOR);
+
+    assert.deepEqual(songData.genres, { found: true, genres: ['synthwave', 'dream pop', 'female vocals'], genreCount: 3 });
+    assert.equal(songData.lyrics.found, true);
+    assert.match(songData.lyrics.lyrics, /^\[Verse\]\nChasing lights along the shore/);
+    assert.match(songData.lyrics.lyrics, /Into the violet day$/);
+    assert.deepEqual(songData.extractor, { id: 'suno', version: SUNO_EXTRACTOR.version });
+  });
+
+  it('finds no lyrics on a page without a lyrics section', async () => {
+    const songData = await extractSongData(loadFixturePage('instrumental'), SUNO_EXTRACTOR);
+
+    assert.deepEqual(songData.genres.genres, ['ambient', 'downtempo']);
+    assert.equal(songData.lyrics.found, false);
+  });
+
+  it('finds no lyrics in an empty lyrics section', async () => {
+    const songData = await extractSongData(loadFixturePage('missing-lyrics'), SUNO_EXTRACTOR);
+
+    assert.deepEqual(songData.genres.genres, ['shoegaze', 'indie rock']);
+    assert.equal(songData.lyrics.found, false);
+  });
+
+  it('finds nothing on a page it does not recognize', async () => {
+    const songData = await extractSongData(loadFixturePage('unknown-layout'), SUNO_EXTRACTOR);
+
+    assert.equal(songData.genres.found, false);
+    assert.equal(songData.lyrics.found, false);
+  });
+
+  it('does not take style links from outside the styles block of a redesigned page', async () => {
+    const songData = await extractSongData(loadFixturePage('changed-layout'), SUNO_EXTRACTOR);
+
+    assert.equal(songData.genres.found, false);
+    assert.equal(songData.lyrics.found, false);
+  });
+
+  it('falls back to the style links of the styles block', async () => {
+    const page = createStaticPage(`
+      <section>
+        <div class="song-styles">
+          <span><a href="/style/trip-hop">trip-hop</a></span>
+          <span><a href="/style/jazz">jazz</a></span>
+          <button title="Copy styles to clipboard"></button>
+        </div>
+      </section>
+      <aside>
+        <div class="more-songs"><a href="/style/metal">metal</a></div>
+      </aside>`);
+    const songData = await extractSongData(page, SUNO_EXTRACTOR);
+
+    assert.deepEqual(songData.genres.genres, ['trip-hop', 'jazz']);
+  });
+});
+
+describe('extractor strategies', () => {
+  it('reads a redesigned page with an updated extractor', async () => {
+    const songData = await extractSongData(loadFixturePage('changed-layout'), UPDATED_SUNO_EXTRACTOR);
+
+    assert.deepEqual(songData.genres.genres, ['lo-fi', 'chillhop']);
+    assert.equal(songData.lyrics.lyrics, 'Paper satellites, folded out of light\nCircling the kitchen every single night');
+    assert.deepEqual(songData.extractor, { id: 'suno', version: UPDATED_SUNO_EXTRACTOR.version });
+  });
+
+  it('reads attributes and splits list values', async () => {
+    const extractor = {
+      id: 'example',
+      version: 1,
+      fields: {
+        genres: { strategies: [{ select: 'meta[name="keywords"]', attribute: 'content', split: '\\s*,\\s*' }] },
+        lyrics: { strategies: [{ anchor: 'h2', path: ['nextSibling'] }] }
+      }
+    };
+    const page = createStaticPage(`
+      <head><meta name="keywords" content="folk, acoustic ,  indie"></head>
+      <body><h2>Lyrics</h2><div>Line one &amp; line two</div></body>`);
+    const songData = await extractSongData(page, extractor);
+
+    assert.deepEqual(songData.genres.genres, ['folk', 'acoustic', 'indie']);
+    assert.equal(songData.lyrics.lyrics, 'Line one & line two');
+  });
+});
@@ -0,0 +1,77 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Local stand-in for suno.com that serves the recorded pages in test/fixtures/suno.
+//
+//   /song/<name>                  the recorded page <name>.html
+//   /flaky/<name>?failures=<n>    answers 503 to the first n requests, then serves <name>.html
+//   /status/<code>                an empty page with that HTTP status
+//
+// Run it on its own (node test/helpers/fixture-server.js [port]) to point an extractor at it.
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'suno');
+
+function sendPage(response, status, html) {
+  response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(html);
+}
+
+function sendFixture(response, name) {
+  const file = path.join(FIXTURES_DIR, `${path.basename(name)}.html`);
+  if (!fs.existsSync(file)) {
+    sendPage(response, 404, '<!DOCTYPE html><html><body><h1>Song not found</h1></body></html>');
+    return;
+  }
+  sendPage(response, 200, fs.readFileSync(file, 'utf8'));
+}
+
+// Start the server on 127.0.0.1 (port 0 picks a free one). Resolves with
+// { baseUrl, requests, close } where requests counts the requests per path.
+function startFixtureServer(port = 0) {
+  const requests = {};
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://127.0.0.1');
+    const [, route, name = ''] = url.pathname.split('/');
+    requests[url.pathname] = (requests[url.pathname] || 0) + 1;
+
+    if (route === 'song') {
+      sendFixture(response, name);
+    } else if (route === 'flaky') {
+      const failures = parseInt(url.searchParams.get('failures')) || 1;
+      if (requests[url.pathname] <= failures) {
+        sendPage(response, 503, '<!DOCTYPE html><html><body><h1>Service unavailable</h1></body></html>');
+      } else {
+        sendFixture(response, name);
+      }
+    } else if (route === 'status') {
+      sendPage(response, parseInt(name) || 500, '<!DOCTYPE html><html><body></body></html>');
+    } else {
+      sendPage(response, 404, '<!DOCTYPE html><html><body></body></html>');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startFixtureServer(parseInt(process.argv[2]) || 4000).then(({ baseUrl }) => {
+    const pages = fs.readdirSync(FIXTURES_DIR).map(file => `  ${baseUrl}/song/${path.basename(file, '.html')}`);
+    console.log(`Serving recorded Suno pages:\n${pages.join('\n')}`);
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  startFixtureServer
+};
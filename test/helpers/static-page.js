@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// A stand-in for a Puppeteer page that holds static HTML, so extractors can be run without a
+// browser. The HTML is parsed into a small DOM with what extractPageFields uses: querySelector
+// and querySelectorAll (tag, #id, .class and [attribute] selectors joined by " " or ">"),
+// the element steps (parentElement, firstElementChild, ...), getAttribute and textContent.
+// evaluate() runs the function in its own context with only that DOM as `document`, like
+// page.evaluate does, and passes the result through JSON.
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'suno');
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()] || match;
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1)));
+  });
+}
+
+class StaticElement {
+  constructor(tagName, attributes = {}, parent = null) {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = attributes;
+    this.parentElement = parent;
+    this.childNodes = []; // Elements and text strings in document order
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node instanceof StaticElement);
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get lastElementChild() {
+    return this.children[this.children.length - 1] || null;
+  }
+
+  get nextElementSibling() {
+    const siblings = this.parentElement ? this.parentElement.children : [];
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousElementSibling() {
+    const siblings = this.parentElement ? this.parentElement.children : [];
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => (typeof node === 'string' ? node : node.textContent)).join('');
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  querySelectorAll(selector) {
+    const steps = parseSelector(selector);
+    const found = [];
+    const visit = element => {
+      element.children.forEach(child => {
+        if (matchesSteps(child, steps, steps.length - 1)) found.push(child);
+        visit(child);
+      });
+    };
+    visit(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+// Parse HTML into a document element. Comments, doctypes and unclosed tags are tolerated;
+// script and style contents aren't treated specially (the recorded pages have none).
+function parseHtml(html) {
+  const document = new StaticElement('#document');
+  let current = document;
+  const tokens = /<!--[\s\S]*?-->|<![^>]*>|<\/([\w-]+)\s*>|<([\w-]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(html))) {
+    const [, closeTag, openTag, attributeText, selfClosing, text] = match;
+    if (text !== undefined) {
+      current.childNodes.push(decodeEntities(text));
+    } else if (openTag) {
+      const attributes = {};
+      const attributePattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText))) {
+        const value = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : attribute[4];
+        attributes[attribute[1].toLowerCase()] = decodeEntities(value || '');
+      }
+      const element = new StaticElement(openTag, attributes, current);
+      current.childNodes.push(element);
+      if (!selfClosing && !VOID_ELEMENTS.has(openTag.toLowerCase())) current = element;
+    } else if (closeTag) {
+      // Close up to the matching open element, if there is one
+      let open = current;
+      while (open !== document && open.tagName !== closeTag.toUpperCase()) open = open.parentElement;
+      if (open !== document) current = open.parentElement;
+    }
+  }
+  return document;
+}
+
+// A selector becomes a list of { combinator, tag, id, classes, attributes } steps, left to right
+function parseSelector(selector) {
+  const steps = [];
+  let combinator = ' ';
+  const tokens = selector.trim().match(/\[[^\]]*\]|>|\s+|[^\s>[]+/g) || [];
+  let step = null;
+
+  tokens.forEach(token => {
+    if (token === '>') {
+      combinator = '>';
+      step = null;
+      return;
+    }
+    if (/^\s+$/.test(token)) {
+      step = null;
+      return;
+    }
+    if (!step) {
+      step = { combinator, tag: null, id: null, classes: [], attributes: [] };
+      steps.push(step);
+      combinator = ' ';
+    }
+    if (token[0] === '[') {
+      const attribute = token.match(/^\[\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]$/);
+      if (!attribute) throw new Error(`Unsupported selector: ${selector}`);
+      const value = attribute[3] !== undefined ? attribute[3] : attribute[4] !== undefined ? attribute[4] : attribute[5];
+      step.attributes.push({ name: attribute[1].toLowerCase(), operator: attribute[2] || null, value });
+    } else {
+      (token.match(/[#.]?[^#.]+/g) || []).forEach(part => {
+        if (part[0] === '#') step.id = part.slice(1);
+        else if (part[0] === '.') step.classes.push(part.slice(1));
+        else if (part !== '*') step.tag = part.toUpperCase();
+      });
+    }
+  });
+  return steps;
+}
+
+function matchesStep(element, step) {
+  if (step.tag && element.tagName !== step.tag) return false;
+  if (step.id && element.getAttribute('id') !== step.id) return false;
+  const classes = (element.getAttribute('class') || '').split(/\s+/);
+  if (!step.classes.every(name => classes.includes(name))) return false;
+  return step.attributes.every(({ name, operator, value }) => {
+    const actual = element.getAttribute(name);
+    if (actual === null) return false;
+    if (operator === '=') return actual === value;
+    if (operator === '^=') return value !== '' && actual.startsWith(value);
+    if (operator === '$=') return value !== '' && actual.endsWith(value);
+    if (operator === '*=') return value !== '' && actual.includes(value);
+    if (operator === '~=') return actual.split(/\s+/).includes(value);
+    if (operator === '|=') return actual === value || actual.startsWith(`${value}-`);
+    return true;
+  });
+}
+
+// Match steps[index] against element and the earlier steps against its ancestors. As in a
+// browser, the ancestors may lie outside the element querySelectorAll was called on.
+function matchesSteps(element, steps, index) {
+  if (!matchesStep(element, steps[index])) return false;
+  if (index === 0) return true;
+
+  let ancestor = element.parentElement;
+  if (steps[index].combinator === '>') {
+    return !!ancestor && matchesSteps(ancestor, steps, index - 1);
+  }
+  while (ancestor) {
+    if (matchesSteps(ancestor, steps, index - 1)) return true;
+    ancestor = ancestor.parentElement;
+  }
+  return false;
+}
+
+// A page object for html with the evaluate() the extractors use
+function createStaticPage(html) {
+  const document = parseHtml(html);
+  return {
+    document,
+    async evaluate(fn, ...args) {
+      const result = vm.runInNewContext(`(${fn.toString()})(...args)`, { document, args });
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    }
+  };
+}
+
+// A page object for a recorded page in test/fixtures/suno, e.g. loadFixturePage('song')
+function loadFixturePage(name) {
+  return createStaticPage(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'));
+}
+
+module.exports = {
+  createStaticPage,
+  loadFixturePage
+};
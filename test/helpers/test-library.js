@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeID3 = require('node-id3');
+const { writeTags } = require('../../src/formats');
+
+// Copies of the files in test-data for a test to scrape into; the originals are never written.
+
+const TEST_DATA_DIR = path.join(__dirname, '..', '..', 'test-data');
+
+// Copy a test-data file into a fresh temporary folder, with the genre and lyrics cleared (so the
+// scraper doesn't skip it) and audioSourceUrl pointing at url. Returns the copy's path.
+function copyTestFile(name, url) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-test-'));
+  const filePath = path.join(dir, name);
+  fs.copyFileSync(path.join(TEST_DATA_DIR, name), filePath);
+
+  NodeID3.update({
+    genre: '',
+    unsynchronisedLyrics: { language: 'eng', text: '' },
+    audioSourceUrl: url
+  }, filePath);
+  return filePath;
+}
+
+function riffChunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+// A short silent WAV file in a fresh temporary folder, with audioSourceUrl pointing at url
+// (written by the WAV handler into an id3 chunk). Returns its path.
+function createTestWav(name, url) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-test-'));
+  const filePath = path.join(dir, name);
+
+  const format = Buffer.alloc(16);
+  format.writeUInt16LE(1, 0); // PCM
+  format.writeUInt16LE(1, 2); // Mono
+  format.writeUInt32LE(8000, 4); // Sample rate
+  format.writeUInt32LE(8000, 8); // Bytes per second
+  format.writeUInt16LE(1, 12); // Block align
+  format.writeUInt16LE(8, 14); // Bits per sample
+  const body = Buffer.concat([Buffer.from('WAVE', 'ascii'), riffChunk('fmt ', format), riffChunk('data', Buffer.alloc(800, 128))]);
+  fs.writeFileSync(filePath, riffChunk('RIFF', body));
+
+  writeTags(filePath, { audioSourceUrl: url });
+  return filePath;
+}
+
+function removeTestFile(filePath) {
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+}
+
+// A fresh temporary folder with a copy of a test-data file for every entry of files
+// ({ 'a.mp3': { title: 'A' } }), each with the given tags written. Returns the folder's path;
+// remove it with removeTestFolder.
+function createTestFolder(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-test-'));
+  Object.keys(files).forEach(name => {
+    const filePath = path.join(dir, name);
+    fs.copyFileSync(path.join(TEST_DATA_DIR, 'AI_Song_001.mp3'), filePath);
+    writeTags(filePath, files[name]);
+  });
+  return dir;
+}
+
+function removeTestFolder(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// The ID3 frames the scraper writes, as raw frame values
+function readScrapedFrames(filePath) {
+  const tags = NodeID3.read(filePath);
+  return {
+    TCON: tags.raw.TCON,
+    USLT: tags.raw.USLT ? tags.raw.USLT.text : undefined,
+    WOAS: tags.raw.WOAS
+  };
+}
+
+module.exports = {
+  TEST_DATA_DIR,
+  copyTestFile,
+  createTestWav,
+  removeTestFile,
+  createTestFolder,
+  removeTestFolder,
+  readScrapedFrames
+};
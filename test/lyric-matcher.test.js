@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FUZZY_THRESHOLD, normalizeLyricSearch, validateLyricSearch, findLyricMatch, matchLyricSearches } = require('../src/lyric-matcher');
+
+// Matching the lyric searches of naming rules in every mode.
+
+const LYRICS = '[Verse]\nChasing lights along the shore\nNeon rivers, nothing more\n\n[Chorus]\nDrift away, drift away\nInto the violet day';
+
+describe('normalizing lyric searches', () => {
+  it('reads the plain string format as a substring search', () => {
+    assert.deepEqual(normalizeLyricSearch('neon'), { text: 'neon', mode: 'substring', threshold: DEFAULT_FUZZY_THRESHOLD });
+  });
+
+  it('falls back to defaults for unknown modes and thresholds', () => {
+    assert.deepEqual(normalizeLyricSearch({ text: 'neon', mode: 'exact', threshold: 2 }), { text: 'neon', mode: 'substring', threshold: DEFAULT_FUZZY_THRESHOLD });
+    assert.equal(normalizeLyricSearch({ text: 'neon', mode: 'fuzzy', threshold: '0.6' }).threshold, 0.6);
+  });
+});
+
+describe('substring and word searches', () => {
+  it('finds text regardless of case', () => {
+    assert.deepEqual(findLyricMatch(LYRICS, 'NEON RIVERS'), { index: LYRICS.indexOf('Neon rivers'), length: 11, score: 1 });
+  });
+
+  it('matches whole words only, with any whitespace between them', () => {
+    assert.ok(findLyricMatch(LYRICS, { text: 'the   shore', mode: 'word' }));
+    assert.equal(findLyricMatch(LYRICS, { text: 'light', mode: 'word' }), null);
+    assert.equal(findLyricMatch(LYRICS, 'light').index, LYRICS.indexOf('lights'));
+  });
+
+  it('never matches empty searches or lyrics', () => {
+    assert.equal(findLyricMatch(LYRICS, '  '), null);
+    assert.equal(findLyricMatch('', 'neon'), null);
+  });
+});
+
+describe('regular expression searches', () => {
+  it('matches case-insensitively and reports the matched text', () => {
+    const match = findLyricMatch(LYRICS, { text: 'drift (away|home)', mode: 'regex' });
+
+    assert.deepEqual(match, { index: LYRICS.indexOf('Drift away'), length: 10, score: 1 });
+  });
+
+  it('understands Unicode classes', () => {
+    assert.ok(findLyricMatch('Ça va, ça va', { text: '^\\p{Lu}a va', mode: 'regex' }));
+  });
+
+  it('reports invalid expressions, which never match', () => {
+    assert.notEqual(validateLyricSearch({ text: 'drift (away', mode: 'regex' }), '');
+    assert.equal(validateLyricSearch({ text: 'drift (away)', mode: 'regex' }), '');
+    assert.equal(validateLyricSearch({ text: 'drift (away', mode: 'substring' }), '');
+    assert.equal(findLyricMatch(LYRICS, { text: 'drift (away', mode: 'regex' }), null);
+  });
+});
+
+describe('fuzzy searches', () => {
+  it('finds text with typos, punctuation and spacing differences', () => {
+    const match = findLyricMatch(LYRICS, { text: 'neon rivrs nothing more', mode: 'fuzzy' });
+
+    assert.equal(match.index, LYRICS.indexOf('Neon rivers'));
+    assert.equal(LYRICS.slice(match.index, match.index + match.length), 'Neon rivers, nothing more');
+    assert.ok(match.score >= DEFAULT_FUZZY_THRESHOLD && match.score < 1);
+  });
+
+  it('scores an exact occurrence as 1', () => {
+    assert.equal(findLyricMatch(LYRICS, { text: 'Into the violet day', mode: 'fuzzy' }).score, 1);
+  });
+
+  it('rejects matches below the threshold', () => {
+    const search = { text: 'into the purple night', mode: 'fuzzy' };
+
+    assert.equal(findLyricMatch(LYRICS, search), null);
+    assert.ok(findLyricMatch(LYRICS, { ...search, threshold: 0.5 }));
+  });
+
+  it('measures positions in the original lyrics around characters outside the BMP', () => {
+    const lyrics = 'Hey 🎵 neon 🎵 rivers';
+    const match = findLyricMatch(lyrics, { text: 'neon rivers', mode: 'fuzzy' });
+
+    assert.equal(lyrics.slice(match.index, match.index + match.length), 'neon 🎵 rivers');
+  });
+});
+
+describe('matching a list of searches', () => {
+  it('returns the first search that matches, with an excerpt', () => {
+    const match = matchLyricSearches(LYRICS, ['ocean', { text: 'violet', mode: 'word' }, 'drift']);
+
+    assert.equal(match.searchIndex, 1);
+    assert.equal(match.mode, 'word');
+    assert.equal(match.score, 1);
+    assert.equal(match.excerpt.match, 'violet');
+    assert.equal(match.excerpt.before, '…Chorus] Drift away, drift away Into the ');
+    assert.equal(match.excerpt.after, ' day');
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(matchLyricSearches(LYRICS, ['ocean', { text: 'sea|sky', mode: 'regex' }]), null);
+  });
+});
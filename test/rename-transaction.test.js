@@ -0,0 +1,160 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const NodeID3 = require('node-id3');
+const { findRenameConflicts, resolveRenameConflicts, runRenameTransaction } = require('../src/rename-transaction');
+const { readTags } = require('../src/formats');
+const { createTestFolder, removeTestFolder } = require('./helpers/test-library');
+
+// Conflict detection and the rename transaction, on copies of test-data in a temporary folder.
+// Every file's title is its original name, so the tests can tell where each file ended up.
+
+describe('finding rename conflicts', () => {
+  let dir;
+  const at = name => path.join(dir, name);
+
+  beforeEach(() => {
+    dir = createTestFolder({ 'a.mp3': { title: 'a' }, 'b.mp3': { title: 'b' }, 'c.mp3': { title: 'c' } });
+  });
+
+  afterEach(() => removeTestFolder(dir));
+
+  it('reports a swap as a cycle that needs no resolution', () => {
+    const conflicts = findRenameConflicts([
+      { filePath: at('a.mp3'), newPath: at('b.mp3') },
+      { filePath: at('b.mp3'), newPath: at('a.mp3') }
+    ]);
+
+    assert.deepEqual(conflicts.map(conflict => [conflict.type, conflict.needsResolution]), [['cycle', false]]);
+    assert.deepEqual(conflicts[0].files.map(file => file.filename), ['a.mp3', 'b.mp3']);
+  });
+
+  it('accepts a chain of files moving into each other\'s names', () => {
+    assert.deepEqual(findRenameConflicts([
+      { filePath: at('a.mp3'), newPath: at('b.mp3') },
+      { filePath: at('b.mp3'), newPath: at('c.mp3') },
+      { filePath: at('c.mp3'), newPath: at('d.mp3') }
+    ]), []);
+  });
+
+  it('reports collisions and names taken by files outside the batch', () => {
+    const conflicts = findRenameConflicts([
+      { filePath: at('a.mp3'), newPath: at('x.mp3') },
+      { filePath: at('b.mp3'), newPath: at('x.mp3') },
+      { filePath: at('c.mp3'), newPath: at('a.mp3'), copy: true }
+    ]);
+
+    assert.deepEqual(conflicts.map(conflict => conflict.type), ['collision']);
+
+    const taken = findRenameConflicts([{ filePath: at('a.mp3'), newPath: at('c.mp3') }]);
+    assert.deepEqual(taken.map(conflict => [conflict.type, conflict.needsResolution]), [['exists', true]]);
+  });
+
+  it('resolves conflicts with a numbered name, the old name or by skipping', () => {
+    const items = [
+      { filePath: at('a.mp3'), newPath: at('x.mp3') },
+      { filePath: at('b.mp3'), newPath: at('x.mp3') }
+    ];
+    const [collision] = findRenameConflicts(items);
+
+    assert.deepEqual(resolveRenameConflicts(items).unresolved.map(conflict => conflict.id), [collision.id]);
+    assert.equal(resolveRenameConflicts(items, { [collision.id]: 'suffix' }).items[1].newPath, at('x (2).mp3'));
+    assert.equal(resolveRenameConflicts(items, { [collision.id]: 'keepName' }).items[1].newPath, at('b.mp3'));
+    assert.equal(resolveRenameConflicts(items, { [collision.id]: 'skip' }).items[1].skip, true);
+  });
+});
+
+describe('runRenameTransaction', () => {
+  let dir;
+  const at = name => path.join(dir, name);
+  const titleAt = name => readTags(at(name)).title;
+  const listFiles = () => fs.readdirSync(dir).sort();
+
+  beforeEach(() => {
+    dir = createTestFolder({ 'a.mp3': { title: 'a' }, 'b.mp3': { title: 'b' }, 'c.mp3': { title: 'c' } });
+  });
+
+  afterEach(() => removeTestFolder(dir));
+
+  it('swaps names through temporary names', async () => {
+    const result = await runRenameTransaction([
+      { filePath: at('a.mp3'), newPath: at('b.mp3') },
+      { filePath: at('b.mp3'), newPath: at('a.mp3') }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(titleAt('a.mp3'), 'b');
+    assert.equal(titleAt('b.mp3'), 'a');
+    assert.deepEqual(listFiles(), ['a.mp3', 'b.mp3', 'c.mp3']);
+  });
+
+  it('moves a chain of files along', async () => {
+    const result = await runRenameTransaction([
+      { filePath: at('a.mp3'), newPath: at('b.mp3') },
+      { filePath: at('b.mp3'), newPath: at('c.mp3') },
+      { filePath: at('c.mp3'), newPath: at(path.join('new', 'd.mp3')) }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(titleAt('b.mp3'), 'a');
+    assert.equal(titleAt('c.mp3'), 'b');
+    assert.equal(titleAt(path.join('new', 'd.mp3')), 'c');
+    assert.deepEqual(listFiles(), ['b.mp3', 'c.mp3', 'new']);
+  });
+
+  it('writes the tags and returns the values they replaced', async () => {
+    const result = await runRenameTransaction([
+      { filePath: at('a.mp3'), newPath: at('a.mp3'), tagUpdates: { title: 'First', trackNumber: '1' } }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.operations[0].beforeTags, { title: 'a', trackNumber: null });
+    assert.equal(readTags(at('a.mp3')).trackNumber, '1');
+  });
+
+  it('copies a file and writes the tags to the copy only', async () => {
+    const result = await runRenameTransaction([
+      { filePath: at('a.mp3'), newPath: at(path.join('copies', 'a.mp3')), tagUpdates: { title: 'Copy' }, copy: true }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(titleAt('a.mp3'), 'a');
+    assert.equal(titleAt(path.join('copies', 'a.mp3')), 'Copy');
+  });
+
+  it('rolls back every step when a rename fails', async () => {
+    const result = await runRenameTransaction([
+      { filePath: at('a.mp3'), newPath: at(path.join('new', 'x.mp3')), tagUpdates: { title: 'Renamed', trackNumber: '1' } },
+      { filePath: at('b.mp3'), newPath: at('c.mp3'), tagUpdates: { title: 'Taken' } }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, false);
+    assert.match(result.error, /c\.mp3 already exists/);
+    assert.deepEqual(result.rollbackErrors, []);
+    assert.deepEqual(result.changedFiles.sort(), [at('a.mp3'), at('b.mp3')]);
+    assert.deepEqual(listFiles(), ['a.mp3', 'b.mp3', 'c.mp3']);
+    assert.equal(titleAt('a.mp3'), 'a');
+    assert.equal(titleAt('b.mp3'), 'b');
+    assert.equal(NodeID3.read(at('a.mp3')).raw.TRCK, undefined);
+  });
+
+  it('rolls back when cancelled between files', async () => {
+    const steps = [];
+    const result = await runRenameTransaction([
+      { filePath: at('a.mp3'), newPath: at('x.mp3'), tagUpdates: { title: 'X' } },
+      { filePath: at('b.mp3'), newPath: at('y.mp3') }
+    ], {
+      onStep: (message, done, total) => steps.push([done, total]),
+      isCancelled: () => steps.length >= 3
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+    assert.deepEqual(steps.map(([done]) => done), [1, 2, 3]);
+    assert.equal(steps[0][1], 6);
+    assert.deepEqual(listFiles(), ['a.mp3', 'b.mp3', 'c.mp3']);
+    assert.equal(titleAt('a.mp3'), 'a');
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RULE_SET_VERSION, parseRuleSet, serializeRuleSet } = require('../src/rule-set');
+
+// Loading rule-set files of every version through the migrations and the schema check.
+
+describe('migrating pre-2.0 rule sets', () => {
+  it('loads a bare list of rules with string ids and start numbers', () => {
+    const result = parseRuleSet('[{"id":"3","lyricSearch":"foo","startNumber":"2"}]');
+
+    assert.equal(result.success, true);
+    assert.equal(result.migratedFrom, '1.0');
+    assert.equal(result.version, RULE_SET_VERSION);
+    assert.equal(result.rules[0].id, 3);
+    assert.equal(result.rules[0].startNumber, 2);
+    assert.deepEqual(result.rules[0].lyricSearches.map(search => search.text), ['foo']);
+  });
+
+  it('numbers rules without ids in file order', () => {
+    const result = parseRuleSet('[{"lyricSearch":"a"},{"lyricSearch":"b"}]');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rules.map(rule => rule.id), [1, 2]);
+  });
+
+  it('gives repeated and unusable ids the next numbers after the highest id', () => {
+    const result = parseRuleSet(JSON.stringify({
+      version: '1.0',
+      rules: [
+        { id: 4, lyricSearch: 'a' },
+        { id: 4, lyricSearch: 'b' },
+        { id: 'first', lyricSearch: 'c' },
+        { id: 2, lyricSearch: 'd' }
+      ]
+    }));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rules.map(rule => rule.id), [4, 5, 6, 2]);
+  });
+
+  it('still rejects a start number that is not a whole number', () => {
+    const result = parseRuleSet('[{"id":1,"lyricSearch":"a","startNumber":"2.5"}]');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors.map(error => error.field), ['startNumber']);
+  });
+});
+
+// A complete rule in the current format
+function currentRule(fields = {}) {
+  return {
+    id: 1,
+    lyricSearches: [{ text: 'rain', mode: 'substring' }],
+    conditions: { match: 'all', conditions: [] },
+    sortBy: 'track',
+    manualOrder: [],
+    ...fields
+  };
+}
+
+describe('current rule sets', () => {
+  it('rejects repeated ids instead of renumbering them', () => {
+    const rule = currentRule();
+    const result = parseRuleSet(JSON.stringify({ version: RULE_SET_VERSION, rules: [rule, rule] }));
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0].message, /used by another rule/);
+  });
+
+  it('loads what it saves', () => {
+    const saved = serializeRuleSet([currentRule({ id: 7, startNumber: 3 })]);
+    const result = parseRuleSet(saved.text);
+
+    assert.equal(result.success, true);
+    assert.equal(result.migratedFrom, null);
+    assert.equal(result.rules[0].id, 7);
+    assert.equal(result.rules[0].startNumber, 3);
+  });
+});
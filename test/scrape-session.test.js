@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  KNOWN_BAD_ATTEMPTS,
+  initScrapeSessions,
+  getScrapeSessionSummary,
+  startScrapeSession,
+  selectFilesToScrape,
+  recordScrapeOutcome,
+  finishScrapeSession,
+  saveScrapeSessions
+} = require('../src/scrape-session');
+
+// Session checkpoints and the failed URL counts, stored in a temporary userData directory.
+
+const FOLDER = path.join(os.tmpdir(), 'music');
+const FILES = ['a.mp3', 'b.mp3', 'c.mp3'].map(name => ({ filePath: path.join(FOLDER, name), relativePath: name }));
+const BAD_URL = 'https://suno.com/song/bad';
+
+function selectedNames(result) {
+  return result.files.map(file => file.relativePath);
+}
+
+function failUrl(session, filePath, url, times) {
+  for (let attempt = 0; attempt < times; attempt++) {
+    recordScrapeOutcome(session, filePath, { outcome: 'error', url, error: 'HTTP 404', category: 'notFound' });
+  }
+}
+
+describe('scrape session checkpoints', () => {
+  let sessionsDir;
+
+  beforeEach(() => {
+    sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-sessions-'));
+    initScrapeSessions(sessionsDir);
+  });
+
+  afterEach(() => {
+    saveScrapeSessions(); // Also cancels the delayed save
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+  });
+
+  it('resumes with the files that have no outcome yet', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    recordScrapeOutcome(session, FILES[0].filePath, { outcome: 'success', url: 'https://suno.com/song/a' });
+    finishScrapeSession(session, { stopped: true });
+
+    const resumed = startScrapeSession(FOLDER, 'resume');
+    assert.equal(resumed, session);
+    assert.deepEqual(selectedNames(selectFilesToScrape(resumed, FILES, 'resume')), ['b.mp3', 'c.mp3']);
+    assert.equal(selectFilesToScrape(resumed, FILES, 'resume').skipped, 1);
+  });
+
+  it('retries only the files that failed', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    recordScrapeOutcome(session, FILES[0].filePath, { outcome: 'error', url: 'https://suno.com/song/a', error: 'Timed out', category: 'timeout' });
+    recordScrapeOutcome(session, FILES[1].filePath, { outcome: 'instrumental', url: 'https://suno.com/song/b' });
+    recordScrapeOutcome(session, FILES[2].filePath, { outcome: 'noUrl' });
+
+    assert.deepEqual(selectedNames(selectFilesToScrape(session, FILES, 'retryFailed')), ['a.mp3']);
+  });
+
+  it('counts attempts per file and per URL', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    failUrl(session, FILES[0].filePath, BAD_URL, 2);
+    recordScrapeOutcome(session, FILES[1].filePath, { outcome: 'noUrl' });
+
+    assert.equal(session.files[FILES[0].filePath].attempts, 2);
+    assert.equal(session.files[FILES[0].filePath].errorCategory, 'notFound');
+    assert.equal(session.failedUrls[BAD_URL].attempts, 2);
+    assert.equal(session.files[FILES[1].filePath].attempts, 0);
+    assert.deepEqual(Object.keys(session.failedUrls), [BAD_URL]);
+  });
+
+  it('leaves out known bad URLs, also for files the session has not seen yet', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    failUrl(session, FILES[0].filePath, BAD_URL, KNOWN_BAD_ATTEMPTS);
+    const readUrl = filePath => (filePath === FILES[1].filePath ? BAD_URL : null);
+
+    const selected = selectFilesToScrape(session, FILES, 'new', { readUrl });
+    assert.deepEqual(selectedNames(selected), ['c.mp3']);
+    assert.equal(selected.skipped, 2);
+    assert.deepEqual(selectedNames(selectFilesToScrape(session, FILES, 'new', { readUrl, skipKnownBad: false })), ['a.mp3', 'b.mp3', 'c.mp3']);
+  });
+
+  it('clears the failures of a URL once it is scraped', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    failUrl(session, FILES[0].filePath, BAD_URL, KNOWN_BAD_ATTEMPTS);
+    recordScrapeOutcome(session, FILES[1].filePath, { outcome: 'success', url: BAD_URL });
+
+    assert.deepEqual(session.failedUrls, {});
+    assert.equal(session.files[FILES[0].filePath].outcome, 'error');
+  });
+
+  it('keeps the failed URLs but not the outcomes when a new session starts', () => {
+    const first = startScrapeSession(FOLDER, 'new');
+    failUrl(first, FILES[0].filePath, BAD_URL, 1);
+    finishScrapeSession(first);
+
+    const second = startScrapeSession(FOLDER, 'new');
+    assert.deepEqual(second.files, {});
+    assert.equal(second.finished, false);
+    assert.equal(second.failedUrls[BAD_URL].attempts, 1);
+  });
+
+  it('summarizes the outcomes, failures and known bad URLs', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    failUrl(session, FILES[0].filePath, BAD_URL, KNOWN_BAD_ATTEMPTS);
+    recordScrapeOutcome(session, FILES[1].filePath, { outcome: 'success', url: 'https://suno.com/song/b' });
+    recordScrapeOutcome(session, FILES[2].filePath, { outcome: 'error', url: 'https://suno.com/song/c', error: 'Timed out', category: 'timeout' });
+    finishScrapeSession(session);
+
+    const summary = getScrapeSessionSummary(FOLDER);
+    assert.equal(summary.finished, true);
+    assert.equal(summary.recorded, 3);
+    assert.deepEqual(summary.counts, { success: 1, instrumental: 0, error: 2, noUrl: 0 });
+    assert.deepEqual(summary.errorCategories, { notFound: 1, timeout: 1 });
+    assert.equal(summary.knownBad, 1);
+    assert.equal(getScrapeSessionSummary(path.join(FOLDER, 'other')), null);
+  });
+
+  it('stores the checkpoints and loads them again', () => {
+    const session = startScrapeSession(FOLDER, 'new');
+    recordScrapeOutcome(session, FILES[0].filePath, { outcome: 'success', url: 'https://suno.com/song/a' });
+    failUrl(session, FILES[1].filePath, BAD_URL, 2);
+    saveScrapeSessions();
+
+    initScrapeSessions(sessionsDir);
+    const loaded = startScrapeSession(FOLDER, 'resume');
+    assert.equal(loaded.files[FILES[0].filePath].outcome, 'success');
+    assert.equal(loaded.failedUrls[BAD_URL].attempts, 2);
+    assert.deepEqual(selectedNames(selectFilesToScrape(loaded, FILES, 'resume')), ['c.mp3']);
+  });
+
+  it('loads checkpoints written without failed URLs', () => {
+    const sessions = {
+      [FOLDER]: {
+        startedAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        finished: false,
+        files: { [FILES[0].filePath]: { outcome: 'error', url: BAD_URL, attempts: 1, lastError: 'HTTP 404', errorCategory: 'notFound' } }
+      }
+    };
+    fs.writeFileSync(path.join(sessionsDir, 'scrape-sessions.json'), JSON.stringify({ version: 1, sessions }));
+    initScrapeSessions(sessionsDir);
+
+    assert.equal(getScrapeSessionSummary(FOLDER).knownBad, 0);
+    const session = startScrapeSession(FOLDER, 'retryFailed');
+    assert.deepEqual(session.failedUrls, {});
+    assert.deepEqual(selectedNames(selectFilesToScrape(session, FILES, 'retryFailed')), ['a.mp3']);
+  });
+});
@@ -0,0 +1,414 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const {
+  SCRAPE_ERROR_CATEGORIES,
+  classifyScrapeError,
+  buildScrapedTags,
+  scrapeSunoUrl,
+  runScrapingSession,
+  getSunoUrl,
+  hasGenreAndLyrics,
+  writeScrapedTags
+} = require('../src/scraper');
+const { readTags } = require('../src/formats');
+const { BUILTIN_EXTRACTORS } = require('../src/extractors');
+const { beginJournalEntry } = require('../src/undo-journal');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { loadFixturePage } = require('./helpers/static-page');
+const { copyTestFile, createTestWav, removeTestFile, readScrapedFrames } = require('./helpers/test-library');
+
+// The scraper's tag building, error handling and retries run against the recorded pages in
+// test/fixtures/suno as static HTML; the end-to-end cases drive a real browser against a local
+// stand-in. Both check the ID3 frames written into copies of test-data.
+
+// The built-in Suno extractor, pointed at the stand-in
+const SUNO_EXTRACTOR = {
+  ...BUILTIN_EXTRACTORS.find(extractor => extractor.id === 'suno'),
+  urlPatterns: ['^http://127\\.0\\.0\\.1:\\d+/']
+};
+
+const INSTRUMENTAL = '[Instrumental]';
+
+// A stand-in for the browser that answers every page load with the next of responses (the last
+// one repeats): { status, page } serves the recorded page as static HTML, an Error is thrown by
+// goto. loads counts the page loads.
+function createStaticBrowser(responses) {
+  const browser = {
+    loads: 0,
+    async newPage() {
+      const response = responses[Math.min(browser.loads, responses.length - 1)];
+      browser.loads++;
+      const page = response instanceof Error ? {} : loadFixturePage(response.page || 'song');
+      page.goto = async () => {
+        if (response instanceof Error) throw response;
+        return { status: () => response.status };
+      };
+      page.close = async () => {};
+      return page;
+    }
+  };
+  return browser;
+}
+
+function timeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+describe('building the scraped tags', () => {
+  const found = genres => ({ found: true, genres, genreCount: genres.length });
+
+  it('writes the genres and lyrics of a page', () => {
+    const tags = buildScrapedTags({ genres: found(['synthwave', 'dream pop']), lyrics: { found: true, lyrics: 'Drift away' } });
+
+    assert.deepEqual(tags, { genre: 'synthwave; dream pop', lyrics: 'Drift away' });
+  });
+
+  it('marks a page with genres but no lyrics as instrumental', () => {
+    const tags = buildScrapedTags({ genres: found(['ambient']), lyrics: { found: false } });
+
+    assert.deepEqual(tags, { genre: 'ambient', lyrics: INSTRUMENTAL });
+  });
+
+  it('merges repeated genres, keeping the first spelling', () => {
+    const tags = buildScrapedTags({ genres: found(['Synthwave', 'dream pop', 'synthwave', ' Dream Pop ', 'lo-fi, chillhop']), lyrics: { found: false } });
+
+    assert.equal(tags.genre, 'Synthwave; dream pop; lo-fi; chillhop');
+  });
+
+  it('writes only the lyrics of a page without genres', () => {
+    const tags = buildScrapedTags({ genres: { found: false }, lyrics: { found: true, lyrics: 'Drift away' } });
+
+    assert.deepEqual(tags, { lyrics: 'Drift away' });
+  });
+
+  it('writes nothing when the page gave nothing', () => {
+    assert.deepEqual(buildScrapedTags({ genres: { found: false }, lyrics: { found: false } }), {});
+  });
+});
+
+describe('classifying scrape errors', () => {
+  it('sorts browser errors into categories', () => {
+    assert.equal(classifyScrapeError(timeoutError('Navigation timeout of 30000 ms exceeded')), 'timeout');
+    assert.equal(classifyScrapeError(new Error('Request timed out')), 'timeout');
+    assert.equal(classifyScrapeError(new Error('net::ERR_CONNECTION_REFUSED at https://suno.com/song/1')), 'network');
+    assert.equal(classifyScrapeError(new Error('socket hang up')), 'network');
+    assert.equal(classifyScrapeError(new Error('Protocol error: Target closed')), 'pageCrashed');
+    assert.equal(classifyScrapeError(new Error('Something else')), 'unknown');
+  });
+
+  it('keeps the category an error already has', () => {
+    const error = new Error('HTTP 404 for https://suno.com/song/1');
+    error.category = 'notFound';
+    assert.equal(classifyScrapeError(error), 'notFound');
+
+    error.category = 'noSuchCategory';
+    assert.equal(classifyScrapeError(error), 'unknown');
+  });
+
+  it('retries only transient failures', () => {
+    const transient = Object.keys(SCRAPE_ERROR_CATEGORIES).filter(category => SCRAPE_ERROR_CATEGORIES[category].transient);
+    assert.deepEqual(transient, ['timeout', 'network', 'rateLimited', 'serverError', 'pageCrashed']);
+  });
+});
+
+describe('scrapeSunoUrl with static pages', () => {
+  const url = 'http://127.0.0.1:1/song/song';
+  const files = [];
+
+  afterEach(() => {
+    files.splice(0).forEach(removeTestFile);
+  });
+
+  // Copy a test-data file and scrape it through a browser answering with responses
+  async function scrape(responses, options = {}) {
+    const browser = createStaticBrowser(responses);
+    const filePath = copyTestFile('AI_Song_001.mp3', url);
+    files.push(filePath);
+    const retries = [];
+    const result = await scrapeSunoUrl(browser, url, filePath, {
+      extractor: SUNO_EXTRACTOR,
+      retryBaseDelay: 10,
+      onRetry: retry => retries.push({ category: retry.category, delay: retry.delay }),
+      ...options
+    });
+    return { result, filePath, loads: browser.loads, retries, frames: readScrapedFrames(filePath) };
+  }
+
+  it('writes the tags of the page', async () => {
+    const { result, loads, frames } = await scrape([{ status: 200, page: 'song' }]);
+
+    assert.equal(result.error, null);
+    assert.equal(result.attempts, 1);
+    assert.equal(loads, 1);
+    assert.equal(frames.TCON, 'synthwave; dream pop; female vocals');
+    assert.match(frames.USLT, /^\[Verse\]\nChasing lights along the shore/);
+  });
+
+  it('marks a page with an empty lyrics section as instrumental', async () => {
+    const { result, frames } = await scrape([{ status: 200, page: 'missing-lyrics' }]);
+
+    assert.equal(result.error, null);
+    assert.equal(frames.TCON, 'shoegaze; indie rock');
+    assert.equal(frames.USLT, INSTRUMENTAL);
+  });
+
+  it('retries server errors with a doubling delay until the page loads', async () => {
+    const { result, retries, frames } = await scrape([{ status: 503 }, { status: 502 }, { status: 200, page: 'song' }]);
+
+    assert.equal(result.error, null);
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(retries, [{ category: 'serverError', delay: 10 }, { category: 'serverError', delay: 20 }]);
+    assert.equal(frames.TCON, 'synthwave; dream pop; female vocals');
+  });
+
+  it('retries timeouts and network errors', async () => {
+    const { result, retries } = await scrape([timeoutError('Navigation timeout of 30000 ms exceeded'), new Error('net::ERR_CONNECTION_RESET'), { status: 200, page: 'song' }]);
+
+    assert.equal(result.error, null);
+    assert.deepEqual(retries.map(retry => retry.category), ['timeout', 'network']);
+  });
+
+  it('gives up on rate limiting after the last attempt', async () => {
+    const { result, loads, frames } = await scrape([{ status: 429 }], { maxAttempts: 2 });
+
+    assert.equal(result.error.category, 'rateLimited');
+    assert.equal(result.attempts, 2);
+    assert.equal(loads, 2);
+    assert.ok(!frames.TCON);
+  });
+
+  it('does not retry pages that are gone or refused', async () => {
+    for (const [status, category] of [[404, 'notFound'], [410, 'notFound'], [403, 'httpError']]) {
+      const { result, loads } = await scrape([{ status }]);
+
+      assert.equal(result.error.category, category);
+      assert.equal(result.attempts, 1);
+      assert.equal(loads, 1);
+    }
+  });
+
+  it('leaves the tags alone when the page layout is not recognized', async () => {
+    const { result, loads, frames } = await scrape([{ status: 200, page: 'unknown-layout' }]);
+
+    assert.equal(result.songData, null);
+    assert.equal(result.error.category, 'layoutChanged');
+    assert.equal(loads, 1);
+    assert.ok(!frames.TCON);
+    assert.ok(!frames.USLT);
+  });
+
+  it('fails without loading a page when no extractor matches the URL', async () => {
+    const { result, loads } = await scrape([{ status: 200 }], { extractor: null });
+
+    assert.equal(result.error.category, 'noExtractor');
+    assert.equal(result.attempts, 0);
+    assert.equal(loads, 0);
+  });
+
+  it('ends without an error when stopped while waiting to retry', async () => {
+    let stopped = false;
+    const { result, loads } = await scrape([{ status: 503 }], { isStopped: () => stopped, onRetry: () => { stopped = true; }, retryBaseDelay: 1000 });
+
+    assert.deepEqual(result, { songData: null, error: null, attempts: 1 });
+    assert.equal(loads, 1);
+  });
+
+  it('records the tag changes in the undo journal entry', async () => {
+    const journalEntry = beginJournalEntry('scrape', 'Test scraping');
+    const { filePath } = await scrape([{ status: 200, page: 'instrumental' }], { journalEntry });
+
+    assert.equal(journalEntry.files.length, 1);
+    assert.equal(journalEntry.files[0].beforePath, filePath);
+    assert.deepEqual(journalEntry.files[0].afterTags, { genre: 'ambient; downtempo', lyrics: INSTRUMENTAL });
+  });
+});
+
+// The end-to-end tests drive a real browser; without Puppeteer's Chrome (npx puppeteer browsers install chrome)
+// they are skipped instead of failing
+function findBrowser() {
+  try {
+    return fs.existsSync(puppeteer.executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+const skipWithoutBrowser = findBrowser() ? false : 'Puppeteer\'s Chrome is not installed';
+
+describe('scrapeSunoUrl against recorded pages', { skip: skipWithoutBrowser }, () => {
+  let server;
+  let browser;
+  const files = [];
+
+  before(async () => {
+    server = await startFixtureServer();
+    browser = await puppeteer.launch({ headless: 'new' });
+  });
+
+  after(async () => {
+    try {
+      if (browser) await browser.close();
+    } finally {
+      if (server) await server.close();
+    }
+  });
+
+  afterEach(() => {
+    files.splice(0).forEach(removeTestFile);
+  });
+
+  // Copy a test-data file pointing at a page of the stand-in and scrape it
+  async function scrape(pagePath, options = {}) {
+    const url = `${server.baseUrl}${pagePath}`;
+    const filePath = copyTestFile('AI_Song_001.mp3', url);
+    files.push(filePath);
+    const result = await scrapeSunoUrl(browser, url, filePath, { extractor: SUNO_EXTRACTOR, retryBaseDelay: 10, ...options });
+    return { result, filePath, frames: readScrapedFrames(filePath) };
+  }
+
+  it('writes the genres and lyrics of a song page', async () => {
+    const { result, frames } = await scrape('/song/song');
+
+    assert.equal(result.error, null);
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(result.songData.genres.genres, ['synthwave', 'dream pop', 'female vocals']);
+    assert.deepEqual(result.songData.extractor, { id: 'suno', version: SUNO_EXTRACTOR.version });
+    assert.equal(frames.TCON, 'synthwave; dream pop; female vocals');
+    assert.match(frames.USLT, /^\[Verse\]\nChasing lights along the shore/);
+    assert.match(frames.USLT, /Into the violet day$/);
+  });
+
+  it('marks a page without a lyrics section as instrumental', async () => {
+    const { result, frames } = await scrape('/song/instrumental');
+
+    assert.equal(result.error, null);
+    assert.equal(result.songData.lyrics.found, false);
+    assert.equal(frames.TCON, 'ambient; downtempo');
+    assert.equal(frames.USLT, INSTRUMENTAL);
+  });
+
+  it('does not retry a page that was not found', async () => {
+    const { result, frames } = await scrape('/song/no-such-song');
+
+    assert.equal(result.error.category, 'notFound');
+    assert.equal(result.attempts, 1);
+    assert.equal(server.requests['/song/no-such-song'], 1);
+    assert.ok(!frames.TCON);
+  });
+
+  it('retries server errors with backoff until the page loads', async () => {
+    const retries = [];
+    const { result, frames } = await scrape('/flaky/song?failures=2', { onRetry: retry => retries.push(retry) });
+
+    assert.equal(result.error, null);
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(retries.map(({ category, delay }) => ({ category, delay })), [
+      { category: 'serverError', delay: 10 },
+      { category: 'serverError', delay: 20 }
+    ]);
+    assert.equal(frames.TCON, 'synthwave; dream pop; female vocals');
+  });
+
+  it('scrapes into a WAV file', async () => {
+    const url = `${server.baseUrl}/song/song`;
+    const filePath = createTestWav('AI_Song.wav', url);
+    files.push(filePath);
+    const result = await scrapeSunoUrl(browser, url, filePath, { extractor: SUNO_EXTRACTOR });
+
+    assert.equal(result.error, null);
+    const tags = readTags(filePath);
+    assert.equal(tags.genre, 'synthwave; dream pop; female vocals');
+    assert.match(tags.lyrics, /^\[Verse\]\nChasing lights along the shore/);
+    assert.equal(tags.audioSourceUrl, url);
+  });
+});
+
+describe('scraped tags in a WAV file', () => {
+  const files = [];
+
+  after(() => {
+    files.splice(0).forEach(removeTestFile);
+  });
+
+  it('reads the URL and writes the tags through the WAV handler', () => {
+    const url = 'https://suno.com/song/0000';
+    const filePath = createTestWav('AI_Song.wav', url);
+    files.push(filePath);
+
+    assert.equal(getSunoUrl(filePath), url);
+    assert.equal(hasGenreAndLyrics(filePath), false);
+
+    const journalEntry = beginJournalEntry('scrape', 'Test scraping');
+    const written = writeScrapedTags(filePath, {
+      genres: { found: true, genres: ['ambient', 'downtempo'] },
+      lyrics: { found: false, lyrics: '' }
+    }, journalEntry);
+
+    assert.deepEqual(written, { genre: 'ambient; downtempo', lyrics: INSTRUMENTAL });
+    const tags = readTags(filePath);
+    assert.equal(tags.genre, 'ambient; downtempo');
+    assert.equal(tags.lyrics, INSTRUMENTAL);
+    assert.equal(tags.audioSourceUrl, url);
+    assert.equal(hasGenreAndLyrics(filePath), true);
+    assert.deepEqual(journalEntry.files[0].afterTags, { genre: 'ambient; downtempo', lyrics: INSTRUMENTAL });
+  });
+});
+
+describe('runScrapingSession against recorded pages', { skip: skipWithoutBrowser }, () => {
+  let server;
+  const files = [];
+
+  before(async () => {
+    server = await startFixtureServer();
+  });
+
+  after(async () => {
+    files.splice(0).forEach(removeTestFile);
+    if (server) await server.close();
+  });
+
+  it('scrapes a folder and counts the outcomes and failures by cause', async () => {
+    const pages = {
+      'AI_Song_001.mp3': '/song/song',
+      'AI_Song_002.mp3': '/song/instrumental',
+      'AI_Song_003.mp3': '/song/unknown-layout',
+      'AI_Song_004.mp3': '/song/no-such-song'
+    };
+    const sessionFiles = Object.keys(pages).map(name => {
+      const filePath = copyTestFile(name, `${server.baseUrl}${pages[name]}`);
+      files.push(filePath);
+      return { filePath, relativePath: name };
+    });
+
+    const outcomes = {};
+    const stats = await runScrapingSession(sessionFiles, {
+      settings: { headless: true, concurrency: 2, requestsPerMinute: 60 },
+      launchBrowser: settings => puppeteer.launch({ headless: settings.headless ? 'new' : false }),
+      closeBrowser: browser => browser.close(),
+      isStopped: () => false,
+      extractors: [SUNO_EXTRACTOR],
+      onFileDone: (file, outcome) => {
+        outcomes[file.relativePath] = outcome;
+      }
+    });
+
+    assert.equal(stats.total, 4);
+    assert.equal(stats.processed, 4);
+    assert.equal(stats.successful, 2);
+    assert.equal(stats.errors, 2);
+    assert.equal(stats.errorCategories.layoutChanged, 1);
+    assert.equal(stats.errorCategories.notFound, 1);
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(outcomes).map(([name, outcome]) => [name, outcome.outcome])),
+      { 'AI_Song_001.mp3': 'success', 'AI_Song_002.mp3': 'instrumental', 'AI_Song_003.mp3': 'error', 'AI_Song_004.mp3': 'error' }
+    );
+    assert.equal(outcomes['AI_Song_004.mp3'].category, 'notFound');
+
+    assert.equal(readScrapedFrames(sessionFiles[0].filePath).TCON, 'synthwave; dream pop; female vocals');
+    assert.equal(readScrapedFrames(sessionFiles[1].filePath).USLT, INSTRUMENTAL);
+    assert.ok(!readScrapedFrames(sessionFiles[2].filePath).TCON);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, validateTemplate, sanitizeFilename } = require('../src/template-engine');
+
+// Rendering and checking naming templates, and making file names safe.
+
+const VARIABLES = {
+  number: 7,
+  title: 'Neon Drift',
+  artist: 'Café Tacvba',
+  album: 'Unknown Album',
+  genre: 'synthwave; dream pop; female vocals',
+  year: 2024
+};
+
+describe('rendering templates', () => {
+  it('fills in variables and pads numbers', () => {
+    assert.equal(renderTemplate('{number:03d} - {title}', VARIABLES), '007 - Neon Drift');
+  });
+
+  it('uses the default for missing values and placeholders', () => {
+    assert.equal(renderTemplate('{album?Singles}', VARIABLES), 'Singles');
+    assert.equal(renderTemplate('{composer?Various}', { ...VARIABLES, composer: '' }), 'Various');
+    assert.equal(renderTemplate('{title?Untitled}', VARIABLES), 'Neon Drift');
+  });
+
+  it('renders sections only when the value is present or missing', () => {
+    const template = '{#album}{album} - {/album}{^album}Singles - {/album}{title}';
+
+    assert.equal(renderTemplate(template, VARIABLES), 'Singles - Neon Drift');
+    assert.equal(renderTemplate(template, { ...VARIABLES, album: 'Night Drive' }), 'Night Drive - Neon Drift');
+  });
+
+  it('keeps escaped braces and unknown variables as typed', () => {
+    assert.equal(renderTemplate('{{{title}}} {mood}', VARIABLES), '{Neon Drift} {mood}');
+  });
+});
+
+describe('template filters', () => {
+  it('changes the case', () => {
+    assert.equal(renderTemplate('{title|upper}', VARIABLES), 'NEON DRIFT');
+    assert.equal(renderTemplate('{title|lower}', VARIABLES), 'neon drift');
+    assert.equal(renderTemplate('{title|title}', { title: 'drift away (live-edit)' }), 'Drift Away (Live-Edit)');
+  });
+
+  it('makes slugs without accents', () => {
+    assert.equal(renderTemplate('{artist|slug}', VARIABLES), 'cafe-tacvba');
+    assert.equal(renderTemplate('{title|slug}', { title: '  Hello, World!  ' }), 'hello-world');
+  });
+
+  it('truncates, pads and trims', () => {
+    assert.equal(renderTemplate('{title|truncate:5}', VARIABLES), 'Neon');
+    assert.equal(renderTemplate('{number|pad:3}', VARIABLES), '007');
+    assert.equal(renderTemplate('[{title|trim}]', { title: '  Neon  ' }), '[Neon]');
+  });
+
+  it('picks the first or last genre', () => {
+    assert.equal(renderTemplate('{genre|first}', VARIABLES), 'synthwave');
+    assert.equal(renderTemplate('{genre|last}', VARIABLES), 'female vocals');
+  });
+
+  it('replaces text', () => {
+    assert.equal(renderTemplate('{title|replace: :_}', VARIABLES), 'Neon_Drift');
+    assert.equal(renderTemplate('{title|replace:Neon}', VARIABLES), ' Drift');
+  });
+
+  it('chains filters left to right', () => {
+    assert.equal(renderTemplate('{artist|slug|upper|truncate:4}', VARIABLES), 'CAFE');
+    assert.equal(renderTemplate('{album?singles|upper}', VARIABLES), 'SINGLES');
+  });
+});
+
+describe('validating templates', () => {
+  const names = Object.keys(VARIABLES);
+
+  it('accepts a valid template', () => {
+    assert.deepEqual(validateTemplate('{number:02d} {#album}{album|slug}{/album}', names), []);
+  });
+
+  it('reports unknown variables and filters', () => {
+    const errors = validateTemplate('{mood} {title|shout}', names);
+
+    assert.equal(errors.length, 2);
+    assert.equal(errors[0], 'Unknown variable "{mood}"');
+    assert.match(errors[1], /^Unknown filter "shout"/);
+  });
+
+  it('reports missing and invalid filter arguments', () => {
+    assert.deepEqual(validateTemplate('{title|truncate}', names), ['Filter "truncate" needs 1 argument(s), e.g. truncate:40']);
+    assert.deepEqual(validateTemplate('{title|pad:x}', names), ['Filter "pad" needs a positive number, e.g. pad:40']);
+  });
+
+  it('reports unbalanced sections and braces', () => {
+    assert.deepEqual(validateTemplate('{#album}{title}', names), ['Section "{#album}" is never closed with "{/album}"']);
+    assert.deepEqual(validateTemplate('{title}{/album}', names), ['"{/album}" has no matching "{#album}"']);
+    assert.deepEqual(validateTemplate('{title', names), ['Unclosed "{" at position 1']);
+  });
+});
+
+describe('sanitizeFilename', () => {
+  it('replaces characters file systems do not allow', () => {
+    assert.equal(sanitizeFilename('AC/DC: Live?'), 'AC-DC - Live');
+    assert.equal(sanitizeFilename('Say "hi" <now>*|'), 'Say \'hi\' now-');
+    assert.equal(sanitizeFilename('tab\there\u0000'), 'tabhere');
+  });
+
+  it('drops trailing dots and spaces and names made of dots', () => {
+    assert.equal(sanitizeFilename('The End...  '), 'The End');
+    assert.equal(sanitizeFilename('..'), '');
+  });
+
+  it('prefixes names Windows reserves', () => {
+    assert.equal(sanitizeFilename('CON'), '_CON');
+    assert.equal(sanitizeFilename('lpt1.txt'), '_lpt1.txt');
+    assert.equal(sanitizeFilename('Console'), 'Console');
+  });
+
+  it('shortens long names by whole characters to fit with the extension', () => {
+    const name = sanitizeFilename('é'.repeat(200), '.mp3');
+
+    assert.equal(Buffer.byteLength(name + '.mp3', 'utf8') <= 255, true);
+    assert.equal(name, 'é'.repeat(125));
+    assert.equal(sanitizeFilename('abc def', '', 4), 'abc');
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeID3 = require('node-id3');
+const {
+  initUndoJournal,
+  beginJournalEntry,
+  recordFileChange,
+  commitJournalEntry,
+  listJournalEntries,
+  undoJournalEntry,
+  redoJournalEntry,
+  clearUndoJournal
+} = require('../src/undo-journal');
+const { runRenameTransaction } = require('../src/rename-transaction');
+const { readTags, writeTags } = require('../src/formats');
+const { createTestFolder, removeTestFolder } = require('./helpers/test-library');
+
+// Undoing and redoing journal entries of renames and tag writes, on copies of test-data in a
+// temporary folder. Every file's title is its original name.
+
+describe('undo journal', () => {
+  let dir;
+  let journalDir;
+  const at = name => path.join(dir, name);
+  const titleAt = name => readTags(at(name)).title;
+  const listFiles = () => fs.readdirSync(dir).sort();
+  const statusOf = entryId => listJournalEntries().find(entry => entry.id === entryId).status;
+
+  // Apply operations the way a naming apply does and record them as one journal entry
+  async function applyAndRecord(operations) {
+    const transaction = await runRenameTransaction(operations);
+    assert.equal(transaction.success, true);
+
+    const entry = beginJournalEntry('naming', 'Test naming');
+    transaction.operations.forEach(operation => {
+      recordFileChange(entry, {
+        beforePath: operation.filePath,
+        afterPath: operation.newPath,
+        beforeTags: operation.beforeTags,
+        afterTags: operation.tagUpdates || {},
+        copy: !!operation.copy
+      });
+    });
+    return commitJournalEntry(entry);
+  }
+
+  beforeEach(() => {
+    dir = createTestFolder({ 'a.mp3': { title: 'a' }, 'b.mp3': { title: 'b' }, 'c.mp3': { title: 'c' } });
+    journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'undo-journal-'));
+    initUndoJournal(journalDir);
+  });
+
+  afterEach(() => {
+    clearUndoJournal();
+    removeTestFolder(dir);
+    fs.rmSync(journalDir, { recursive: true, force: true });
+  });
+
+  it('restores names and tags on undo and applies them again on redo', async () => {
+    const entryId = await applyAndRecord([
+      { filePath: at('a.mp3'), newPath: at(path.join('Album', '01 First.mp3')), tagUpdates: { title: 'First', trackNumber: '1' } }
+    ]);
+
+    const undo = await undoJournalEntry(entryId);
+    assert.equal(undo.success, true);
+    assert.equal(statusOf(entryId), 'undone');
+    assert.equal(titleAt('a.mp3'), 'a');
+    assert.equal(NodeID3.read(at('a.mp3')).raw.TRCK, undefined);
+    assert.ok(!fs.existsSync(at(path.join('Album', '01 First.mp3'))));
+
+    const redo = await redoJournalEntry(entryId);
+    assert.equal(redo.success, true);
+    assert.equal(statusOf(entryId), 'applied');
+    assert.equal(titleAt(path.join('Album', '01 First.mp3')), 'First');
+    assert.equal(readTags(at(path.join('Album', '01 First.mp3'))).trackNumber, '1');
+    assert.ok(!fs.existsSync(at('a.mp3')));
+  });
+
+  it('gives swapped files their names back', async () => {
+    const entryId = await applyAndRecord([
+      { filePath: at('a.mp3'), newPath: at('b.mp3') },
+      { filePath: at('b.mp3'), newPath: at('c.mp3') },
+      { filePath: at('c.mp3'), newPath: at('a.mp3') }
+    ]);
+    assert.equal(titleAt('a.mp3'), 'c');
+
+    assert.equal((await undoJournalEntry(entryId)).success, true);
+    assert.deepEqual(['a.mp3', 'b.mp3', 'c.mp3'].map(titleAt), ['a', 'b', 'c']);
+
+    assert.equal((await redoJournalEntry(entryId)).success, true);
+    assert.deepEqual(['a.mp3', 'b.mp3', 'c.mp3'].map(titleAt), ['c', 'a', 'b']);
+  });
+
+  it('undoes single files of an entry', async () => {
+    const entryId = await applyAndRecord([
+      { filePath: at('a.mp3'), newPath: at('x.mp3') },
+      { filePath: at('b.mp3'), newPath: at('y.mp3') }
+    ]);
+
+    assert.equal((await undoJournalEntry(entryId, { filePaths: [at('x.mp3')] })).success, true);
+    assert.equal(statusOf(entryId), 'partial');
+    assert.deepEqual(listFiles(), ['a.mp3', 'c.mp3', 'y.mp3']);
+
+    assert.equal((await undoJournalEntry(entryId)).success, true);
+    assert.equal(statusOf(entryId), 'undone');
+    assert.deepEqual(listFiles(), ['a.mp3', 'b.mp3', 'c.mp3']);
+  });
+
+  it('deletes copies on undo and makes them again on redo', async () => {
+    const entryId = await applyAndRecord([
+      { filePath: at('a.mp3'), newPath: at('a copy.mp3'), tagUpdates: { title: 'Copy' }, copy: true }
+    ]);
+
+    assert.equal((await undoJournalEntry(entryId)).success, true);
+    assert.deepEqual(listFiles(), ['a.mp3', 'b.mp3', 'c.mp3']);
+
+    assert.equal((await redoJournalEntry(entryId)).success, true);
+    assert.equal(titleAt('a copy.mp3'), 'Copy');
+    assert.equal(titleAt('a.mp3'), 'a');
+  });
+
+  it('reports files changed since the entry and only overwrites them when forced', async () => {
+    const entryId = await applyAndRecord([
+      { filePath: at('a.mp3'), newPath: at('x.mp3'), tagUpdates: { title: 'X' } }
+    ]);
+    writeTags(at('x.mp3'), { title: 'Changed by another app' });
+
+    const refused = await undoJournalEntry(entryId);
+    assert.equal(refused.success, false);
+    assert.deepEqual(refused.conflicts, [{ filePath: at('x.mp3'), reason: 'changed' }]);
+    assert.deepEqual(listFiles(), ['b.mp3', 'c.mp3', 'x.mp3']);
+
+    const forced = await undoJournalEntry(entryId, { force: true });
+    assert.equal(forced.success, true);
+    assert.equal(titleAt('a.mp3'), 'a');
+  });
+
+  it('skips files whose old name is taken again', async () => {
+    const entryId = await applyAndRecord([{ filePath: at('a.mp3'), newPath: at('x.mp3') }]);
+    fs.copyFileSync(at('b.mp3'), at('a.mp3'));
+
+    const result = await undoJournalEntry(entryId, { force: true });
+    assert.equal(result.success, false);
+    assert.deepEqual(result.results, [{ filePath: at('x.mp3'), success: false, error: 'a.mp3 already exists' }]);
+    assert.equal(statusOf(entryId), 'applied');
+  });
+
+  it('keeps the history across restarts', async () => {
+    const entryId = await applyAndRecord([
+      { filePath: at('a.mp3'), newPath: at('a.mp3'), tagUpdates: { title: 'Renamed' } }
+    ]);
+
+    initUndoJournal(journalDir);
+    const [entry] = listJournalEntries();
+    assert.equal(entry.id, entryId);
+    assert.deepEqual(entry.files[0].changes, [{ field: 'title', before: 'a', after: 'Renamed' }]);
+
+    assert.equal((await undoJournalEntry(entryId)).success, true);
+    assert.equal(titleAt('a.mp3'), 'a');
+  });
+
+  it('drops entries without file changes', () => {
+    assert.equal(commitJournalEntry(beginJournalEntry('genres', 'Nothing changed')), null);
+    assert.deepEqual(listJournalEntries(), []);
+  });
+});